@@ -10,6 +10,7 @@
 const Hoek = require('hoek');
 const BPromise = require('bluebird');
 const BaseAdapter = require('../base/adapter');
+const MongoHelpers = require('../base/helpers');
 
 class UserActivityAdapter extends BaseAdapter {
 
@@ -22,6 +23,29 @@ class UserActivityAdapter extends BaseAdapter {
     Hoek.assert(false, 'logAdapterClass has not been implemented');
   }
 
+  /**
+   * Returns declared indexes, location must be indexed for geo queries
+   *
+   * @return {Array}
+   */
+  get indexes() {
+    return [{
+      key: {
+        location: '2dsphere'
+      }
+    }].concat(this.model.indexes || []);
+  }
+
+  /**
+   * Writes activity log and activity in one transaction,
+   * transactions need a replica set or sharded cluster on MongoDB 4.0+
+   *
+   * @return {Boolean}
+   */
+  get transactional() {
+    return false;
+  }
+
   /**
    * Returns primary key for group find around
    *
@@ -32,50 +56,69 @@ class UserActivityAdapter extends BaseAdapter {
   }
 
   /**
-   * Inserts document into database
+   * Inserts document into database.
+   * Activity log and activity are written one after another, in a transaction when it's enabled
+   * and adapter is not bound to a session yet
    *
    * @param  {Object} model Input model data
+   * @param  {Object} opts Option data: transaction, overrides transactional, writeConcern
    *
    * @return {Promise}      Inserts promise
    */
-  upsertOne(model) {
+  upsertOne(model, opts) {
+    opts = opts || {};
+
+    let transaction = opts.transaction !== undefined ? opts.transaction : this.transactional;
+
+    if (transaction && !this.session) {
+      // write concern is set on transaction, operations in transaction must not set it
+      return this.withTransaction(adapter => {
+        return adapter.upsertOne(model, Object.assign({}, opts, {
+          writeConcern: null
+        }));
+      }, MongoHelpers.concernOptions(opts, MongoHelpers.WRITE_CONCERNS));
+    }
 
     let self = this,
       logAdapter = new this.logAdapterClass(),
       logModel = new logAdapter.modelClass(model),
       insertModel = new this.modelClass(model);
 
-    return self.connect().then(db => {
+    if (self.session) {
+      logAdapter = logAdapter.withSession(self.session);
+    }
 
-      if (logModel.beforeSave) {
-        logModel.beforeSave(true);
-      }
+    if (self.context) {
+      logAdapter = logAdapter.withContext(self.context);
+    }
 
-      if (insertModel.beforeSave) {
-        insertModel.beforeSave(true);
-      }
+    if (logModel.beforeSave) {
+      logModel.beforeSave(true);
+    }
 
-      let collection = db.collection(insertModel.collectionName),
-        requestLogDoc = logModel.toInsertObject(),
-        requestDoc = insertModel.toUpsertObject();
+    if (insertModel.beforeSave) {
+      insertModel.beforeSave(true);
+    }
 
-      // insert activity log
-      logAdapter.query('insertOne', requestLogDoc).then(result => {
-        self.log.debug('Insert ' + logModel.collectionName + ' model successfully', result.insertedId);
-      });
+    let requestLogDoc = logModel.toInsertObject(),
+      requestDoc = insertModel.toUpsertObject();
 
-      return collection.updateOne(requestDoc.$setOnInsert, requestDoc, { upsert: true }).then((result) => {
+    logAdapter.stampInsert(requestLogDoc, logModel);
 
-        collection.createIndex({ location: "2dsphere" }).then(indexName => {
-          self.log.info('Create index successfully: ', indexName);
-        });
+    // insert activity log, then activity
+    return logAdapter.query('insertOne', requestLogDoc, logAdapter.writeOptions(opts)).then(result => {
+      self.log.debug('Insert ' + logModel.collectionName + ' model successfully', result.insertedId);
 
-        self.log.debug('Upsert ' + insertModel.collectionName + ' model successfully', result.upsertedId);
+      return self.query('updateOne', requestDoc.$setOnInsert, self.buildUpdate(requestDoc, true), self.writeOptions(opts, {
+        upsert: true
+      }));
+    }).then((result) => {
 
-        insertModel._id = result.upsertedId;
+      self.log.debug('Upsert ' + insertModel.collectionName + ' model successfully', result.upsertedId);
 
-        return BPromise.resolve(insertModel);
-      });
+      insertModel._id = result.upsertedId;
+
+      return BPromise.resolve(insertModel);
     });
 
   }
@@ -85,6 +128,7 @@ class UserActivityAdapter extends BaseAdapter {
    *
    * @param  {geoTypes.GeoQuery} geoParams Geography query params
    * @param  {driverTypes.DriverActivtyQuery} actParams Driver activity params
+   * @param  {Object} opts Option data: fields, exclude
    *
    * @return {Object}          MongoDB query
    */
@@ -116,71 +160,70 @@ class UserActivityAdapter extends BaseAdapter {
       }
     }];
 
+    let projection = MongoHelpers.buildProjection(opts, 'activity');
+    if (projection) {
+      queryData.push({
+        $project: projection
+      });
+    }
+
     this.log.debug('Selects geo data: ', JSON.stringify(queryData));
 
     return queryData;
   }
 
   /**
-   * Search documents near specific location
+   * Search documents near specific location, soft deleted activities are excluded
    *
    * @param  {Object} location Location object
+   * @param  {Object} opts Option data: fields, exclude, populate, withDeleted, readPreference, readConcern
    *
    * @return {Array}           List of available shippers nearby
    */
   findManyAround(geoParams, actParams, opts) {
+    opts = opts || {};
 
-    let self = this,
-      model = new self.modelClass(),
-      collectionName = model.collectionName;
-
-    return self.connect().then(db => {
-
-      let collection = db.collection(collectionName),
-        queryData = self.findAroundQuery.call(self, geoParams, actParams);
+    let self = this;
 
-      return collection.aggregate(queryData).toArray().then(results => {
+    return BPromise.try(() => {
+      return self.aggregate(self.findAroundQuery(geoParams, actParams, opts), Object.assign({}, opts, {
+        model: false
+      }));
+    }).then(results => {
 
-        self.log.debug('Selects around driver successfully. Count: ', results.length);
+      self.log.debug('Selects around driver successfully. Count: ', results.length);
 
-        var response = [];
-
-        results.forEach((element) => {
-          response.push(element.activity);
-        });
-        return BPromise.resolve(response);
-      });
+      return self.populate(results.map(element => element.activity), opts.populate);
     });
 
   }
 
   /**
-   * Search documents near specific location
+   * Search documents near specific location, soft deleted activities are excluded
    *
    * @param  {Object} location Location object
+   * @param  {Object} opts Option data: fields, exclude, populate, withDeleted, readPreference, readConcern
    *
    * @return {Array}           List of available shippers nearby
    */
   findOneAround(geoParams, actParams, opts) {
+    opts = opts || {};
 
-    let self = this,
-      model = new self.modelClass(),
-      collectionName = model.collectionName;
-
-    return self.connect().then(db => {
+    let self = this;
 
-      let collection = db.collection(collectionName),
-        queryData = self.findAroundQuery.call(self, geoParams, actParams);
+    return BPromise.try(() => {
+      return self.aggregate(self.findAroundQuery(geoParams, actParams, opts).concat({
+        $limit: 1
+      }), Object.assign({}, opts, {
+        model: false
+      }));
+    }).then(results => {
 
-      return collection.aggregate(queryData).limit(1).toArray().then(results => {
-
-        self.log.debug('Selects around driver successfully. Count: ', results.length);
-        if (results.length > 0) {
-          return BPromise.resolve(results[0].activity);
-        }
-        return BPromise.resolve(null);
-
-      });
+      self.log.debug('Selects around driver successfully. Count: ', results.length);
+      if (results.length > 0) {
+        return self.populate([results[0].activity], opts.populate).then(docs => docs[0]);
+      }
+      return BPromise.resolve(null);
 
     });
   }
@@ -11,22 +11,55 @@ const config = require('config');
 const Hoek = require('hoek');
 const BPromise = require('bluebird');
 const helpers = require('node-helpers');
+const Transform = require('stream').Transform;
 
 const pool = require('./pool');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const BulkReport = require('./bulk');
+const RetryPolicy = require('./retry');
+const IndexHelpers = require('./indexes');
+const errors = require('./errors');
+const AuditTrail = require('./audit');
+const Subscription = require('./watch');
+const Pipeline = require('./pipeline');
+const ExportFormatter = require('./export');
+const ImportParser = require('./import');
+const Schema = require('./schema');
 const MongoHelpers = require('./helpers');
 const MongoError = require('mongodb').MongoError;
 const ObjectID = require('mongodb').ObjectID;
 
 const isDebug = config.has('isDebug') ? config.get('isDebug') : (!process.env.NODE_ENV || process.env.NODE_ENV === 'development');
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_MAX_PAGE_SIZE = 100;
+const DEFAULT_SLOW_QUERY_MS = 500;
+const DEFAULT_AUDIT_LIMIT = 1000;
+// stages which must be the first one of aggregation pipeline
+const FIRST_STAGES = ['$collStats', '$indexStats', '$changeStream', '$search', '$searchMeta'];
+const DEFAULT_TIMESTAMP_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  createdBy: 'createdBy',
+  updatedBy: 'updatedBy'
+};
 
 class BaseAdapter {
 
   /**
    * Constructor, set default values
+   *
+   * @param  {Object} opts Option data: logger
    */
-  constructor() {
+  constructor(opts) {
+    opts = opts || {};
+
     this.model = new this.modelClass();
     this.collectionName = this.model.collectionName;
+    this.log = opts.logger || this.createLogger();
+    this.session = null;
+    this.context = null;
+    this.historyOf = null;
   }
 
   /**
@@ -47,6 +80,16 @@ class BaseAdapter {
     Hoek.assert(false, 'modelClass method has not been implemented');
   }
 
+  /**
+   * Creates default logger, child of shared logger.
+   * Override to plug in another bunyan compatible logger
+   *
+   * @return {Logger}
+   */
+  createLogger() {
+    return logger.forAdapter(this.logNamespace, this.collectionName);
+  }
+
   /**
    * Return mongoDB config key
    *
@@ -56,6 +99,281 @@ class BaseAdapter {
     return 'default';
   }
 
+  /**
+   * Returns slow query threshold in milliseconds,
+   * from `db.mongodb.<configKey>.slowQueryMs`
+   *
+   * @return {Number}
+   */
+  get slowQueryMs() {
+    let key = 'db.mongodb.' + this.configKey + '.slowQueryMs';
+
+    return config.has(key) ? config.get(key) : DEFAULT_SLOW_QUERY_MS;
+  }
+
+  /**
+   * Returns maximum page size of pagination, larger page sizes are clamped.
+   * Defaults to model maxPageSize, then `db.mongodb.<configKey>.maxPageSize`
+   *
+   * @return {Number}
+   */
+  get maxPageSize() {
+    let key = 'db.mongodb.' + this.configKey + '.maxPageSize';
+
+    return this.model.maxPageSize || (config.has(key) ? config.get(key) : DEFAULT_MAX_PAGE_SIZE);
+  }
+
+  /**
+   * Returns default read preference of adapter queries, e.g secondaryPreferred for reports.
+   * Connection default is `db.mongodb.<configKey>.readPreference`
+   *
+   * @return {String|Object}
+   */
+  get readPreference() {
+    return null;
+  }
+
+  /**
+   * Returns default read concern of adapter queries, level or { level }.
+   * Connection default is `db.mongodb.<configKey>.readConcern`
+   *
+   * @return {String|Object}
+   */
+  get readConcern() {
+    return null;
+  }
+
+  /**
+   * Returns default write concern of adapter writes, w or { w, j, wtimeout }.
+   * Connection default is `db.mongodb.<configKey>.writeConcern`
+   *
+   * @return {Number|String|Object}
+   */
+  get writeConcern() {
+    return null;
+  }
+
+  /**
+   * Enables soft delete mode, deletes set deletedAt/deletedBy instead of removing documents
+   *
+   * @return {Boolean}
+   */
+  get softDelete() {
+    return false;
+  }
+
+  /**
+   * Returns document version field, enables optimistic concurrency control.
+   * Defaults to model versionKey
+   *
+   * @return {String}
+   */
+  get versionKey() {
+    return this.model.versionKey || null;
+  }
+
+  /**
+   * Enables automatic timestamps and audit fields, defaults to model timestamps.
+   * Returns true for default field names, or an object overriding them:
+   * { createdAt, updatedAt, createdBy, updatedBy }, a falsy name disables the field
+   *
+   * @return {Boolean|Object}
+   */
+  get timestamps() {
+    return this.model.timestamps || false;
+  }
+
+  /**
+   * Returns timestamp field names, null if timestamps are disabled
+   *
+   * @return {Object}
+   */
+  get timestampFields() {
+    let timestamps = this.timestamps;
+
+    if (!timestamps) {
+      return null;
+    }
+
+    return Object.assign({}, DEFAULT_TIMESTAMP_FIELDS, timestamps === true ? {} : timestamps);
+  }
+
+  /**
+   * Enables audit trail, defaults to model audit.
+   * Every write is recorded into `<collection>_history` collection
+   *
+   * @return {Boolean}
+   */
+  get audit() {
+    return !!this.model.audit;
+  }
+
+  /**
+   * Returns maximum number of documents an audited write may touch, defaults to model auditLimit.
+   * Their snapshots are held in memory, writes touching more documents are rejected
+   *
+   * @return {Number}
+   */
+  get auditLimit() {
+    return this.model.auditLimit || DEFAULT_AUDIT_LIMIT;
+  }
+
+  /**
+   * Returns history collection name
+   *
+   * @return {String}
+   */
+  get historyCollectionName() {
+    return this.collectionName + AuditTrail.HISTORY_SUFFIX;
+  }
+
+  /**
+   * Returns adapter of history collection, sharing session and context
+   *
+   * @return {BaseAdapter}
+   */
+  get history() {
+    let adapter = Object.create(this);
+    adapter.historyOf = this.collectionName;
+    adapter.collectionName = this.historyCollectionName;
+
+    return adapter;
+  }
+
+  /**
+   * Returns resume token store of change subscriptions.
+   * Tokens are kept in memory, or in a collection when `db.mongodb.<configKey>.resumeTokens` is configured:
+   * { collection, configKey }
+   *
+   * @return {Object}      Store with get(key) and set(key, token), returning promises
+   */
+  get resumeTokenStore() {
+    if (!this._resumeTokenStore) {
+      let key = 'db.mongodb.' + this.configKey + '.resumeTokens';
+
+      this._resumeTokenStore = config.has(key) ? new Subscription.CollectionTokenStore(Object.assign({
+        configKey: this.configKey
+      }, config.get(key))) : new Subscription.MemoryTokenStore();
+    }
+
+    return this._resumeTokenStore;
+  }
+
+  /**
+   * Returns current actor from request context
+   *
+   * @return {String}
+   */
+  get actor() {
+    return this.context && this.context.actor !== undefined ? this.context.actor : null;
+  }
+
+  /**
+   * Returns filterable fields whitelist of filter expressions, defaults to model filterable.
+   * Each field maps to a type (string, number, boolean, date, objectid) or { type, operators }
+   *
+   * @return {Object}
+   */
+  get filterFields() {
+    return this.model.filterable || null;
+  }
+
+  /**
+   * Returns references to other collections, defaults to model references.
+   * Each reference is declared by name: { field, adapter (class or instance), as, fields, exclude }
+   *
+   * @return {Object}
+   */
+  get references() {
+    return this.model.references || {};
+  }
+
+  /**
+   * Returns schema validating documents before writes, defaults to model schema.
+   * Model schema is a Schema instance or its field definitions, see base/schema
+   *
+   * @return {Schema}      Schema, null if documents are not validated
+   */
+  get schema() {
+    if (this._schema === undefined) {
+      let schema = this.model.schema || null;
+
+      this._schema = schema && !(schema instanceof Schema) ? new Schema(schema) : schema;
+    }
+
+    return this._schema;
+  }
+
+  /**
+   * Returns declared indexes of current collection, defaults to model indexes.
+   * Each index is { key, name, unique, sparse, expireAfterSeconds, partialFilterExpression, weights, ... }
+   *
+   * @return {Array}
+   */
+  get indexes() {
+    return this.model.indexes || [];
+  }
+
+  /**
+   * Returns retry options of current adapter, merged over `db.mongodb.<configKey>.retry`.
+   * Override to tune retries per adapter
+   *
+   * @return {Object}
+   */
+  get retryOptions() {
+    return {};
+  }
+
+  /**
+   * Returns retry policy for transient errors
+   *
+   * @return {RetryPolicy}
+   */
+  get retryPolicy() {
+    if (!this._retryPolicy) {
+      let key = 'db.mongodb.' + this.configKey + '.retry';
+
+      this._retryPolicy = new RetryPolicy(Hoek.applyToDefaults(config.has(key) ? config.get(key) : {}, this.retryOptions));
+    }
+
+    return this._retryPolicy;
+  }
+
+  /**
+   * Records operation duration, logs slow query and reports metrics
+   *
+   * @param  {String} operation Operation name
+   * @param  {Object} filter    Query filter
+   * @param  {Number} start     Start timestamp
+   * @param  {Error} err       Error object, if operation failed
+   *
+   * @return {Number}           Duration in milliseconds
+   */
+  observe(operation, filter, start, err) {
+
+    let duration = Date.now() - start,
+      slow = duration >= this.slowQueryMs;
+
+    if (slow) {
+      this.log.warn({
+        operation: operation,
+        collection: this.collectionName,
+        duration: duration,
+        filter: MongoHelpers.filterShape(filter)
+      }, 'Slow query ' + operation + ' on collection ' + this.collectionName);
+    }
+
+    metrics.record({
+      collection: this.collectionName,
+      operation: operation,
+      duration: duration,
+      error: !!err,
+      slow: slow
+    });
+
+    return duration;
+  }
+
   /**
    * Prints query log error
    *
@@ -87,401 +405,2208 @@ class BaseAdapter {
   }
 
   /**
-   * Run query, catch exceptions
+   * Converts id to ObjectID
    *
-   * @param  {String} funcName  Mongo query function name
-   * @param {Object} requestDoc Request document data
-   * @param {Object} query Object
+   * @param  {Mixed} id ObjectID or its hex string
    *
-   * @return {Promise}            Mongo query promise
+   * @throws {InvalidIdError} If id is not valid
+   *
+   * @return {ObjectID}
+   */
+  objectId(id) {
+    return errors.toObjectID(id, {
+      collection: this.collectionName
+    });
+  }
+
+  /**
+   * Translates driver error into library error, see errors.translate.
+   * Errors in active transaction are kept, pool.withTransaction handles them
+   *
+   * @param  {Error} err Driver error
+   *
+   * @return {Error}
+   */
+  translateError(err) {
+    if (this.session && this.session.inTransaction()) {
+      return err;
+    }
+
+    return errors.translate(err, {
+      collection: this.collectionName
+    });
+  }
+
+  /**
+   * Builds query params from input form
+   *
+   * @param  {Object} form Query form
+   *
+   * @return {Object}      Query params
+   */
+  buildQueryParams(form) {
+    if (form && form._id) {
+      return {
+        _id: this.objectId(form._id)
+      };
+    }
+
+    return this.model.toQueryObject ? this.model.toQueryObject(form) : helpers.Model.toSimpleObject(form);
+  }
+
+  /**
+   * Builds driver read options, projection is built from fields and exclude options
+   *
+   * @param  {Object} opts Option data: fields, exclude, populate, withDeleted, filter and driver options
+   *
+   * @return {Object}      Driver options
+   */
+  readOptions(opts) {
+
+    let result = Object.assign({}, opts),
+      projection = MongoHelpers.buildProjection(opts);
+
+    ['fields', 'exclude', 'populate', 'withDeleted', 'filter'].forEach(key => {
+      delete result[key];
+    });
+
+    Object.assign(result, MongoHelpers.concernOptions(opts));
+
+    if (projection) {
+      result.projection = projection;
+    }
+
+    return result;
+  }
+  /**
+   * Builds driver write options, write concern of opts overrides adapter default
+   *
+   * @param  {Object} opts  Option data: writeConcern
+   * @param  {Object} extra Driver options, e.g upsert
+   *
+   * @return {Object}       Driver options
+   */
+  writeOptions(opts, extra) {
+    return Object.assign(MongoHelpers.concernOptions(opts, MongoHelpers.WRITE_CONCERNS), extra);
+  }
+
+
+  /**
+   * Finds documents by ids, soft deleted documents are excluded
+   *
+   * @param  {Array} ids  Document ids
+   * @param  {Object} opts Option data: fields, exclude
+   *
+   * @return {Promise}      Resolves documents
+   */
+  findByIds(ids, opts) {
+
+    let self = this,
+      params = self.scopeQuery({
+        _id: {
+          $in: ids
+        }
+      }),
+      projection = MongoHelpers.buildProjection(opts);
+
+    return self.connect().then(db => {
+      let cursor = db.collection(self.collectionName).find(params, self.queryOptions(opts)),
+        start = Date.now();
+
+      if (projection) {
+        cursor = cursor.project(projection);
+      }
+
+      return cursor.toArray().then(docs => {
+        self.observe('find', params, start);
+        return docs;
+      }, e => {
+        self.observe('find', params, start, e);
+        throw e;
+      });
+    });
+  }
+
+  /**
+   * Resolves references of documents, one $in query per reference.
+   * Related documents are attached to `as` field of each document
+   *
+   * @param  {Array} docs  Documents
+   * @param  {Mixed} names Reference names: array, comma separated string, or true for all references
+   *
+   * @return {Promise}       Resolves documents
+   */
+  populate(docs, names) {
+
+    let self = this,
+      references = self.references;
+
+    if (!names || !docs || !docs.length) {
+      return BPromise.resolve(docs);
+    }
+
+    if (names === true) {
+      names = Object.keys(references);
+    } else if (!Array.isArray(names)) {
+      names = String(names).split(',').map(name => name.trim()).filter(name => name);
+    }
+
+    let toId = value => typeof(value) === 'string' && value.length === 24 && ObjectID.isValid(value) ? new ObjectID(value) : value;
+
+    return BPromise.each(names, name => {
+      let ref = references[name];
+
+      Hoek.assert(ref && ref.field && ref.adapter, 'Unknown reference ' + name + ' on collection ' + self.collectionName);
+
+      let adapter = typeof(ref.adapter) === 'function' ? new ref.adapter() : ref.adapter,
+        as = ref.as || name,
+        ids = {};
+
+      if (self.session) {
+        adapter = adapter.withSession(self.session);
+      }
+
+      docs.forEach(doc => {
+        let value = Hoek.reach(doc, ref.field);
+
+        [].concat(value === null || value === undefined ? [] : value).forEach(id => {
+          ids[String(id)] = toId(id);
+        });
+      });
+
+      let keys = Object.keys(ids),
+        prom = keys.length ? adapter.findByIds(keys.map(key => ids[key]), ref) : BPromise.resolve([]);
+
+      return prom.then(related => {
+        let relatedMap = {};
+
+        related.forEach(item => {
+          relatedMap[String(item._id)] = item;
+        });
+
+        docs.forEach(doc => {
+          let value = Hoek.reach(doc, ref.field);
+
+          if (Array.isArray(value)) {
+            doc[as] = value.map(id => relatedMap[String(id)]).filter(item => item);
+          } else {
+            doc[as] = value === null || value === undefined ? null : relatedMap[String(value)] || null;
+          }
+        });
+      });
+    }).then(() => docs);
+  }
+
+  /**
+   * Adds filter expressions to query params, see MongoHelpers.parseFilter
+   *
+   * @param  {Object} params Query params
+   * @param  {Object} opts   Option data: filter
+   *
+   * @return {Object}        Filtered query params
+   */
+  filterQuery(params, opts) {
+    if (!opts || !opts.filter) {
+      return params;
+    }
+
+    Hoek.assert(this.filterFields, 'Filterable fields are not declared on collection ' + this.collectionName);
+
+    let filter = this.parseInput('filter', () => MongoHelpers.parseFilter(opts.filter, this.filterFields));
+
+    return MongoHelpers.mergeFilters(params, filter);
+  }
+
+  /**
+   * Runs parser of client input, e.g filter expression or pagination cursor.
+   * Parser failures are rethrown as validation error, so clients get a 400
+   *
+   * @param  {String} path Input name
+   * @param  {Function} fn   Parser
+   *
+   * @return {Mixed}      Parser result
+   *
+   * @throws {ValidationError} If input is invalid
+   */
+  parseInput(path, fn) {
+    try {
+      return fn();
+    } catch (e) {
+      if (e instanceof errors.AdapterError) {
+        throw e;
+      }
+
+      throw new errors.ValidationError('Invalid ' + path + ' on collection ' + this.collectionName + ': ' + e.message, {
+        collection: this.collectionName,
+        errors: [{
+          path: path,
+          rule: path,
+          message: e.message
+        }]
+      });
+    }
+  }
+
+  /**
+   * Reads page size of client input, clamped into [1, maxPageSize]
+   *
+   * @param  {Mixed} value Page size, defaults to model defaultPageSize
+   *
+   * @return {Number}
+   *
+   * @throws {ValidationError} If page size is not an integer
+   */
+  parsePageSize(value) {
+    if (value === undefined || value === null || value === '') {
+      return Math.min(this.model.defaultPageSize || DEFAULT_PAGE_SIZE, this.maxPageSize);
+    }
+
+    let pageSize = this.parseInput('pageSize', () => {
+      let number = typeof(value) === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+
+      Hoek.assert(typeof(number) === 'number' && number % 1 === 0, 'Page size must be an integer: ' + value);
+
+      return number;
+    });
+
+    return Math.min(Math.max(pageSize, 1), this.maxPageSize);
+  }
+
+  /**
+   * Excludes soft deleted documents from query params, in soft delete mode
+   *
+   * @param  {Object} params Query params
+   * @param  {Object} opts   Option data: withDeleted includes soft deleted documents
+   *
+   * @return {Object}        Scoped query params
+   */
+  scopeQuery(params, opts) {
+    if (!this.softDelete || (opts && opts.withDeleted) || (params && params.hasOwnProperty('deletedAt'))) {
+      return params;
+    }
+
+    return Object.assign({}, params, {
+      deletedAt: null
+    });
+  }
+
+  /**
+   * Excludes soft deleted documents from aggregation pipeline, in soft delete mode.
+   * Scope is merged into $geoNear query, or matched after stages which must come first
+   *
+   * @param  {Array} stages Pipeline stages
+   * @param  {Object} opts   Option data: withDeleted includes soft deleted documents
+   *
+   * @return {Array}        Scoped stages
+   */
+  scopePipeline(stages, opts) {
+    if (!this.softDelete || (opts && opts.withDeleted)) {
+      return stages;
+    }
+
+    let first = stages[0] ? Object.keys(stages[0])[0] : null;
+
+    if (first === '$geoNear') {
+      return [{
+        $geoNear: Object.assign({}, stages[0].$geoNear, {
+          query: this.scopeQuery(stages[0].$geoNear.query || {})
+        })
+      }].concat(stages.slice(1));
+    }
+
+    let index = FIRST_STAGES.indexOf(first) !== -1 ? 1 : 0;
+
+    return stages.slice(0, index).concat([{
+      $match: {
+        deletedAt: null
+      }
+    }], stages.slice(index));
+  }
+
+  /**
+   * Adds version increment to update document, in versioning mode
+   *
+   * @param  {Object} update Update document
+   *
+   * @return {Object}        Versioned update document
+   */
+  versionUpdate(update) {
+
+    let key = this.versionKey;
+
+    if (!key) {
+      return update;
+    }
+
+    let result = Object.assign({}, update);
+
+    ['$set', '$setOnInsert'].forEach(operator => {
+      if (result[operator] && result[operator].hasOwnProperty(key)) {
+        result[operator] = Object.assign({}, result[operator]);
+        delete result[operator][key];
+
+        if (!Object.keys(result[operator]).length) {
+          delete result[operator];
+        }
+      }
+    });
+
+    result.$inc = Object.assign({}, result.$inc, {
+      [key]: 1
+    });
+
+    return result;
+  }
+
+  /**
+   * Sets creation and modification fields on insert document, in timestamps mode.
+   * Creation fields already set by the model are kept
+   *
+   * @param  {Object} doc   Insert document
+   * @param  {Object} model Model instance, receives the same values
+   *
+   * @return {Object}       Insert document
+   */
+  stampInsert(doc, model) {
+
+    let fields = this.timestampFields;
+
+    if (!fields) {
+      return doc;
+    }
+
+    let now = new Date(),
+      actor = this.actor,
+      values = {};
+
+    if (fields.createdAt) {
+      values[fields.createdAt] = doc[fields.createdAt] || now;
+    }
+
+    if (fields.createdBy) {
+      values[fields.createdBy] = doc[fields.createdBy] || actor;
+    }
+
+    if (fields.updatedAt) {
+      values[fields.updatedAt] = now;
+    }
+
+    if (fields.updatedBy) {
+      values[fields.updatedBy] = actor;
+    }
+
+    Object.assign(doc, values);
+
+    if (model) {
+      Object.assign(model, values);
+    }
+
+    return doc;
+  }
+
+  /**
+   * Sets modification fields on update document, in timestamps mode.
+   * Creation fields are only written on insert, through $setOnInsert for upserts
+   *
+   * @param  {Object} update Update document
+   * @param  {Boolean} upsert Update may insert document
+   *
+   * @return {Object}        Stamped update document
+   */
+  stampUpdate(update, upsert) {
+
+    let fields = this.timestampFields;
+
+    if (!fields) {
+      return update;
+    }
+
+    let now = new Date(),
+      actor = this.actor,
+      result = Object.assign({}, update),
+      $set = Object.assign({}, result.$set),
+      $setOnInsert = Object.assign({}, result.$setOnInsert);
+
+    [fields.createdAt, fields.createdBy].forEach(field => {
+      if (field) {
+        delete $set[field];
+      }
+    });
+
+    [fields.updatedAt, fields.updatedBy].forEach(field => {
+      if (field) {
+        delete $setOnInsert[field];
+      }
+    });
+
+    if (fields.updatedAt) {
+      $set[fields.updatedAt] = now;
+    }
+
+    if (fields.updatedBy) {
+      $set[fields.updatedBy] = actor;
+    }
+
+    if (upsert) {
+      if (fields.createdAt) {
+        $setOnInsert[fields.createdAt] = $setOnInsert[fields.createdAt] || now;
+      }
+
+      if (fields.createdBy) {
+        $setOnInsert[fields.createdBy] = $setOnInsert[fields.createdBy] || actor;
+      }
+    }
+
+    [
+      ['$set', $set],
+      ['$setOnInsert', $setOnInsert]
+    ].forEach(pair => {
+      if (Object.keys(pair[1]).length) {
+        result[pair[0]] = pair[1];
+      } else {
+        delete result[pair[0]];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Clears soft delete fields on upsert document, in soft delete mode.
+   * Upsert filters match deleted documents too, so a matched document is restored
+   * instead of a duplicate being inserted
+   *
+   * @param  {Object} update Update document
+   *
+   * @return {Object}        Restoring update document
+   */
+  reviveUpdate(update) {
+
+    if (!this.softDelete) {
+      return update;
+    }
+
+    let result = Object.assign({}, update),
+      fields = ['deletedAt', 'deletedBy'];
+
+    ['$set', '$setOnInsert'].forEach(operator => {
+      if (result[operator] && fields.some(field => result[operator].hasOwnProperty(field))) {
+        result[operator] = Object.assign({}, result[operator]);
+
+        fields.forEach(field => {
+          delete result[operator][field];
+        });
+
+        if (!Object.keys(result[operator]).length) {
+          delete result[operator];
+        }
+      }
+    });
+
+    result.$unset = Object.assign({}, result.$unset, {
+      deletedAt: '',
+      deletedBy: ''
+    });
+
+    return result;
+  }
+
+  /**
+   * Prepares update document: timestamps, soft delete fields on upsert and version increment
+   *
+   * @param  {Object} update Update document
+   * @param  {Boolean} upsert Update may insert document
+   *
+   * @return {Object}        Update document
+   */
+  buildUpdate(update, upsert) {
+    let result = this.stampUpdate(update, upsert);
+
+    return this.versionUpdate(upsert ? this.reviveUpdate(result) : result);
+  }
+
+  /**
+   * Validates document against schema
+   *
+   * @param  {Object} doc  Document data
+   * @param  {Object} opts Option data: partial skips required fields which are missing
+   *
+   * @throws {ValidationError} If document is invalid
+   */
+  validate(doc, opts) {
+    if (!this.schema) {
+      return;
+    }
+
+    this.assertValid(this.schema.validate(doc, opts));
+  }
+
+  /**
+   * Validates update operators against schema. Upserts must also satisfy required fields,
+   * from filter equalities, $setOnInsert and $set
+   *
+   * @param  {Object} update Update document, or replacement document
+   * @param  {Object} opts   Option data: upsert, filter
+   *
+   * @throws {ValidationError} If update is invalid
+   */
+  validateUpdate(update, opts) {
+    opts = opts || {};
+
+    let self = this,
+      schema = self.schema,
+      operators = Object.keys(update || {}),
+      errors = [];
+
+    if (!schema) {
+      return;
+    }
+
+    if (!operators.length || operators[0].charAt(0) !== '$') {
+      return self.validate(update);
+    }
+
+    ['$set', '$setOnInsert'].forEach(operator => {
+      Object.keys(update[operator] || {}).forEach(path => {
+        errors = errors.concat(schema.validatePath(path, update[operator][path]));
+      });
+    });
+
+    Object.keys(update.$unset || {}).forEach(path => {
+      errors = errors.concat(schema.validatePath(path, null));
+    });
+
+    ['$inc', '$mul'].forEach(operator => {
+      Object.keys(update[operator] || {}).forEach(path => {
+        let spec = schema.at(path);
+
+        if (spec && ['number', 'integer', 'mixed'].indexOf(spec.type) === -1) {
+          errors.push({
+            path: path,
+            rule: 'type',
+            message: path + ' must be of type ' + spec.type
+          });
+        }
+      });
+    });
+
+    ['$push', '$addToSet'].forEach(operator => {
+      Object.keys(update[operator] || {}).forEach(path => {
+        let spec = schema.at(path),
+          value = update[operator][path],
+          items = value && Array.isArray(value.$each) ? value.$each : [value];
+
+        if (spec && spec.type === 'array' && spec.items) {
+          items.forEach(item => Schema.check(spec.items, item, path, false, errors));
+        }
+      });
+    });
+
+    if (opts.upsert) {
+      let doc = {},
+        assign = (source) => {
+          Object.keys(source || {}).forEach(path => {
+            let value = source[path];
+
+            if (path.charAt(0) !== '$' && !(value && typeof(value) === 'object' && Object.keys(value).some(key => key.charAt(0) === '$'))) {
+              MongoHelpers.setPath(doc, path, value);
+            }
+          });
+        };
+
+      assign(opts.filter);
+      assign(update.$setOnInsert);
+      assign(update.$set);
+
+      errors = errors.concat(schema.validate(doc).filter(error => error.rule === 'required'));
+    }
+
+    self.assertValid(errors);
+  }
+
+  /**
+   * Validates documents written by collection function
+   *
+   * @param  {String} funcName Collection function name
+   * @param  {Array} args     Function arguments
+   *
+   * @throws {ValidationError} If a document is invalid
+   */
+  validateWrite(funcName, args) {
+    let self = this,
+      opts = args[MongoHelpers.OPTIONS_INDEX[funcName]] || {};
+
+    switch (funcName) {
+      case 'insertOne':
+        return self.validate(args[0]);
+      case 'insertMany':
+        return args[0].forEach(doc => self.validate(doc));
+      case 'updateOne':
+      case 'updateMany':
+      case 'findOneAndUpdate':
+      case 'replaceOne':
+      case 'findOneAndReplace':
+        return self.validateUpdate(args[1], {
+          upsert: opts.upsert,
+          filter: args[0]
+        });
+      case 'bulkWrite':
+        return args[0].forEach(operation => self.validateOperation(operation));
+    }
+  }
+
+  /**
+   * Validates bulk write operation
+   *
+   * @param  {Object} operation Bulk operation, e.g { insertOne: { document } }
+   *
+   * @throws {ValidationError} If operation document is invalid
+   */
+  validateOperation(operation) {
+    let type = Object.keys(operation)[0],
+      body = operation[type];
+
+    if (type === 'insertOne') {
+      return this.validate(body.document);
+    }
+
+    if (body.update || body.replacement) {
+      this.validateUpdate(body.update || body.replacement, {
+        upsert: body.upsert,
+        filter: body.filter
+      });
+    }
+  }
+
+  /**
+   * Throws validation error if errors are not empty
+   *
+   * @param  {Array} failures Schema errors
+   *
+   * @throws {ValidationError}
+   */
+  assertValid(failures) {
+    if (!failures.length) {
+      return;
+    }
+
+    throw new errors.ValidationError('Validation failed on ' + this.collectionName + ': ' + failures.map(failure => failure.message).join(', '), {
+      collection: this.collectionName,
+      errors: failures
+    });
+  }
+
+  /**
+   * Adds expected version to query params
+   *
+   * @param  {Object} params Query params
+   * @param  {Object} opts   Option data: expectedVersion
+   *
+   * @return {Object}        Query params
+   */
+  versionQuery(params, opts) {
+
+    let key = this.versionKey;
+
+    if (!key || !opts || opts.expectedVersion === undefined || opts.expectedVersion === null) {
+      return params;
+    }
+
+    return Object.assign({}, params, {
+      [key]: opts.expectedVersion
+    });
+  }
+
+  /**
+   * Rejects with ConflictError if no document matched expected version but the document exists,
+   * with NotFoundError if the document does not exist
+   *
+   * @param  {Object} params  Query params, without version
+   * @param  {Object} opts    Option data: expectedVersion
+   * @param  {Boolean} matched Whether a document matched the versioned query
+   *
+   * @return {Promise}
+   */
+  checkConflict(params, opts, matched) {
+
+    let self = this,
+      key = self.versionKey;
+
+    if (matched || !key || !opts || opts.expectedVersion === undefined || opts.expectedVersion === null) {
+      return BPromise.resolve();
+    }
+
+    return self.query('findOne', self.scopeQuery(params), {
+      projection: {
+        [key]: 1
+      }
+    }).then(doc => {
+      if (!doc) {
+        throw new errors.NotFoundError('Document is not found on collection ' + self.collectionName, {
+          collection: self.collectionName
+        });
+      }
+
+      throw new errors.ConflictError('Version conflict on collection ' + self.collectionName, {
+        collection: self.collectionName,
+        expectedVersion: opts.expectedVersion,
+        currentVersion: doc[key]
+      });
+    });
+  }
+
+  /**
+   * Returns driver options applied to every query of current adapter: session,
+   * read preference and read concern of reads, or write concern of writes.
+   * Adapter defaults are overridden by opts, and skipped in sessions where transaction options apply
+   *
+   * @param  {Object} opts  Option data: readPreference, readConcern, writeConcern
+   * @param  {Boolean} write Returns options of write operation
+   *
+   * @return {Object}
+   */
+  queryOptions(opts, write) {
+    let self = this,
+      keys = write ? MongoHelpers.WRITE_CONCERNS : MongoHelpers.READ_CONCERNS,
+      result = self.session ? {} : MongoHelpers.concernOptions(self, keys);
+
+    Object.assign(result, MongoHelpers.concernOptions(opts, keys));
+
+    if (self.session) {
+      result.session = self.session;
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns adapter bound to client session,
+   * every query of returned adapter runs in the session
+   *
+   * @param  {ClientSession} session Mongo client session
+   *
+   * @return {BaseAdapter}         Session aware adapter
+   */
+  withSession(session) {
+    let adapter = Object.create(this);
+    adapter.session = session;
+
+    return adapter;
+  }
+
+  /**
+   * Returns adapter bound to request context,
+   * context actor is written into audit fields
+   *
+   * @param  {Object} context Request context: actor
+   *
+   * @return {BaseAdapter}         Context aware adapter
+   */
+  withContext(context) {
+    let adapter = Object.create(this);
+    adapter.context = context || null;
+
+    return adapter;
+  }
+
+  /**
+   * Runs function in a multi-document transaction on adapter connection
+   *
+   * @param  {Function} fn   Transaction function, receives session aware adapter and session
+   * @param  {Object}   opts Transaction options, see pool.withTransaction
+   *
+   * @return {Promise}        Resolves result of transaction function
+   */
+  withTransaction(fn, opts) {
+    let self = this;
+
+    return pool.withTransaction(session => fn(self.withSession(session), session), Object.assign({
+      name: self.configKey
+    }, opts));
+  }
+
+  /**
+   * Run query, catch exceptions
+   *
+   * @param  {String} funcName  Mongo query function name
+   * @param {Object} requestDoc Request document data
+   * @param {Object} query Object
+   *
+   * @return {Promise}            Mongo query promise
+   */
+  query(funcName, ...args) {
+
+    Hoek.assert(funcName, 'funcName must not be null');
+
+    let self = this,
+      message = funcName + ' on collection ' + this.collectionName + ' failed',
+      queryArgs = MongoHelpers.applyQueryOptions(funcName, args, self.queryOptions(null, MongoHelpers.READ_OPERATIONS.indexOf(funcName) === -1)),
+      fields = {
+        operation: funcName,
+        collection: self.collectionName
+      };
+
+    let execute = (attempt, operation) => new BPromise((resolve, reject) => {
+      return self.connect().then(db => {
+
+        let collection = db.collection(self.collectionName),
+          start = Date.now();
+
+        self.log.debug(Object.assign({
+          args: args,
+          attempt: attempt
+        }, fields), funcName + ' ' + self.collectionName);
+
+        return collection[operation.funcName](...operation.args).then(result => {
+          self.log.debug(Object.assign({
+            duration: self.observe(funcName, args[0], start)
+          }, fields, logger.resultFields(result)), funcName + ' ' + self.collectionName + ' successfully');
+
+          return resolve(result);
+        }).catch(MongoError, e => {
+          self.log.error(Object.assign({
+            duration: self.observe(funcName, args[0], start, e),
+            err: e,
+            args: args
+          }, fields), message);
+          return reject(e);
+        }).catch(e => {
+          self.observe(funcName, args[0], start, e);
+          self.catchException(e, message, ...args);
+          return reject(e);
+        });
+      }).catch(reject);
+    });
+
+    // audited writes may run another operation, see auditWrite
+    let run = (operation) => {
+      operation = operation || {
+        funcName: funcName,
+        args: queryArgs
+      };
+
+      if (self.session && self.session.inTransaction()) {
+        // transactions are retried as a whole by pool.withTransaction
+        return execute(1, operation);
+      }
+
+      return self.retryPolicy.run(attempt => execute(attempt, operation), RetryPolicy.isIdempotent(operation.funcName, operation.args), (err, attempt, delay) => {
+        self.log.warn(Object.assign({
+          err: err,
+          attempt: attempt,
+          delay: delay
+        }, fields), 'Retrying ' + funcName + ' on collection ' + self.collectionName);
+      });
+    };
+
+    if (self.schema && !self.historyOf) {
+      try {
+        self.validateWrite(funcName, args);
+      } catch (e) {
+        return BPromise.reject(e);
+      }
+    }
+
+    let targets = self.audit && !self.historyOf ? AuditTrail.targets(funcName, args) : null;
+
+    let prom = targets ? self.auditWrite(funcName, queryArgs, targets, run) : run();
+
+    // bulk errors carry results of every operation, BulkReport reads them
+    return funcName === 'bulkWrite' ? prom : prom.catch(e => BPromise.reject(self.translateError(e)));
+  }
+
+  /**
+   * Finds documents matching filter, without soft delete scope
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} opts   Option data: multi, sort, limit
+   *
+   * @return {Promise}        Resolves documents, read from primary
+   */
+  findSnapshots(filter, opts) {
+    opts = opts || {};
+
+    let self = this;
+
+    return self.connect().then(db => {
+      let cursor = db.collection(self.collectionName).find(filter, self.queryOptions({
+        readPreference: 'primary'
+      }));
+
+      if (opts.sort) {
+        cursor = cursor.sort(opts.sort);
+      }
+
+      return cursor.limit(opts.multi ? opts.limit || 0 : 1).toArray();
+    });
+  }
+
+  /**
+   * Records changes of touched documents into history collection
+   *
+   * @param  {Array} snapshots Document states: [{ id, before, after, operation, filter }]
+   *
+   * @return {Promise}
+   */
+  recordHistory(snapshots) {
+
+    let self = this,
+      timestamp = new Date(),
+      entries = [];
+
+    snapshots.forEach(snapshot => {
+      let changes = AuditTrail.diff(snapshot.before, snapshot.after);
+
+      if (!changes.length) {
+        return;
+      }
+
+      entries.push({
+        documentId: snapshot.id,
+        type: AuditTrail.type(snapshot.before, snapshot.after),
+        operation: snapshot.operation,
+        filter: JSON.stringify(snapshot.filter),
+        changes: changes,
+        actor: self.actor,
+        timestamp: timestamp
+      });
+    });
+
+    return entries.length ? self.history.query('insertMany', entries) : BPromise.resolve(null);
+  }
+
+  /**
+   * Runs write operation, then records changes of touched documents into history collection.
+   * Single document writes run as find and modify, which returns the original document atomically.
+   * Other writes snapshot matched documents before, up to auditLimit documents
+   *
+   * @param  {String} funcName Collection function name
+   * @param  {Array} args     Function arguments
+   * @param  {Array} targets  Write targets, see AuditTrail.targets
+   * @param  {Function} run      Runs write operation, or given { funcName, args } operation, returns promise
+   *
+   * @return {Promise}          Write result
+   */
+  auditWrite(funcName, args, targets, run) {
+
+    let self = this,
+      limit = self.auditLimit,
+      operation = AuditTrail.atomicOperation(funcName, args),
+      snapshots = {},
+      track = (id, before, target) => {
+        let key = String(id);
+
+        if (!snapshots[key]) {
+          snapshots[key] = {
+            id: id,
+            before: before,
+            operation: target.operation,
+            filter: target.filter || null
+          };
+        }
+      };
+
+    if (operation) {
+      let target = targets[0];
+
+      return run(operation).then(result => {
+        let before = result.value || null,
+          id = before ? before._id : AuditTrail.upsertedId(operation.funcName, result, target),
+          prom = id && operation.funcName !== 'findOneAndDelete' ? self.findSnapshots({
+            _id: id
+          }) : BPromise.resolve([]);
+
+        return prom.then(docs => {
+          let after = docs[0] || null;
+
+          return (id ? self.recordHistory([{
+            id: id,
+            before: before,
+            after: after,
+            operation: target.operation,
+            filter: target.filter
+          }]) : BPromise.resolve()).then(() => AuditTrail.atomicResult(funcName, args, result, after));
+        });
+      });
+    }
+
+    return BPromise.mapSeries(targets, target => {
+      if (!target.filter) {
+        return null;
+      }
+
+      return self.findSnapshots(target.filter, Object.assign({}, target, {
+        limit: limit + 1
+      })).then(docs => {
+        docs.forEach(doc => track(doc._id, doc, target));
+
+        if (Object.keys(snapshots).length > limit) {
+          let message = 'Audited write on collection ' + self.collectionName + ' touches more than ' + limit + ' documents';
+
+          throw new errors.ValidationError(message, {
+            collection: self.collectionName,
+            errors: [{
+              path: 'filter',
+              rule: 'auditLimit',
+              message: message
+            }]
+          });
+        }
+      });
+    }).then(() => {
+
+      let record = (result) => {
+        targets.forEach(target => {
+          let id = target.document ? target.document._id : AuditTrail.upsertedId(funcName, result, target);
+
+          if (id) {
+            track(id, null, target);
+          }
+        });
+
+        let keys = Object.keys(snapshots);
+
+        if (!keys.length) {
+          return BPromise.resolve();
+        }
+
+        return self.findSnapshots({
+          _id: {
+            $in: keys.map(key => snapshots[key].id)
+          }
+        }, {
+          multi: true
+        }).then(docs => {
+
+          let afters = {};
+
+          docs.forEach(doc => {
+            afters[String(doc._id)] = doc;
+          });
+
+          return self.recordHistory(keys.map(key => {
+            return Object.assign({
+              after: afters[key] || null
+            }, snapshots[key]);
+          }));
+        });
+      };
+
+      return run().then(result => {
+        return record(result).then(() => result);
+      }, err => {
+        // partially applied writes are recorded too
+        return record(null).catch(e => {
+          self.log.error({
+            err: e
+          }, 'Records history of ' + self.collectionName + ' failed');
+        }).then(() => {
+          throw err;
+        });
+      });
+    });
+  }
+
+  /**
+   * Inserts document into database
+   *
+   * @param  {Object} model Input model data
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Inserts promise
+   */
+  insertOne(model, opts) {
+
+    let self = this,
+      insertModel = new self.modelClass(model);
+
+    if (insertModel.beforeSave) {
+      insertModel.beforeSave(true);
+    }
+
+    let requestDoc = insertModel.toInsertObject();
+
+    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+
+    if (self.versionKey) {
+      requestDoc[self.versionKey] = insertModel[self.versionKey] = 1;
+    }
+
+    self.stampInsert(requestDoc, insertModel);
+
+    return self.query('insertOne', requestDoc, self.writeOptions(opts)).then(result => {
+      self.log.debug('Insert ' + self.collectionName + ' successfully. ID: ', result.insertedId);
+      insertModel._id = result.insertedId;
+
+      return BPromise.resolve(insertModel);
+    });
+
+  }
+
+  /**
+   * Updates document into database
+   *
+   * @param  {Object} model Input model data
+   * @param  {Object} params Query params
+   * @param  {Object} opts Option data: expectedVersion, writeConcern
+   *
+   * @return {Promise}      Inserts promise
+   */
+  updateOne(model, params, opts) {
+
+    let self = this,
+      updateModel = new self.modelClass(model),
+      collectionName = updateModel.collectionName,
+      queryParams = updateModel.toQueryObject ? updateModel.toQueryObject(params) : helpers.Model.toSimpleObject(params);
+
+    if (updateModel.beforeSave) {
+      updateModel.beforeSave(false);
+    }
+
+    let requestDoc = updateModel.toFormObject();
+
+    Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query params must not be empty. Data: ' + JSON.stringify(params));
+    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+
+    return self.query('updateOne', self.versionQuery(self.scopeQuery(queryParams), opts), self.buildUpdate({
+      $set: requestDoc
+    }), self.writeOptions(opts)).then(result => {
+      self.log.debug('Update ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+
+      return self.checkConflict(queryParams, opts, result.matchedCount).then(() => result.modifiedCount);
+    });
+
+  }
+
+
+
+  /**
+   * Updates params into database
+   *
+   * @param  {Object} form Input update data
+   * @param  {Object} query Query params
+   * @param  {Object} opts Option data: expectedVersion, writeConcern
+   *
+   * @return {Promise}      Update promise
+   */
+  updateOneSimple(form, query, opts) {
+
+    let self = this,
+      params = helpers.Model.toSimpleObject(form),
+      queryParams = helpers.Model.toSimpleObject(query);
+
+    Hoek.assert(query, 'Empty query, cannot update data');
+
+    return self.query('updateOne', self.versionQuery(self.scopeQuery(queryParams), opts), self.buildUpdate({
+      '$set': params
+    }), self.writeOptions(opts)).then(result => {
+      self.log.debug('Updated successfully', result.modifiedCount);
+
+      return self.checkConflict(queryParams, opts, result.matchedCount).then(() => result.modifiedCount);
+    });
+  }
+
+  /**
+   * Updates many documents into database
+   *
+   * @param  {Object} model Input model data
+   * @param  {Object} params Query params
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Updates promise
+   */
+  updateMany(model, params, opts) {
+
+    let self = this,
+      updateModel = new self.modelClass(model),
+      collectionName = updateModel.collectionName,
+      queryParams = updateModel.toQueryObject ? updateModel.toQueryObject(params) : helpers.Model.toSimpleObject(params);
+
+    if (updateModel.beforeSave) {
+      updateModel.beforeSave(false);
+    }
+
+    let requestDoc = updateModel.toFormObject();
+
+    Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query parms must not be empty');
+    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+
+    return self.query('updateMany', self.scopeQuery(queryParams), self.buildUpdate({
+      $set: requestDoc
+    }), self.writeOptions(opts)).then(result => {
+      self.log.debug('updateMany ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+
+      return BPromise.resolve(result.modifiedCount);
+    });
+  }
+
+  /**
+   * Updates all documents into database
+   *
+   * @param  {Object} model Input model data
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Updates promise
+   */
+  updateAll(model, opts) {
+
+    let self = this,
+      updateModel = new self.modelClass(model),
+      collectionName = updateModel.collectionName,
+      queryParams = {};
+
+    if (updateModel.beforeSave) {
+      updateModel.beforeSave(false);
+    }
+
+    let requestDoc = updateModel.toFormObject();
+
+    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+
+    return self.query('updateMany', self.scopeQuery(queryParams), self.buildUpdate({
+      $set: requestDoc
+    }), self.writeOptions(opts)).then(result => {
+      self.log.debug('Update ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+
+      return BPromise.resolve(result.modifiedCount);
+    });
+  }
+
+  /**
+   * Updates simple data to all documents into database
+   *
+   * @param  {Object} params Input update data
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Updates promise
+   */
+  updateAllSimple(params, opts) {
+
+    let self = this,
+      updateModel = new self.modelClass(),
+      collectionName = updateModel.collectionName,
+      queryParams = {},
+      requestDoc = helpers.Model.toSimpleObject(params);
+
+    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+
+    return self.query('updateMany', self.scopeQuery(queryParams), self.buildUpdate({
+      $set: requestDoc
+    }), self.writeOptions(opts)).then(result => {
+      self.log.debug('Update ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+
+      return BPromise.resolve(result.modifiedCount);
+    });
+  }
+
+  /**
+   * Updates many params into database
+   *
+   * @param  {Object} form Input update data
+   * @param  {Object} query Query params
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Update promise
+   */
+  updateManySimple(form, query, opts) {
+
+    let self = this,
+      params = helpers.Model.toSimpleObject(form),
+      queryParams = helpers.Model.toSimpleObject(query);
+
+    Hoek.assert(!helpers.Data.isEmpty(query), 'Query params must not be empty');
+
+    return self.query('updateMany', self.scopeQuery(queryParams), self.buildUpdate({
+      '$set': params
+    }), self.writeOptions(opts)).then(result => {
+      self.log.debug('Updated successfully', result.modifiedCount);
+
+      return BPromise.resolve(result.modifiedCount);
+    });
+  }
+
+  /**
+   * Upserts document into database
+   *
+   * @param  {Object} model Input model data
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Inserts promise
+   */
+  upsertOne(model, opts) {
+
+    let self = this,
+      updateModel = new self.modelClass(model);
+
+    if (updateModel.beforeSave) {
+      updateModel.beforeSave(true);
+    }
+
+    let requestDoc = updateModel.toUpsertObject(),
+      queryParams = requestDoc.$setOnInsert;
+
+    Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query params must not be empty');
+    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+
+    return self.query('updateOne', queryParams, self.buildUpdate(requestDoc, true), self.writeOptions(opts, {
+      upsert: true
+    })).then(result => {
+      self.log.debug('Upsert ' + self.collectionName + ' successfully. Upserted count: ', result.upsertedCount);
+
+      if (result.upsertedId) {
+        updateModel._id = result.upsertedId._id.toString();
+      }
+      return BPromise.resolve(updateModel);
+    });
+  }
+
+  /**
+   * Builds bulk write operation from input data, runs model hooks
+   *
+   * @param  {String} type Operation type: insertOne, upsertOne, updateOne, updateMany, deleteOne, deleteMany
+   * @param  {Object} data Operation data. Model data for insert and upsert, { model, query } for update, query form for delete
+   * @param  {Object} opts Bulk option data: actor
+   *
+   * @return {Object}      Prepared operation: { type, model, operation }
+   */
+  buildBulkOperation(type, data, opts) {
+    opts = opts || {};
+
+    let self = this,
+      model = null,
+      operation = {};
+
+    switch (type) {
+      case 'insertOne':
+        model = new self.modelClass(data);
+
+        if (model.beforeSave) {
+          model.beforeSave(true);
+        }
+
+        let insertDoc = model.toInsertObject();
+        Hoek.assert(!helpers.Data.isEmpty(insertDoc), 'Request document must not be empty');
+
+        // generates id before sending, so inserted ids are known if the bulk fails
+        insertDoc._id = insertDoc._id || new ObjectID();
+        model._id = insertDoc._id;
+
+        if (self.versionKey) {
+          insertDoc[self.versionKey] = model[self.versionKey] = 1;
+        }
+
+        self.stampInsert(insertDoc, model);
+
+        operation.insertOne = {
+          document: insertDoc
+        };
+        break;
+      case 'upsertOne':
+        model = new self.modelClass(data);
+
+        if (model.beforeSave) {
+          model.beforeSave(true);
+        }
+
+        let upsertDoc = model.toUpsertObject();
+        Hoek.assert(!helpers.Data.isEmpty(upsertDoc.$setOnInsert), 'Query params must not be empty');
+
+        operation.updateOne = {
+          filter: upsertDoc.$setOnInsert,
+          update: self.buildUpdate(upsertDoc, true),
+          upsert: true
+        };
+        break;
+      case 'updateOne':
+      case 'updateMany':
+        Hoek.assert(data && data.model && data.query, type + ' bulk operation requires model and query');
+
+        let updateModel = new self.modelClass(data.model),
+          queryParams = updateModel.toQueryObject ? updateModel.toQueryObject(data.query) : helpers.Model.toSimpleObject(data.query);
+
+        if (updateModel.beforeSave) {
+          updateModel.beforeSave(false);
+        }
+
+        let updateDoc = updateModel.toFormObject();
+
+        Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query params must not be empty');
+        Hoek.assert(!helpers.Data.isEmpty(updateDoc), 'Request document must not be empty');
+
+        operation[type] = {
+          filter: self.scopeQuery(queryParams),
+          update: self.buildUpdate({
+            $set: updateDoc
+          })
+        };
+        break;
+      case 'deleteOne':
+      case 'deleteMany':
+        let emptyModel = new self.modelClass(),
+          deleteParams = null;
+
+        if (data._id) {
+          deleteParams = {
+            _id: self.objectId(data._id)
+          };
+        } else if (emptyModel.toQueryObject) {
+          deleteParams = emptyModel.toQueryObject(data);
+        } else {
+          deleteParams = helpers.Model.toSimpleObject(data);
+        }
+
+        Hoek.assert(!helpers.Data.isEmpty(deleteParams), 'Params must not be empty');
+
+        if (self.softDelete) {
+          operation[type === 'deleteOne' ? 'updateOne' : 'updateMany'] = {
+            filter: self.scopeQuery(deleteParams),
+            update: self.buildUpdate({
+              $set: {
+                deletedAt: new Date(),
+                deletedBy: opts.actor || self.actor
+              }
+            })
+          };
+        } else {
+          operation[type] = {
+            filter: deleteParams
+          };
+        }
+        break;
+      default:
+        Hoek.assert(false, 'Unsupported bulk operation: ' + type);
+    }
+
+    self.validateOperation(operation);
+
+    return {
+      type: type,
+      model: model,
+      operation: operation
+    };
+  }
+
+  /**
+   * Runs mixed write operations in batches
+   *
+   * @param  {Array} operations Operations, each one is an object with a single key, e.g { insertOne: model }
+   * @param  {Object} opts       Option data: ordered (default true), batchSize, actor
+   *
+   * @return {Promise}      Bulk promise, resolves BulkReport
+   */
+  bulkWrite(operations, opts) {
+    opts = opts || {};
+
+    Hoek.assert(Array.isArray(operations), 'Bulk operations must be an array');
+
+    let self = this,
+      ordered = opts.ordered !== false,
+      report = new BulkReport(operations.length, ordered),
+      prepared = [],
+      stopped = false;
+
+    for (let i = 0; i < operations.length; i++) {
+      let type = Object.keys(operations[i] || {})[0];
+
+      try {
+        let item = self.buildBulkOperation(type, operations[i][type], opts);
+        item.index = i;
+        prepared.push(item);
+      } catch (e) {
+        report.addFailure(i, e);
+
+        if (ordered) {
+          for (let j = i + 1; j < operations.length; j++) {
+            report.skip([j]);
+          }
+          break;
+        }
+      }
+    }
+
+    return BPromise.each(BulkReport.chunk(prepared, opts.batchSize), chunk => {
+      if (stopped) {
+        return report.skip(chunk.map(item => item.index));
+      }
+
+      return self.query('bulkWrite', chunk.map(item => item.operation), self.writeOptions(opts, {
+        ordered: ordered
+      })).then(result => {
+        report.merge(chunk, result);
+      }).catch(MongoError, e => {
+        report.merge(chunk, null, e);
+        stopped = ordered;
+      });
+    }).then(() => {
+      self.log.debug('bulkWrite ' + self.collectionName + ' finished.', report.toJSON());
+
+      return BPromise.resolve(report);
+    });
+  }
+
+  /**
+   * Inserts many documents into database
+   *
+   * @param  {Array} models Input models data
+   * @param  {Object} opts   Option data: ordered, batchSize
+   *
+   * @return {Promise}      Bulk promise, resolves BulkReport
+   */
+  insertMany(models, opts) {
+    return this.bulkWrite(models.map(model => {
+      return {
+        insertOne: model
+      };
+    }), opts);
+  }
+
+  /**
+   * Upserts many documents into database
+   *
+   * @param  {Array} models Input models data
+   * @param  {Object} opts   Option data: ordered, batchSize
+   *
+   * @return {Promise}      Bulk promise, resolves BulkReport
+   */
+  upsertMany(models, opts) {
+    return this.bulkWrite(models.map(model => {
+      return {
+        upsertOne: model
+      };
+    }), opts);
+  }
+
+  /**
+   * Get session document by user
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted, fields, exclude, populate, driver options
+   *
+   * @return {Promise}      Query promise
+   */
+  getOne(form, opts) {
+
+    let self = this,
+      model = new self.modelClass(),
+      params = null,
+      populate = opts ? opts.populate : null;
+
+    // invalid id rejects, instead of throwing to caller
+    return BPromise.try(() => {
+      if (form._id) {
+        params = {
+          _id: self.objectId(form._id)
+        };
+      } else if (model.toQueryObject) {
+        params = model.toQueryObject(form);
+      } else {
+        params = helpers.Model.toSimpleObject(form);
+      }
+
+      params = self.scopeQuery(params, opts);
+
+      let queryOpts = self.readOptions(MongoHelpers.buildFindOptions(model, Object.assign({}, opts)));
+
+      return self.query('findOne', params, queryOpts);
+    }).then(result => {
+      self.log.debug('GetOne successfully:', !!result);
+      return result ? self.populate([result], populate).then(() => result) : BPromise.resolve(result);
+    });
+  }
+
+  /**
+   * Get one row with simple query
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted, fields, exclude, populate
+   *
+   * @return {Promise}      Query promise
+   */
+  getOneSimple(form, opts) {
+    opts = opts || {};
+
+    let self = this,
+      params = helpers.Model.toSimpleObject(form);
+
+    Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
+
+    return self.query('findOne', self.scopeQuery(params, opts), self.readOptions(opts)).then(result => {
+      self.log.debug('getOneSimple successfully', !!result);
+      return result ? self.populate([result], opts.populate).then(() => result) : BPromise.resolve(result);
+    });
+
+  }
+
+  /**
+   * Creates aggregation pipeline builder bound to current adapter
+   *
+   * @param  {Array} stages Initial stages
+   *
+   * @return {Pipeline}
+   */
+  pipeline(stages) {
+    return new Pipeline(this, stages);
+  }
+
+  /**
+   * Runs aggregation pipeline.
+   * Entity shaped results, having an ObjectID _id, are mapped through modelClass
+   *
+   * @param  {Pipeline|Array} pipeline Pipeline builder or array of stages
+   * @param  {Object} opts     Option data: allowDiskUse, batchSize, maxTimeMS, explain, withDeleted, readPreference, readConcern,
+   *                           model (true always maps, false never maps, defaults to entity shaped results only)
+   *
+   * @return {Promise}          Resolves results, or explain output
    */
-  query(funcName, ...args) {
-
-    Hoek.assert(funcName, 'funcName must not be null');
+  aggregate(pipeline, opts) {
+    opts = opts || {};
 
     let self = this,
-      message = funcName + ' on collection ' + this.collectionName + ' failed';
+      stages = pipeline instanceof Pipeline ? pipeline.toArray() : pipeline,
+      queryOpts = self.queryOptions(opts),
+      message = 'Aggregate ' + self.collectionName + ' failed.';
+
+    Hoek.assert(Array.isArray(stages), 'Pipeline must be an array of stages');
+
+    stages = self.scopePipeline(stages, opts);
+
+    ['allowDiskUse', 'batchSize', 'maxTimeMS', 'collation', 'hint'].forEach(key => {
+      if (opts[key] !== undefined) {
+        queryOpts[key] = opts[key];
+      }
+    });
 
     return new BPromise((resolve, reject) => {
+
       return self.connect().then(db => {
 
-        let collection = db.collection(self.collectionName);
+        let cursor = db.collection(self.collectionName).aggregate(stages, queryOpts),
+          start = Date.now();
 
-        self.log.debug(funcName + ' ' + self.collectionName + '. Request data:', ...args);
+        self.log.debug({
+          operation: 'aggregate',
+          collection: self.collectionName,
+          pipeline: stages
+        }, 'aggregate ' + self.collectionName);
 
-        return collection[funcName](...args).then(result => {
-          return resolve(result);
+        return (opts.explain ? cursor.explain() : cursor.toArray()).then(results => {
+          self.observe('aggregate', stages, start);
+
+          if (opts.explain || opts.model === false) {
+            return resolve(results);
+          }
+
+          return resolve(results.map(doc => {
+            return opts.model === true || (doc && doc._id instanceof ObjectID) ? new self.modelClass(doc) : doc;
+          }));
         }).catch(MongoError, e => {
-          self.log.error(message, e, ...args);
-          return reject(e);
+          self.observe('aggregate', stages, start, e);
+          self.log.error(message, e, stages);
+          return reject(self.translateError(e));
         }).catch(e => {
-          self.catchException(e, message, ...args);
+          self.observe('aggregate', stages, start, e);
+          self.catchException(e, message, stages);
           return reject(e);
         });
-      });
+      }).catch(reject);
     });
-
   }
 
   /**
-   * Inserts document into database
+   * Opens find cursor with projection, sort, skip, limit and batch size options
    *
-   * @param  {Object} model Input model data
+   * @param  {Collection} collection Mongo collection
+   * @param  {Object} params     Query params
+   * @param  {Object} opts       Option data: fields, exclude, order, skip, limit, batchSize, readPreference, readConcern
    *
-   * @return {Promise}      Inserts promise
+   * @return {Cursor}
    */
-  insertOne(model) {
+  findCursor(collection, params, opts) {
+    opts = opts || {};
 
-    let self = this,
-      insertModel = new self.modelClass(model);
+    let cursor = collection.find(params, this.queryOptions(opts)),
+      projection = MongoHelpers.buildProjection(opts),
+      sortOptions = MongoHelpers.buildSortOptions(this.model, opts);
 
-    if (insertModel.beforeSave) {
-      insertModel.beforeSave(true);
+    if (projection) {
+      cursor = cursor.project(projection);
     }
 
-    let requestDoc = insertModel.toInsertObject();
+    if (sortOptions) {
+      cursor = cursor.sort(sortOptions);
+    }
 
-    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+    if (opts.skip) {
+      cursor = cursor.skip(opts.skip);
+    }
 
-    return self.query('insertOne', requestDoc).then(result => {
-      self.log.debug('Insert ' + self.collectionName + ' successfully. ID: ', result.insertedId);
-      insertModel._id = result.insertedId;
+    if (opts.limit) {
+      cursor = cursor.limit(opts.limit);
+    }
 
-      return BPromise.resolve(insertModel);
-    });
+    if (opts.batchSize) {
+      cursor = cursor.batchSize(opts.batchSize);
+    }
 
+    return cursor;
   }
 
   /**
-   * Updates document into database
+   * Streams documents matching query form as model instances, with back-pressure.
+   * Empty form streams the whole collection
    *
-   * @param  {Object} model Input model data
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: order, skip, limit, batchSize, fields, exclude, filter, withDeleted,
+   *                       raw (streams documents instead of model instances)
    *
-   * @return {Promise}      Inserts promise
+   * @return {Readable}      Object mode readable stream
    */
-  updateOne(model, params) {
+  stream(form, opts) {
+    opts = opts || {};
 
     let self = this,
-      updateModel = new self.modelClass(model),
-      collectionName = updateModel.collectionName,
-      queryParams = updateModel.toQueryObject ? updateModel.toQueryObject(params) : helpers.Model.toSimpleObject(params);
+      output = new Transform({
+        objectMode: true,
+        highWaterMark: opts.batchSize || 16,
+        transform: (doc, encoding, callback) => {
+          callback(null, opts.raw ? doc : new self.modelClass(doc));
+        }
+      });
 
-    if (updateModel.beforeSave) {
-      updateModel.beforeSave(false);
-    }
+    BPromise.try(() => {
+      let params = self.buildCountQuery(form, opts);
 
-    let requestDoc = updateModel.toFormObject();
+      return self.connect().then(db => {
+        let source = self.findCursor(db.collection(self.collectionName), params, opts).stream(),
+          start = Date.now();
+
+        self.log.debug({
+          operation: 'stream',
+          collection: self.collectionName,
+          filter: params
+        }, 'stream ' + self.collectionName);
+
+        source.on('error', err => {
+          self.observe('stream', params, start, err);
+          output.destroy(self.translateError(err));
+        });
 
-    Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query params must not be empty. Data: ' + JSON.stringify(params));
-    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+        source.on('end', () => {
+          self.observe('stream', params, start);
+        });
 
-    return self.query('updateOne', queryParams, {
-      $set: requestDoc
-    }).then(result => {
-      self.log.debug('Update ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+        output.on('close', () => {
+          // consumer stopped early
+          source.destroy();
+        });
 
-      return BPromise.resolve(result.modifiedCount);
+        source.pipe(output);
+      });
+    }).catch(err => {
+      output.destroy(self.translateError(err));
     });
 
+    return output;
   }
 
-
-
   /**
-   * Updates params into database
+   * Iterates documents matching query form as model instances, e.g for await (let model of adapter.iterate(form))
    *
-   * @param  {Object} form Input update data
-   * @param  {Object} query Query params
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data, see stream
    *
-   * @return {Promise}      Update promise
+   * @return {AsyncIterator}
    */
-  updateOneSimple(form, query) {
-
-    let self = this,
-      params = helpers.Model.toSimpleObject(form),
-      queryParams = helpers.Model.toSimpleObject(query);
-
-    Hoek.assert(query, 'Empty query, cannot update data');
-
-    return self.query('updateOne', queryParams, {
-      '$set': params
-    }).then(result => {
-      self.log.debug('Updated successfully', result.modifiedCount);
-
-      return BPromise.resolve(result.modifiedCount);
-    });
+  iterate(form, opts) {
+    return this.stream(form, opts)[Symbol.asyncIterator]();
   }
 
   /**
-   * Updates many documents into database
+   * Exports documents matching query form into writable stream
    *
-   * @param  {Object} model Input model data
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: output (writable stream), format (ndjson, csv, extended-json),
+   *                       fields, end (ends output, defaults to true) and stream options
    *
-   * @return {Promise}      Updates promise
+   * @return {Promise}      Resolves exported count
    */
-  updateMany(model, params) {
+  export(form, opts) {
+    opts = opts || {};
 
-    let self = this,
-      updateModel = new self.modelClass(model),
-      collectionName = updateModel.collectionName,
-      queryParams = updateModel.toQueryObject ? updateModel.toQueryObject(params) : helpers.Model.toSimpleObject(params);
+    Hoek.assert(opts.output && typeof(opts.output.write) === 'function', 'Export output must be a writable stream');
 
-    if (updateModel.beforeSave) {
-      updateModel.beforeSave(false);
-    }
+    let self = this,
+      formatter = new ExportFormatter(opts),
+      source = self.stream(form, Object.assign({}, opts, {
+        raw: true
+      }));
 
-    let requestDoc = updateModel.toFormObject();
+    return new BPromise((resolve, reject) => {
+      let fail = err => {
+        source.destroy();
+        reject(err);
+      };
 
-    Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query parms must not be empty');
-    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+      source.on('error', fail);
+      formatter.on('error', fail);
+      opts.output.on('error', fail);
 
-    return self.query('updateMany', queryParams, {
-      $set: requestDoc
-    }).then(result => {
-      self.log.debug('updateMany ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+      if (opts.end === false) {
+        formatter.on('end', () => resolve(formatter.count));
+      } else {
+        opts.output.on('finish', () => resolve(formatter.count));
+      }
 
-      return BPromise.resolve(result.modifiedCount);
+      source.pipe(formatter).pipe(opts.output, {
+        end: opts.end !== false
+      });
     });
   }
 
   /**
-   * Updates all documents into database
+   * Imports rows from readable stream. Rows are converted by model, as insertMany and upsertMany do,
+   * then written in batches
    *
-   * @param  {Object} model Input model data
+   * @param  {Stream} readable Input stream
+   * @param  {Object} opts     Option data: format (ndjson, csv, extended-json), mode (insert, upsert),
+   *                           batchSize, stopOnError, types (csv column types), actor
    *
-   * @return {Promise}      Updates promise
+   * @return {Promise}      Resolves report: { total, inserted, updated, failed, skipped, stopped },
+   *                        inserted, updated and skipped are line numbers, failed are { line, code, message }
    */
-  updateAll(model) {
+  import(readable, opts) {
+    opts = Object.assign({
+      format: 'ndjson',
+      mode: 'insert',
+      stopOnError: false
+    }, opts);
+
+    Hoek.assert(readable && typeof(readable.pipe) === 'function', 'Import input must be a readable stream');
+    Hoek.assert(['insert', 'upsert'].indexOf(opts.mode) !== -1, 'Unsupported import mode: ' + opts.mode);
 
     let self = this,
-      updateModel = new self.modelClass(model),
-      collectionName = updateModel.collectionName,
-      queryParams = {};
+      type = opts.mode === 'upsert' ? 'upsertOne' : 'insertOne',
+      parser = new ImportParser(opts),
+      batch = [],
+      report = {
+        total: 0,
+        inserted: [],
+        updated: [],
+        failed: [],
+        skipped: [],
+        stopped: false
+      };
 
-    if (updateModel.beforeSave) {
-      updateModel.beforeSave(false);
-    }
+    let addFailure = (line, failure) => {
+      report.failed.push({
+        line: line,
+        code: failure.code || null,
+        message: failure.message
+      });
+    };
 
-    let requestDoc = updateModel.toFormObject();
+    let flush = () => {
+      let rows = batch;
+      batch = [];
 
-    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+      if (!rows.length) {
+        return BPromise.resolve();
+      }
 
-    return self.query('updateMany', queryParams, {
-      $set: requestDoc
-    }).then(result => {
-      self.log.debug('Update ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+      return self.bulkWrite(rows.map(row => {
+        return {
+          [type]: row.data
+        };
+      }), {
+        ordered: !!opts.stopOnError,
+        batchSize: rows.length,
+        actor: opts.actor
+      }).then(bulk => {
+        bulk.failures.forEach(failure => addFailure(rows[failure.index].line, failure));
+        bulk.skipped.forEach(index => report.skipped.push(rows[index].line));
+
+        rows.forEach((row, i) => {
+          if (bulk.models[i]) {
+            (type === 'insertOne' || bulk.upsertedIds[i] ? report.inserted : report.updated).push(row.line);
+          }
+        });
 
-      return BPromise.resolve(result.modifiedCount);
-    });
-  }
+        if (opts.stopOnError && !bulk.ok) {
+          report.stopped = true;
+        }
+      });
+    };
 
-  /**
-   * Updates simple data to all documents into database
-   *
-   * @param  {Object} model Input model data
-   *
-   * @return {Promise}      Updates promise
-   */
-  updateAllSimple(params) {
+    return new BPromise((resolve, reject) => {
+      let fail = err => {
+        readable.unpipe(parser);
+        parser.destroy();
+        reject(err);
+      };
 
-    let self = this,
-      updateModel = new self.modelClass(),
-      collectionName = updateModel.collectionName,
-      queryParams = {},
-      requestDoc = helpers.Model.toSimpleObject(params);
+      let stop = () => {
+        readable.unpipe(parser);
+        parser.destroy();
+        flush().then(() => resolve(report), reject);
+      };
 
-    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+      parser.on('data', row => {
+        if (report.stopped) {
+          return;
+        }
 
-    return self.query('updateMany', queryParams, {
-      $set: requestDoc
-    }).then(result => {
-      self.log.debug('Update ' + collectionName + ' successfully. Modified count: ', result.modifiedCount);
+        report.total++;
 
-      return BPromise.resolve(result.modifiedCount);
-    });
-  }
+        if (row.error) {
+          addFailure(row.line, {
+            message: row.error
+          });
 
-  /**
-   * Updates many params into database
-   *
-   * @param  {Object} form Input update data
-   * @param  {Object} query Query params
-   *
-   * @return {Promise}      Update promise
-   */
-  updateManySimple(form, query) {
+          if (opts.stopOnError) {
+            report.stopped = true;
+            stop();
+          }
+          return;
+        }
 
-    let self = this,
-      params = helpers.Model.toSimpleObject(form),
-      queryParams = helpers.Model.toSimpleObject(query);
+        batch.push(row);
 
-    Hoek.assert(!helpers.Data.isEmpty(query), 'Query params must not be empty');
+        if (batch.length >= (opts.batchSize || BulkReport.DEFAULT_BATCH_SIZE)) {
+          parser.pause();
 
-    return self.query('updateMany', queryParams, {
-      '$set': params
-    }).then(result => {
-      self.log.debug('Updated successfully', result.modifiedCount);
+          flush().then(() => {
+            if (report.stopped) {
+              return stop();
+            }
 
-      return BPromise.resolve(result.modifiedCount);
+            parser.resume();
+          }, fail);
+        }
+      });
+
+      parser.on('end', () => {
+        if (!report.stopped) {
+          flush().then(() => resolve(report), reject);
+        }
+      });
+
+      parser.on('error', fail);
+      readable.on('error', fail);
+
+      readable.pipe(parser);
     });
   }
 
   /**
-   * Upserts document into database
+   * Get many sessions document by user
    *
-   * @param  {Object} model Input model data
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: order, skip, limit, withDeleted, filter (filter expressions),
+   *                       fields, exclude, populate
    *
-   * @return {Promise}      Inserts promise
+   * @return {Promise}      Query promise
    */
-  upsertOne(model) {
+  getMany(form, opts) {
+    opts = opts || {};
 
     let self = this,
-      updateModel = new self.modelClass(model);
+      model = new self.modelClass(),
+      collectionName = model.collectionName,
+      params = null;
 
-    if (updateModel.beforeSave) {
-      updateModel.beforeSave(true);
-    }
+    return BPromise.try(() => {
+      if (model.toQueryObject) {
+        params = model.toQueryObject(form);
+      } else {
+        params = helpers.Model.toSimpleObject(form);
+      }
 
-    let requestDoc = updateModel.toUpsertObject(),
-      queryParams = requestDoc.$setOnInsert;
+      params = self.filterQuery(params, opts);
 
-    Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query params must not be empty');
-    Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
+      Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
 
-    return self.query('updateOne', queryParams, requestDoc, {
-      upsert: true
-    }).then(result => {
-      self.log.debug('Upsert ' + self.collectionName + ' successfully. Upserted count: ', result.upsertedCount);
+      params = self.scopeQuery(params, opts);
+    }).then(() => new BPromise((resolve, reject) => {
 
-      if (result.upsertedId) {
-        updateModel._id = result.upsertedId._id.toString();
-      }
-      return BPromise.resolve(updateModel);
-    });
+      return self.connect().then(db => {
+
+        let collection = db.collection(collectionName);
+
+        self.log.debug('Get many ' + collectionName + ' record', params, '. Options:', opts);
+
+        let cursor = self.findCursor(collection, params, opts),
+          start = Date.now();
+
+        return cursor.toArray().then((docs) => {
+          self.observe('find', params, start);
+          self.log.debug('getMany ' + collectionName + ' successfully. Count:', docs.length);
+          return self.populate(docs, opts.populate);
+        }).then(docs => {
+          return resolve(docs);
+        }).catch(MongoError, e => {
+          self.observe('find', params, start, e);
+          self.log.error('GetMany ' + collectionName + ' failed.', e, form);
+          return reject(self.translateError(e));
+        }).catch(e => {
+          self.observe('find', params, start, e);
+          self.catchException(e, 'GetMany ' + collectionName + ' failed.', form);
+          return reject(e);
+        });
+      }).catch(reject);
+    }));
   }
 
   /**
-   * Get session document by user
+   * Get many sessions document by user
    *
    * @param  {Object} form Query form
    *
    * @return {Promise}      Query promise
    */
-  getOne(form, opts) {
-
-    let self = this,
-      model = new self.modelClass(),
-      params = null;
-
-    if (form._id) {
-      params = {
-        _id: new ObjectID(form._id)
-      };
-    } else if (model.toQueryObject) {
-      params = model.toQueryObject(form);
-    } else {
-      params = helpers.Model.toSimpleObject(form);
-    }
-
-    opts = MongoHelpers.buildFindOptions(model, opts);
-
-    return self.query('findOne', params, opts).then(result => {
-      self.log.debug('GetOne successfully:', !!result);
-      return BPromise.resolve(result);
-    });
+  getAllCondition(form, opts) {
+    return this.getMany(form, opts);
   }
 
   /**
-   * Get one row with simple query
+   * Get many documents, including soft deleted documents
    *
    * @param  {Object} form Query form
+   * @param  {Object} opts Option data
    *
    * @return {Promise}      Query promise
    */
-  getOneSimple(form) {
-
-    let self = this,
-      params = helpers.Model.toSimpleObject(form);
-
-    Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
-
-    return self.query('findOne', params).then(result => {
-      self.log.debug('getOneSimple successfully', !!result);
-      return BPromise.resolve(result);
-    });
-
+  getManyWithDeleted(form, opts) {
+    return this.getMany(form, Object.assign({}, opts, {
+      withDeleted: true
+    }));
   }
 
   /**
-   * Get many sessions document by user
+   * Get paginated documents.
+   * Uses keyset paging when `opts.cursor` or `opts.after` is set, page/pageSize offset paging otherwise
    *
    * @param  {Object} form Query form
+   * @param  {Object} opts Option data: page, pageSize (clamped into [1, maxPageSize]), after, cursor, order, filter, fields, exclude, populate
    *
-   * @return {Promise}      Query promise
+   * @return {Promise}      Query promise, resolves { meta, data }
    */
-  getMany(form, opts) {
+  getPagination(form, opts) {
     opts = opts || {};
 
     let self = this,
       model = new self.modelClass(),
-      collectionName = model.collectionName;
+      collectionName = model.collectionName,
+      isCursor = !!(opts.cursor || opts.after),
+      pageSize = null,
+      page = Math.max(parseInt(opts.page, 10) || 1, 1),
+      params = null,
+      sortOptions = MongoHelpers.buildSortOptions(model, opts);
+
+    return BPromise.try(() => {
+      pageSize = self.parsePageSize(opts.pageSize !== undefined && opts.pageSize !== null ? opts.pageSize : opts.limit);
+
+      if (!form) {
+        params = {};
+      } else if (model.toQueryObject) {
+        params = model.toQueryObject(form);
+      } else {
+        params = helpers.Model.toSimpleObject(form);
+      }
 
-    return new BPromise((resolve, reject) => {
+      params = self.scopeQuery(self.filterQuery(params, opts), opts);
+
+      if (isCursor) {
+        sortOptions = MongoHelpers.buildCursorSort(sortOptions);
+
+        if (opts.after) {
+          let values = self.parseInput('after', () => MongoHelpers.decodeCursor(opts.after, sortOptions)),
+            cursorQuery = MongoHelpers.buildCursorQuery(sortOptions, values);
+
+          params = helpers.Data.isEmpty(params) ? cursorQuery : {
+            $and: [params, cursorQuery]
+          };
+        }
+      }
+    }).then(() => new BPromise((resolve, reject) => {
 
       return self.connect().then(db => {
 
         let collection = db.collection(collectionName),
-          params = null;
-
-        if (model.toQueryObject) {
-          params = model.toQueryObject(form);
-        } else {
-          params = helpers.Model.toSimpleObject(form);
+          cursor = collection.find(params, self.queryOptions(opts)),
+          projection = MongoHelpers.buildProjection(opts),
+          start = Date.now();
 
-        }
-
-        Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
+        self.log.debug('Get pagination ' + collectionName + ' record', params, '. Options:', opts);
 
-        self.log.debug('Get many ' + collectionName + ' record', params, '. Options:', opts);
+        if (projection) {
+          if (isCursor && Object.keys(projection).some(key => projection[key] === 1)) {
+            // next cursor is encoded from sort keys
+            Object.keys(sortOptions).forEach(key => {
+              projection[key] = 1;
+            });
+          }
 
-        let cursor = collection.find(params);
+          cursor = cursor.project(projection);
+        }
 
-        let sortOptions = MongoHelpers.buildSortOptions(model, opts);
         if (sortOptions) {
           cursor = cursor.sort(sortOptions);
         }
 
-        if (opts.skip) {
-          cursor = cursor.skip(opts.skip);
-        }
-
-        if (opts.limit) {
-          cursor = cursor.limit(opts.limit);
+        let prom = null;
+
+        if (isCursor) {
+          prom = cursor.limit(pageSize + 1).toArray().then(docs => {
+            let hasNext = docs.length > pageSize;
+
+            if (hasNext) {
+              docs = docs.slice(0, pageSize);
+            }
+
+            return {
+              meta: {
+                pageSize: pageSize,
+                hasNext: hasNext,
+                after: opts.after || null,
+                next: hasNext ? MongoHelpers.encodeCursor(docs[docs.length - 1], sortOptions) : null
+              },
+              data: docs
+            };
+          });
+        } else {
+          prom = BPromise.all([
+            collection.countDocuments(params, self.queryOptions(opts)),
+            cursor.skip((page - 1) * pageSize).limit(pageSize).toArray()
+          ]).spread((total, docs) => {
+            return {
+              meta: {
+                page: page,
+                pageSize: pageSize,
+                total: total,
+                totalPages: Math.ceil(total / pageSize)
+              },
+              data: docs
+            };
+          });
         }
 
-        return cursor.toArray().then((docs) => {
-          self.log.error('getMany ' + collectionName + ' successfully. Count:', docs.length);
-          return resolve(docs);
+        return prom.then(resp => {
+          self.observe('paginate', params, start);
+          self.log.debug('getPagination ' + collectionName + ' successfully. Count:', resp.data.length);
+          return self.populate(resp.data, opts.populate).then(() => resp);
+        }).then(resp => {
+          return resolve(resp);
         }).catch(MongoError, e => {
-          self.log.error('GetMany ' + collectionName + ' failed.', e, form);
-          return reject(e);
+          self.observe('paginate', params, start, e);
+          self.log.error('GetPagination ' + collectionName + ' failed.', e, form);
+          return reject(self.translateError(e));
         }).catch(e => {
-          self.catchException(e, 'GetMany ' + collectionName + ' failed.', form);
+          self.observe('paginate', params, start, e);
+          self.catchException(e, 'GetPagination ' + collectionName + ' failed.', form);
           return reject(e);
         });
-      });
-    });
-  }
-
-  /**
-   * Get many sessions document by user
-   *
-   * @param  {Object} form Query form
-   *
-   * @return {Promise}      Query promise
-   */
-  getAllCondition(form, opts) {
-    return this.getMany(form, opts);
+      }).catch(reject);
+    }));
   }
 
   /**
@@ -489,11 +2614,12 @@ class BaseAdapter {
    *
    * @param  {Object} query Query form
    * @param  {Object} form Update form
-   * @param  {Object} opts Option data
+   * @param  {Object} opts Option data: expectedVersion, fields, exclude, populate, driver options
    *
    * @return {Promise}      Query promise
    */
   getOneAndUpdate(form, query, opts) {
+    opts = opts || {};
 
     let self = this,
       updateModel = new self.modelClass(form),
@@ -509,15 +2635,20 @@ class BaseAdapter {
     Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query params must not be empty. Data: ' + JSON.stringify(queryParams));
     Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
 
-    return self.query('findOneAndUpdate', queryParams, {
+    let queryOpts = self.readOptions(opts);
+    delete queryOpts.expectedVersion;
+
+    return self.query('findOneAndUpdate', self.versionQuery(self.scopeQuery(queryParams), opts), self.buildUpdate({
       $set: requestDoc
-    }, opts).then(result => {
+    }, !!queryOpts.upsert), queryOpts).then(result => {
       self.log.debug('findOneAndUpdate ' + collectionName + ' successfully. Modified: ', result);
       if (!result.ok) {
         return BPromise.resolve(null);
       }
 
-      return BPromise.resolve(result.value);
+      return self.checkConflict(queryParams, opts, !!result.value).then(() => {
+        return result.value ? self.populate([result.value], opts.populate).then(() => result.value) : result.value;
+      });
     });
 
   }
@@ -527,11 +2658,12 @@ class BaseAdapter {
    *
    * @param  {Object} form Update form
    * @param  {Object} query Query form
-   * @param  {Object} opts Option data
+   * @param  {Object} opts Option data: fields, exclude, populate, driver options
    *
    * @return {Promise}      Query promise
    */
   getOneAndUpsert(form, query, opts) {
+    opts = opts || {};
 
     let self = this,
       updateModel = new self.modelClass(form),
@@ -542,19 +2674,21 @@ class BaseAdapter {
       updateModel.beforeSave(false);
     }
 
-    let requestDoc = updateModel.toUpsertObject();
-    opts.upsert = true;
+    let requestDoc = updateModel.toUpsertObject(),
+      queryOpts = self.readOptions(opts);
+
+    queryOpts.upsert = true;
 
     Hoek.assert(!helpers.Data.isEmpty(queryParams), 'Query params must not be empty. Data: ' + JSON.stringify(queryParams));
     Hoek.assert(!helpers.Data.isEmpty(requestDoc), 'Request document must not be empty');
 
-    return self.query('findOneAndUpdate', queryParams, requestDoc, opts).then(result => {
+    return self.query('findOneAndUpdate', queryParams, self.buildUpdate(requestDoc, true), queryOpts).then(result => {
       self.log.debug('findOneAndUpdate ' + collectionName + ' successfully. Modified: ', result);
       if (!result.ok) {
         return BPromise.resolve(null);
       }
 
-      return BPromise.resolve(result.value);
+      return result.value ? self.populate([result.value], opts.populate).then(() => result.value) : BPromise.resolve(result.value);
     });
 
   }
@@ -564,78 +2698,93 @@ class BaseAdapter {
    * Checks if document is existed
    *
    * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted
    *
    * @return {Promise}      Query promise
    */
-  exists(form) {
+  exists(form, opts) {
 
     var self = this,
       model = new self.modelClass(),
-      collectionName = model.collectionName;
+      collectionName = model.collectionName,
+      params = null;
 
-    return new BPromise((resolve, reject) => {
+    return BPromise.try(() => {
+      if (form._id) {
+        params = {
+          _id: self.objectId(form._id)
+        };
+      } else if (model.toQueryObject) {
+        params = model.toQueryObject(form);
+      } else {
+        params = helpers.Model.toSimpleObject(form);
+      }
 
-      return self.connect().then(db => {
+      Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
 
-        let collection = db.collection(collectionName),
-          params = null;
+      params = self.scopeQuery(params, opts);
+    }).then(() => new BPromise((resolve, reject) => {
 
-        if (form._id) {
-          params = {
-            _id: new ObjectID(form._id)
-          };
-        } else if (model.toQueryObject) {
-          params = model.toQueryObject(form);
-        } else {
-          params = helpers.Model.toSimpleObject(form);
-        }
+      return self.connect().then(db => {
 
-        Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
+        let collection = db.collection(collectionName);
 
         self.log.debug('Exists ' + collectionName + ' record', params);
-        return collection.find(params).limit(1).count().then((count) => {
-          return resolve(count > 0);
+
+        let start = Date.now();
+
+        // count command is not allowed in transactions
+        return collection.find(params, self.queryOptions(opts)).project({
+          _id: 1
+        }).limit(1).toArray().then((docs) => {
+          self.observe('exists', params, start);
+          return resolve(docs.length > 0);
         }).catch(MongoError, e => {
+          self.observe('exists', params, start, e);
           self.log.error('Exists ' + collectionName + ' failed.', e, form);
-          return reject(e);
+          return reject(self.translateError(e));
         }).catch(e => {
+          self.observe('exists', params, start, e);
           self.catchException(e, 'Exists ' + collectionName + ' failed.', form);
           return reject(e);
         });
-      });
-    });
+      }).catch(reject);
+    }));
   }
 
   /**
    * Deletes 1 document into database
    *
    * @param  {Object} model Input model data
+   * @param  {Object} opts Option data: actor, stored as deletedBy in soft delete mode, writeConcern
    *
    * @return {Promise}      Inserts promise
    */
-  deleteOne(form) {
+  deleteOne(form, opts) {
 
     let self = this,
       params = {},
       model = new self.modelClass(),
       collectionName = model.collectionName;
 
-    if (form._id) {
-      params = {
-        _id: new ObjectID(form._id)
-      };
-    } else if (model.toQueryObject) {
-      params = model.toQueryObject(form);
-    } else {
-      params = helpers.Model.toSimpleObject(form);
+    return BPromise.try(() => {
+      if (form._id) {
+        params = {
+          _id: self.objectId(form._id)
+        };
+      } else if (model.toQueryObject) {
+        params = model.toQueryObject(form);
+      } else {
+        params = helpers.Model.toSimpleObject(form);
+      }
 
-    }
+      Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
 
-    Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
-    return self.query('deleteOne', params).then(result => {
-      self.log.debug('DeletedOne ' + collectionName + ' successfully. Count', result.deletedCount);
+      return self.remove('deleteOne', params, opts);
+    }).then(count => {
+      self.log.debug('DeletedOne ' + collectionName + ' successfully. Count', count);
 
-      return BPromise.resolve(result.deletedCount);
+      return BPromise.resolve(count);
     });
   }
 
@@ -643,20 +2792,21 @@ class BaseAdapter {
    * Deletes 1 document into database, with simple object query
    *
    * @param  {Object} model Input model data
+   * @param  {Object} opts Option data: actor, writeConcern
    *
    * @return {Promise}      Inserts promise
    */
-  deleteOneSimple(form) {
+  deleteOneSimple(form, opts) {
 
     let self = this,
       params = helpers.Model.toSimpleObject(form);
 
     Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
 
-    return self.query('deleteOne', params).then(result => {
-      self.log.debug('deleteOneSimple ' + self.collectionName + ' successfully. Count', result.deletedCount);
+    return self.remove('deleteOne', params, opts).then(count => {
+      self.log.debug('deleteOneSimple ' + self.collectionName + ' successfully. Count', count);
 
-      return BPromise.resolve(result.deletedCount);
+      return BPromise.resolve(count);
     });
   }
 
@@ -664,10 +2814,11 @@ class BaseAdapter {
    * Deletes many documents from database
    *
    * @param  {Object} form Input form params
+   * @param  {Object} opts Option data: actor, writeConcern
    *
    * @return {Promise}      Deleted promise
    */
-  deleteMany(form) {
+  deleteMany(form, opts) {
 
     let self = this,
       params = {},
@@ -682,10 +2833,10 @@ class BaseAdapter {
 
     Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
 
-    return self.query('deleteMany', params).then(result => {
-      self.log.debug('DeleteMany ' + collectionName + ' successfully. Count', result.deletedCount);
+    return self.remove('deleteMany', params, opts).then(count => {
+      self.log.debug('DeleteMany ' + collectionName + ' successfully. Count', count);
 
-      return BPromise.resolve(result.deletedCount);
+      return BPromise.resolve(count);
     });
   }
 
@@ -693,41 +2844,496 @@ class BaseAdapter {
    * Deletes many documents from database
    *
    * @param  {Object} form Input form params
+   * @param  {Object} opts Option data: actor, writeConcern
    *
    * @return {Promise}      Deleted promise
    */
-  deleteManySimple(form) {
+  deleteManySimple(form, opts) {
 
     let self = this,
       params = helpers.Model.toSimpleObject(form);
 
     Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
 
-    return self.query('deleteMany', params).then(result => {
-      self.log.debug('DeleteMany ' + this.collectionName + ' successfully. Count', result.deletedCount);
+    return self.remove('deleteMany', params, opts).then(count => {
+      self.log.debug('DeleteMany ' + this.collectionName + ' successfully. Count', count);
 
-      return BPromise.resolve(result.deletedCount);
+      return BPromise.resolve(count);
     });
   }
 
   /**
    * Deletes all documents from database
    *
-   * @param  {Object} form Input form params
+   * @param  {Object} opts Option data: actor, writeConcern
    *
    * @return {Promise}      Deleted promise
    */
-  deleteAll() {
+  deleteAll(opts) {
 
     let self = this,
       params = {};
 
-    return self.query('deleteMany', params).then(result => {
-      self.log.debug('DeleteAll ' + self.collectionName + ' successfully. Count', result.deletedCount);
+    return self.remove('deleteMany', params, opts).then(count => {
+      self.log.debug('DeleteAll ' + self.collectionName + ' successfully. Count', count);
+
+      return BPromise.resolve(count);
+    });
+  }
+
+  /**
+   * Removes documents. Marks them as deleted in soft delete mode
+   *
+   * @param  {String} funcName deleteOne or deleteMany
+   * @param  {Object} params   Query params
+   * @param  {Object} opts     Option data: actor, writeConcern
+   *
+   * @return {Promise}          Resolves deleted count
+   */
+  remove(funcName, params, opts) {
+    opts = opts || {};
+
+    let self = this;
+
+    if (!self.softDelete) {
+      return self.query(funcName, params, self.writeOptions(opts)).then(result => result.deletedCount);
+    }
+
+    return self.query(funcName === 'deleteOne' ? 'updateOne' : 'updateMany', self.scopeQuery(params), self.buildUpdate({
+      $set: {
+        deletedAt: new Date(),
+        deletedBy: opts.actor || self.actor
+      }
+    }), self.writeOptions(opts)).then(result => result.modifiedCount);
+  }
+
+  /**
+   * Restores soft deleted document
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Resolves restored count
+   */
+  restoreOne(form, opts) {
+    return this.restore('updateOne', form, opts);
+  }
+
+  /**
+   * Restores soft deleted documents
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Resolves restored count
+   */
+  restoreMany(form, opts) {
+    return this.restore('updateMany', form, opts);
+  }
+
+  /**
+   * Restores soft deleted documents
+   *
+   * @param  {String} funcName updateOne or updateMany
+   * @param  {Object} form     Query form
+   * @param  {Object} opts     Option data: writeConcern
+   *
+   * @return {Promise}          Resolves restored count
+   */
+  restore(funcName, form, opts) {
+
+    Hoek.assert(this.softDelete, 'Soft delete mode is not enabled on collection ' + this.collectionName);
+
+    let self = this,
+      params = self.buildQueryParams(form);
+
+    Hoek.assert(!helpers.Data.isEmpty(params), 'Params must not be empty');
+
+    return self.query(funcName, Object.assign({}, params, {
+      deletedAt: {
+        $ne: null
+      }
+    }), self.buildUpdate({
+      $unset: {
+        deletedAt: '',
+        deletedBy: ''
+      }
+    }), self.writeOptions(opts)).then(result => {
+      self.log.debug(funcName + ' restore ' + self.collectionName + ' successfully. Count', result.modifiedCount);
+
+      return BPromise.resolve(result.modifiedCount);
+    });
+  }
+
+  /**
+   * Physically removes soft deleted documents, olderThan is required,
+   * 0 purges every soft deleted document
+   *
+   * @param  {Date|Number} olderThan Deleted before this date, or deleted for this number of milliseconds
+   * @param  {Object} opts Option data: writeConcern
+   *
+   * @return {Promise}      Resolves purged count
+   */
+  purgeDeleted(olderThan, opts) {
+
+    Hoek.assert(this.softDelete, 'Soft delete mode is not enabled on collection ' + this.collectionName);
+
+    let self = this;
+
+    return BPromise.try(() => {
+      Hoek.assert((olderThan instanceof Date && !isNaN(olderThan.getTime())) || (typeof(olderThan) === 'number' && olderThan >= 0),
+        'Purge age must be a date or a non negative number of milliseconds');
+
+      let date = olderThan instanceof Date ? olderThan : new Date(Date.now() - olderThan);
+
+      return self.query('deleteMany', {
+        deletedAt: {
+          $ne: null,
+          $lte: date
+        }
+      }, self.writeOptions(opts));
+    }).then(result => {
+      self.log.info('purgeDeleted ' + self.collectionName + ' successfully. Count', result.deletedCount);
 
       return BPromise.resolve(result.deletedCount);
     });
   }
+
+  /**
+   * Builds count filter from query form, empty form matches all documents
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted, filter
+   *
+   * @return {Object}      Query params
+   */
+  buildCountQuery(form, opts) {
+    let params = form && !helpers.Data.isEmpty(form) ? this.buildQueryParams(form) : {};
+
+    return this.scopeQuery(this.filterQuery(params, opts), opts);
+  }
+
+  /**
+   * Counts documents matching query form
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted, filter, skip, limit, maxTimeMS, readPreference, readConcern
+   *
+   * @return {Promise}      Resolves count
+   */
+  count(form, opts) {
+    opts = opts || {};
+
+    let self = this,
+      queryOpts = self.queryOptions(opts);
+
+    ['skip', 'limit', 'maxTimeMS'].forEach(key => {
+      if (opts[key] !== undefined) {
+        queryOpts[key] = opts[key];
+      }
+    });
+
+    return BPromise.try(() => self.buildCountQuery(form, opts)).then(params => {
+      return self.query('countDocuments', params, queryOpts);
+    });
+  }
+
+  /**
+   * Returns estimated number of documents, from collection metadata.
+   * Soft deleted documents are included
+   *
+   * @param  {Object} opts Option data: maxTimeMS, readPreference, readConcern
+   *
+   * @return {Promise}      Resolves count
+   */
+  estimatedCount(opts) {
+    return this.query('estimatedDocumentCount', Object.assign({}, opts, this.queryOptions(opts)));
+  }
+
+  /**
+   * Lists distinct values of field
+   *
+   * @param  {String} field Field path
+   * @param  {Object} form  Query form
+   * @param  {Object} opts  Option data: withDeleted, readPreference, readConcern
+   *
+   * @return {Promise}       Resolves distinct values
+   */
+  distinct(field, form, opts) {
+    Hoek.assert(field, 'Distinct field must not be empty');
+
+    let self = this;
+
+    return BPromise.try(() => self.buildCountQuery(form, opts)).then(params => {
+      return self.query('distinct', field, params, self.queryOptions(opts));
+    });
+  }
+
+  /**
+   * Counts documents grouped by field value
+   *
+   * @param  {String} field Field path
+   * @param  {Object} form  Query form
+   * @param  {Object} opts  Option data: withDeleted, allowDiskUse, readPreference, readConcern
+   *
+   * @return {Promise}       Resolves value => count map, values are stringified
+   */
+  countBy(field, form, opts) {
+    opts = opts || {};
+
+    Hoek.assert(field, 'Group field must not be empty');
+
+    let self = this;
+
+    return BPromise.try(() => {
+      return self.pipeline().match(self.buildCountQuery(form, opts), {
+        raw: true
+      }).group({
+        _id: '$' + field,
+        count: {
+          $sum: 1
+        }
+      });
+    }).then(pipeline => {
+      return self.aggregate(pipeline, Object.assign(MongoHelpers.concernOptions(opts, MongoHelpers.READ_CONCERNS), {
+        withDeleted: true,
+        allowDiskUse: opts.allowDiskUse,
+        model: false
+      }));
+    }).then(results => {
+      let counts = {};
+
+      results.forEach(item => {
+        counts[item._id instanceof Date ? item._id.toISOString() : String(item._id)] = item.count;
+      });
+
+      return counts;
+    });
+  }
+
+  /**
+   * Watches changes of documents matching filter.
+   * Uses change streams, falls back to polling by updatedAt when they are unavailable,
+   * e.g standalone servers. Soft deleted documents are excluded, unless withDeleted is set
+   *
+   * @param  {Object} filter Query form, matched against changed documents
+   * @param  {Object} opts   Option data: key (resume token key), store, thrift (converts with toThriftObject), convert (model converter),
+   *                         polling (forces polling, needs timestamps), pollIntervalMs, batchSize, withDeleted,
+   *                         updatedAtField, createdAtField (default to timestamp fields)
+   *
+   * @return {Promise}        Resolves started Subscription, emitting change events
+   */
+  watch(filter, opts) {
+
+    let self = this,
+      fields = self.timestampFields,
+      params = self.scopeQuery(filter && !helpers.Data.isEmpty(filter) ? self.buildQueryParams(filter) : {}, opts);
+
+    opts = Object.assign({
+      store: self.resumeTokenStore,
+      thrift: false,
+      polling: false,
+      pollIntervalMs: Subscription.DEFAULT_POLL_INTERVAL_MS,
+      batchSize: Subscription.DEFAULT_POLL_BATCH_SIZE,
+      updatedAtField: fields ? fields.updatedAt : null,
+      createdAtField: fields ? fields.createdAt : null
+    }, opts);
+
+    return BPromise.try(() => new Subscription(self, params, opts).start());
+  }
+
+  /**
+   * Lists history entries of document, oldest first
+   *
+   * @param  {String} id   Document id
+   * @param  {Object} opts Option data: limit, skip, order (asc or desc)
+   *
+   * @return {Promise}      Resolves history entries: { documentId, type, operation, filter, changes, actor, timestamp }
+   */
+  getHistory(id, opts) {
+    opts = opts || {};
+
+    Hoek.assert(this.audit, 'Audit trail is not enabled on collection ' + this.collectionName);
+
+    let self = this,
+      history = self.history,
+      direction = opts.order === 'desc' ? -1 : 1;
+
+    return history.connect().then(db => {
+      let cursor = db.collection(history.collectionName).find({
+        documentId: self.objectId(id)
+      }, history.queryOptions(opts)).sort({
+        timestamp: direction,
+        _id: direction
+      });
+
+      if (opts.skip) {
+        cursor = cursor.skip(opts.skip);
+      }
+
+      if (opts.limit) {
+        cursor = cursor.limit(opts.limit);
+      }
+
+      return cursor.toArray();
+    });
+  }
+
+  /**
+   * Reconstructs document state at given time,
+   * by reverting history entries recorded after it on current document
+   *
+   * @param  {String} id Document id
+   * @param  {Date} at Point in time
+   * @param  {Object} opts Option data: readPreference, readConcern of history entries
+   *
+   * @return {Promise}    Resolves document, null if it did not exist at that time
+   */
+  getStateAt(id, at, opts) {
+
+    Hoek.assert(this.audit, 'Audit trail is not enabled on collection ' + this.collectionName);
+    Hoek.assert(at, 'Point in time must not be empty');
+
+    let self = this,
+      history = self.history,
+      documentId = null;
+
+    return BPromise.try(() => {
+      documentId = self.objectId(id);
+
+      return self.findSnapshots({
+        _id: documentId
+      });
+    }).then(docs => BPromise.all([
+      docs,
+      history.connect().then(db => {
+        return db.collection(history.collectionName).find({
+          documentId: documentId,
+          timestamp: {
+            $gt: new Date(at)
+          }
+        }, history.queryOptions(opts)).sort({
+          timestamp: -1,
+          _id: -1
+        }).toArray();
+      })
+    ])).spread((docs, entries) => {
+      return entries.reduce(AuditTrail.undo, docs[0] || null);
+    });
+  }
+
+  /**
+   * Creates declared indexes, existing indexes are kept.
+   * History collection index is created too, in audit mode
+   *
+   * @return {Promise}      Resolves created index names
+   */
+  ensureIndexes() {
+
+    let self = this,
+      specs = self.indexes.map(IndexHelpers.normalize);
+
+    let prom = self.audit ? self.history.query('createIndexes', [AuditTrail.HISTORY_INDEX]) : BPromise.resolve();
+
+    if (!specs.length) {
+      return prom.then(() => []);
+    }
+
+    return prom.then(() => self.query('createIndexes', specs)).then(() => {
+      self.log.info('ensureIndexes ' + self.collectionName + ' successfully');
+
+      return BPromise.resolve(specs.map(spec => spec.name));
+    });
+  }
+
+  /**
+   * Syncs declared indexes with existing indexes.
+   * Changed indexes are dropped then recreated
+   *
+   * @param  {Object} opts Option data: dropExtra drops undeclared indexes, dryRun only reports changes
+   *
+   * @return {Promise}      Resolves report { collection, create, drop, unchanged, extra, dryRun }
+   */
+  syncIndexes(opts) {
+    opts = opts || {};
+
+    let self = this;
+
+    return self.connect().then(db => {
+      return db.listCollections({
+        name: self.collectionName
+      }).toArray();
+    }).then(collections => {
+      return collections.length ? self.query('indexes') : [];
+    }).then(existing => {
+
+      let diff = IndexHelpers.diff(self.indexes, existing),
+        creates = diff.create.concat(diff.changed),
+        drops = diff.changed.concat(opts.dropExtra ? diff.extra : []),
+        report = {
+          collection: self.collectionName,
+          create: creates.map(spec => spec.name),
+          drop: drops.map(spec => spec.name),
+          unchanged: diff.unchanged.map(spec => spec.name),
+          extra: diff.extra.map(spec => spec.name),
+          dryRun: !!opts.dryRun
+        };
+
+      if (opts.dryRun) {
+        return BPromise.resolve(report);
+      }
+
+      return BPromise.each(drops, spec => self.query('dropIndex', spec.name)).then(() => {
+        return creates.length ? self.query('createIndexes', creates) : null;
+      }).then(() => {
+        self.log.info(report, 'syncIndexes ' + self.collectionName + ' successfully');
+
+        return report;
+      });
+    });
+  }
+
+  /**
+   * Pushes schema to MongoDB as $jsonSchema collection validator, creates collection if it does not exist
+   *
+   * @param  {Object} opts Option data: validationLevel (strict, moderate), validationAction (error, warn)
+   *
+   * @return {Promise}      Resolves validator
+   */
+  syncValidator(opts) {
+    opts = opts || {};
+
+    let self = this;
+
+    Hoek.assert(self.schema, 'Schema of ' + self.collectionName + ' is not declared');
+
+    let validator = {
+        $jsonSchema: self.schema.toJsonSchema()
+      },
+      options = {
+        validator: validator,
+        validationLevel: opts.validationLevel || 'strict',
+        validationAction: opts.validationAction || 'error'
+      };
+
+    return self.connect().then(db => {
+      return db.listCollections({
+        name: self.collectionName
+      }).toArray().then(collections => {
+        if (!collections.length) {
+          return db.createCollection(self.collectionName, options);
+        }
+
+        return db.command(Object.assign({
+          collMod: self.collectionName
+        }, options));
+      });
+    }).then(() => {
+      self.log.info(options, 'syncValidator ' + self.collectionName + ' successfully');
+
+      return validator;
+    });
+  }
 }
 
 module.exports = BaseAdapter;
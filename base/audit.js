@@ -0,0 +1,305 @@
+'use strict';
+
+const Hoek = require('hoek');
+
+const OPTIONS_INDEX = require('./helpers').OPTIONS_INDEX;
+
+const HISTORY_SUFFIX = '_history';
+const HISTORY_INDEX = {
+  key: {
+    documentId: 1,
+    timestamp: -1
+  },
+  name: 'documentId_1_timestamp_-1'
+};
+
+const SINGLE_OPERATIONS = ['updateOne', 'replaceOne', 'deleteOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'];
+const MULTI_OPERATIONS = ['updateMany', 'deleteMany'];
+const ATOMIC_OPERATIONS = {
+  updateOne: 'findOneAndUpdate',
+  replaceOne: 'findOneAndReplace',
+  deleteOne: 'findOneAndDelete',
+  findOneAndUpdate: 'findOneAndUpdate',
+  findOneAndReplace: 'findOneAndReplace',
+  findOneAndDelete: 'findOneAndDelete'
+};
+
+class AuditTrail {
+
+  /**
+   * Lists documents touched by a write operation.
+   * Each target is { operation, document } for inserts,
+   * { operation, filter, multi, upsert, sort, index } for updates and deletes
+   *
+   * @param  {String} funcName Collection function name
+   * @param  {Array} args     Function arguments
+   *
+   * @return {Array}          Targets, null if operation is not a write
+   */
+  static targets(funcName, args) {
+
+    let opts = args[OPTIONS_INDEX[funcName]] || {};
+
+    if (funcName === 'insertOne') {
+      return [{
+        operation: funcName,
+        document: args[0]
+      }];
+    }
+
+    if (funcName === 'insertMany') {
+      return args[0].map(doc => {
+        return {
+          operation: 'insertOne',
+          document: doc
+        };
+      });
+    }
+
+    if (SINGLE_OPERATIONS.indexOf(funcName) !== -1 || MULTI_OPERATIONS.indexOf(funcName) !== -1) {
+      return [{
+        operation: funcName,
+        filter: args[0] || {},
+        multi: MULTI_OPERATIONS.indexOf(funcName) !== -1,
+        upsert: !!opts.upsert,
+        sort: opts.sort
+      }];
+    }
+
+    if (funcName === 'bulkWrite') {
+      return args[0].map((op, index) => {
+        let type = Object.keys(op)[0],
+          body = op[type];
+
+        if (type === 'insertOne') {
+          return {
+            operation: type,
+            document: body.document,
+            index: index
+          };
+        }
+
+        return {
+          operation: type,
+          filter: body.filter || {},
+          multi: /Many$/.test(type),
+          upsert: !!body.upsert,
+          index: index
+        };
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns find and modify operation running a single document write,
+   * which returns the original document in the same command
+   *
+   * @param  {String} funcName Collection function name
+   * @param  {Array} args     Function arguments
+   *
+   * @return {Object}          { funcName, args }, null if operation may write many documents
+   */
+  static atomicOperation(funcName, args) {
+
+    let name = ATOMIC_OPERATIONS[funcName];
+
+    if (!name) {
+      return null;
+    }
+
+    let index = OPTIONS_INDEX[funcName],
+      results = args.slice();
+
+    while (results.length < index) {
+      results.push(undefined);
+    }
+
+    // whole original document is diffed, projection is not applied
+    results[index] = Object.assign({}, results[index], {
+      returnOriginal: true,
+      returnDocument: 'before'
+    });
+
+    delete results[index].projection;
+    delete results[index].fields;
+
+    return {
+      funcName: name,
+      args: results
+    };
+  }
+
+  /**
+   * Converts find and modify result back into result of requested operation
+   *
+   * @param  {String} funcName Requested function name
+   * @param  {Array} args     Requested function arguments
+   * @param  {Object} result   Find and modify result, its value is the original document
+   * @param  {Object} after    Document after the write, null if it was removed
+   *
+   * @return {Object}          Operation result
+   */
+  static atomicResult(funcName, args, result, after) {
+
+    let before = result.value || null,
+      opts = args[OPTIONS_INDEX[funcName]] || {},
+      upserted = result.lastErrorObject ? result.lastErrorObject.upserted || null : null;
+
+    if (funcName === 'findOneAndDelete') {
+      return result;
+    }
+
+    if (funcName.indexOf('findOneAnd') === 0) {
+      return Object.assign({}, result, {
+        value: opts.returnOriginal === false || opts.returnDocument === 'after' ? after : before
+      });
+    }
+
+    if (funcName === 'deleteOne') {
+      return {
+        deletedCount: before ? 1 : 0,
+        result: {
+          ok: 1,
+          n: before ? 1 : 0
+        }
+      };
+    }
+
+    let modified = before && AuditTrail.diff(before, after).length ? 1 : 0;
+
+    return {
+      matchedCount: before ? 1 : 0,
+      modifiedCount: modified,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? {
+        index: 0,
+        _id: upserted
+      } : null,
+      result: {
+        ok: 1,
+        n: before || upserted ? 1 : 0,
+        nModified: modified
+      }
+    };
+  }
+
+  /**
+   * Returns id of document inserted by an upsert target
+   *
+   * @param  {String} funcName Collection function name
+   * @param  {Object} result   Operation result
+   * @param  {Object} target   Upsert target
+   *
+   * @return {ObjectID}          Upserted id, null if nothing was inserted
+   */
+  static upsertedId(funcName, result, target) {
+    if (!result || !target.upsert) {
+      return null;
+    }
+
+    if (funcName === 'bulkWrite') {
+      return result.upsertedIds ? result.upsertedIds[target.index] || null : null;
+    }
+
+    if (funcName.indexOf('findOneAnd') === 0) {
+      return result.lastErrorObject ? result.lastErrorObject.upserted || null : null;
+    }
+
+    return result.upsertedId ? result.upsertedId._id : null;
+  }
+
+  /**
+   * Compares document states, field by field
+   *
+   * @param  {Object} before Document before the write, null if it did not exist
+   * @param  {Object} after  Document after the write, null if it was removed
+   *
+   * @return {Array}        Changes: [{ field, from, to }], from/to are omitted when the field is absent
+   */
+  static diff(before, after) {
+
+    let changes = [],
+      fields = Object.keys(Object.assign({}, before, after));
+
+    fields.forEach(field => {
+      if (field === '_id') {
+        return;
+      }
+
+      let from = before ? before[field] : undefined,
+        to = after ? after[field] : undefined;
+
+      if (Hoek.deepEqual(from, to, {
+          prototype: false
+        })) {
+        return;
+      }
+
+      let change = {
+        field: field
+      };
+
+      if (from !== undefined) {
+        change.from = from;
+      }
+
+      if (to !== undefined) {
+        change.to = to;
+      }
+
+      changes.push(change);
+    });
+
+    return changes;
+  }
+
+  /**
+   * Returns history entry type
+   *
+   * @param  {Object} before Document before the write
+   * @param  {Object} after  Document after the write
+   *
+   * @return {String}        insert, update or delete
+   */
+  static type(before, after) {
+    if (!before) {
+      return 'insert';
+    }
+
+    return after ? 'update' : 'delete';
+  }
+
+  /**
+   * Reverts history entry on document state
+   *
+   * @param  {Object} state Document state after the entry
+   * @param  {Object} entry History entry
+   *
+   * @return {Object}       Document state before the entry, null if it did not exist
+   */
+  static undo(state, entry) {
+    if (entry.type === 'insert') {
+      return null;
+    }
+
+    let result = Object.assign({
+      _id: entry.documentId
+    }, state);
+
+    entry.changes.forEach(change => {
+      if (change.hasOwnProperty('from')) {
+        result[change.field] = change.from;
+      } else {
+        delete result[change.field];
+      }
+    });
+
+    return result;
+  }
+}
+
+module.exports = AuditTrail;
+module.exports.HISTORY_SUFFIX = HISTORY_SUFFIX;
+module.exports.HISTORY_INDEX = HISTORY_INDEX;
@@ -0,0 +1,200 @@
+'use strict';
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+class BulkReport {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {Number} total   Number of requested operations
+   * @param  {Boolean} ordered Ordered mode
+   */
+  constructor(total, ordered) {
+    this.total = total;
+    this.ordered = ordered;
+    this.insertedCount = 0;
+    this.upsertedCount = 0;
+    this.matchedCount = 0;
+    this.modifiedCount = 0;
+    this.deletedCount = 0;
+    this.insertedIds = {};
+    this.upsertedIds = {};
+    this.failures = [];
+    this.skipped = [];
+    this.models = [];
+  }
+
+  /**
+   * Returns true if no operation failed or was skipped
+   *
+   * @return {Boolean}
+   */
+  get ok() {
+    return this.failures.length === 0 && this.skipped.length === 0;
+  }
+
+  /**
+   * Records failed operation
+   *
+   * @param  {Number} index Original operation index
+   * @param  {Error} err   Error object
+   */
+  addFailure(index, err) {
+    this.failures.push({
+      index: index,
+      code: err.code || null,
+      message: err.errmsg || err.message || String(err),
+      error: err
+    });
+  }
+
+  /**
+   * Records operations which were not executed
+   *
+   * @param  {Array} indexes Original operation indexes
+   */
+  skip(indexes) {
+    this.skipped = this.skipped.concat(indexes);
+  }
+
+  /**
+   * Merges result of an executed chunk into report
+   *
+   * @param  {Array} chunk  Prepared operations: { index, type, model, operation }
+   * @param  {Object} result Bulk write result, may be null if chunk failed
+   * @param  {Error} err    Bulk write error
+   */
+  merge(chunk, result, err) {
+
+    let self = this,
+      failed = {},
+      stopAt = chunk.length;
+
+    result = result || (err ? err.result : null);
+
+    if (err) {
+      let writeErrors = err.writeErrors ? [].concat(err.writeErrors) : (typeof(err.index) === 'number' ? [err] : null);
+
+      if (writeErrors) {
+        writeErrors.forEach(writeError => {
+          failed[writeError.index] = true;
+          self.addFailure(chunk[writeError.index].index, writeError);
+          stopAt = Math.min(stopAt, writeError.index);
+        });
+      } else {
+        // connection or write concern error, state of the whole chunk is unknown
+        chunk.forEach((item, i) => {
+          failed[i] = true;
+          self.addFailure(item.index, err);
+        });
+      }
+
+      if (self.ordered && stopAt < chunk.length - 1) {
+        self.skip(chunk.slice(stopAt + 1).map(item => item.index));
+      }
+    }
+
+    if (result) {
+      self.matchedCount += result.matchedCount || result.nMatched || 0;
+      self.modifiedCount += result.modifiedCount || result.nModified || 0;
+      self.deletedCount += result.deletedCount || result.nRemoved || 0;
+
+      let upsertedIds = BulkReport.upsertedIds(result);
+      Object.keys(upsertedIds).forEach(i => {
+        let item = chunk[i];
+        self.upsertedIds[item.index] = upsertedIds[i];
+        self.upsertedCount++;
+        if (item.model) {
+          item.model._id = upsertedIds[i];
+        }
+      });
+    }
+
+    chunk.forEach((item, i) => {
+      if (failed[i] || (self.ordered && err && i > stopAt)) {
+        return;
+      }
+
+      if (item.type === 'insertOne') {
+        self.insertedIds[item.index] = item.model._id;
+        self.insertedCount++;
+      }
+
+      if (item.model) {
+        self.models[item.index] = item.model;
+      }
+    });
+  }
+
+  /**
+   * Returns plain report object
+   *
+   * @return {Object}
+   */
+  toJSON() {
+    return {
+      ok: this.ok,
+      total: this.total,
+      insertedCount: this.insertedCount,
+      upsertedCount: this.upsertedCount,
+      matchedCount: this.matchedCount,
+      modifiedCount: this.modifiedCount,
+      deletedCount: this.deletedCount,
+      insertedIds: this.insertedIds,
+      upsertedIds: this.upsertedIds,
+      failures: this.failures.map(failure => {
+        return {
+          index: failure.index,
+          code: failure.code,
+          message: failure.message
+        };
+      }),
+      skipped: this.skipped
+    };
+  }
+
+  /**
+   * Reads upserted ids of bulk write result by operation index.
+   * BulkWriteResult of failed bulk writes lists them by getUpsertedIds, without upsertedIds map
+   *
+   * @param  {Object} result Bulk write result
+   *
+   * @return {Object}        Upserted ids by operation index
+   */
+  static upsertedIds(result) {
+    if (typeof(result.getUpsertedIds) !== 'function') {
+      return result.upsertedIds || {};
+    }
+
+    let ids = {};
+
+    (result.getUpsertedIds() || []).forEach(upserted => {
+      ids[upserted.index] = upserted._id;
+    });
+
+    return ids;
+  }
+
+  /**
+   * Splits array into chunks
+   *
+   * @param  {Array} arr  Input array
+   * @param  {Number} size Chunk size
+   *
+   * @return {Array}      Chunks
+   */
+  static chunk(arr, size) {
+    size = size || DEFAULT_BATCH_SIZE;
+
+    let chunks = [];
+    for (let i = 0; i < arr.length; i += size) {
+      chunks.push(arr.slice(i, i + size));
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = BulkReport;
+module.exports.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
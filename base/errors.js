@@ -0,0 +1,346 @@
+'use strict';
+
+const ObjectID = require('mongodb').ObjectID;
+
+const DUPLICATE_KEY_CODES = [11000, 11001, 12582];
+const TIMEOUT_CODES = [
+  50, // MaxTimeMSExpired
+  89, // NetworkTimeout
+  262 // ExceededTimeLimit
+];
+const UNAVAILABLE_CODES = [
+  6, // HostUnreachable
+  7, // HostNotFound
+  91, // ShutdownInProgress
+  189, // PrimarySteppedDown
+  9001, // SocketException
+  10107, // NotMaster
+  11600, // InterruptedAtShutdown
+  11602, // InterruptedDueToReplStateChange
+  13435, // NotMasterNoSlaveOk
+  13436 // NotMasterOrSecondary
+];
+const UNAVAILABLE_NAMES = ['MongoNetworkError', 'MongoServerSelectionError', 'MongoTimeoutError'];
+
+/**
+ * Default exception codes by error type, override by `errors.mongo` config
+ */
+const EXCEPTION_CODES = {
+  mongo: 500,
+  conflict: 409,
+  validation: 400,
+  duplicateKey: 409,
+  notFound: 404,
+  timeout: 504,
+  unavailable: 503,
+  invalidId: 400
+};
+
+class AdapterError extends Error {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data, e.g collection
+   */
+  constructor(message, data) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.type = 'mongo';
+    this.data = data || {};
+    this.collection = this.data.collection || null;
+    this.cause = this.data.cause || null;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  /**
+   * Returns error details sent with exceptions
+   *
+   * @return {Object}
+   */
+  get details() {
+    return {};
+  }
+
+  /**
+   * Returns error labels of driver error, e.g TransientTransactionError
+   *
+   * @return {Array}
+   */
+  get errorLabels() {
+    return this.cause && this.cause.errorLabels ? this.cause.errorLabels : [];
+  }
+
+  /**
+   * Checks driver error label, pool.withTransaction retries on these labels
+   *
+   * @param  {String}  label Error label
+   *
+   * @return {Boolean}
+   */
+  hasErrorLabel(label) {
+    if (this.cause && typeof(this.cause.hasErrorLabel) === 'function') {
+      return this.cause.hasErrorLabel(label);
+    }
+
+    return this.errorLabels.indexOf(label) !== -1;
+  }
+}
+
+class ConflictError extends AdapterError {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data: collection, expectedVersion, currentVersion
+   */
+  constructor(message, data) {
+    super(message, data);
+
+    this.code = 409;
+    this.type = 'conflict';
+    this.expectedVersion = this.data.expectedVersion;
+    this.currentVersion = this.data.currentVersion;
+  }
+
+  /**
+   * Returns error details sent with exceptions
+   *
+   * @return {Object}
+   */
+  get details() {
+    return {
+      expectedVersion: this.expectedVersion,
+      currentVersion: this.currentVersion
+    };
+  }
+}
+
+class ValidationError extends AdapterError {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data: collection, errors ({ path, rule, message })
+   */
+  constructor(message, data) {
+    super(message, data);
+
+    this.code = 400;
+    this.type = 'validation';
+    this.errors = this.data.errors || [];
+  }
+
+  /**
+   * Returns error details sent with exceptions
+   *
+   * @return {Object}
+   */
+  get details() {
+    return {
+      fields: this.errors.map(error => {
+        return {
+          path: error.path,
+          rule: error.rule,
+          message: error.message
+        };
+      })
+    };
+  }
+
+  /**
+   * Returns invalid field paths
+   *
+   * @return {Array}
+   */
+  get paths() {
+    return this.errors.map(error => error.path);
+  }
+}
+
+class DuplicateKeyError extends AdapterError {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data: collection, index, key, cause
+   */
+  constructor(message, data) {
+    super(message, data);
+
+    this.code = 409;
+    this.type = 'duplicateKey';
+    this.index = this.data.index || null;
+    this.key = this.data.key || null;
+  }
+
+  /**
+   * Returns error details sent with exceptions
+   *
+   * @return {Object}
+   */
+  get details() {
+    return {
+      index: this.index,
+      key: this.key
+    };
+  }
+}
+
+class NotFoundError extends AdapterError {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data: collection
+   */
+  constructor(message, data) {
+    super(message, data);
+
+    this.code = 404;
+    this.type = 'notFound';
+  }
+}
+
+class TimeoutError extends AdapterError {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data: collection, cause
+   */
+  constructor(message, data) {
+    super(message, data);
+
+    this.code = 504;
+    this.type = 'timeout';
+  }
+}
+
+class UnavailableError extends AdapterError {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data: collection, cause
+   */
+  constructor(message, data) {
+    super(message, data);
+
+    this.code = 503;
+    this.type = 'unavailable';
+  }
+}
+
+class InvalidIdError extends AdapterError {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {String} message Error message
+   * @param  {Object} data    Error data: collection, value
+   */
+  constructor(message, data) {
+    super(message, data);
+
+    this.code = 400;
+    this.type = 'invalidId';
+    this.value = this.data.value;
+  }
+
+  /**
+   * Returns error details sent with exceptions
+   *
+   * @return {Object}
+   */
+  get details() {
+    return {
+      value: this.value === undefined || this.value === null ? this.value : String(this.value)
+    };
+  }
+}
+
+/**
+ * Translates driver error into library error, unknown errors are returned as is
+ *
+ * @param  {Error} err  Driver error
+ * @param  {Object} data Error data, e.g collection
+ *
+ * @return {Error}
+ */
+function translate(err, data) {
+  if (!err || err instanceof AdapterError) {
+    return err;
+  }
+
+  let message = err.errmsg || err.message,
+    details = Object.assign({}, data, {
+      cause: err
+    });
+
+  if (DUPLICATE_KEY_CODES.indexOf(err.code) !== -1) {
+    let matches = /index: (\S+) dup key: (\{.*\})/.exec(message || '');
+
+    return new DuplicateKeyError(message, Object.assign(details, {
+      index: matches ? matches[1] : null,
+      key: err.keyValue || (matches ? matches[2] : null)
+    }));
+  }
+
+  if (UNAVAILABLE_CODES.indexOf(err.code) !== -1 || UNAVAILABLE_NAMES.indexOf(err.name) !== -1) {
+    return new UnavailableError(message, details);
+  }
+
+  if (TIMEOUT_CODES.indexOf(err.code) !== -1 || err.name === 'MongoNetworkTimeoutError' || /timed out/i.test(message)) {
+    return new TimeoutError(message, details);
+  }
+
+  return err;
+}
+
+/**
+ * Converts value to ObjectID
+ *
+ * @param  {Mixed} value ObjectID or its 24 characters hex string
+ * @param  {Object} data  Error data, e.g collection
+ *
+ * @throws {InvalidIdError} If value is not a valid id
+ *
+ * @return {ObjectID}
+ */
+function toObjectID(value, data) {
+  if (value instanceof ObjectID) {
+    return value;
+  }
+
+  if (typeof(value) !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value)) {
+    throw new InvalidIdError('Invalid id: ' + value, Object.assign({}, data, {
+      value: value
+    }));
+  }
+
+  return new ObjectID(value);
+}
+
+module.exports = {
+  AdapterError: AdapterError,
+  ConflictError: ConflictError,
+  ValidationError: ValidationError,
+  DuplicateKeyError: DuplicateKeyError,
+  NotFoundError: NotFoundError,
+  TimeoutError: TimeoutError,
+  UnavailableError: UnavailableError,
+  InvalidIdError: InvalidIdError,
+  translate: translate,
+  toObjectID: toObjectID,
+  EXCEPTION_CODES: EXCEPTION_CODES
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const Hoek = require('hoek');
+const Transform = require('stream').Transform;
+const ObjectID = require('mongodb').ObjectID;
+
+const FORMATS = ['ndjson', 'csv', 'extended-json'];
+
+class ExportFormatter extends Transform {
+
+  /**
+   * Formats documents into export lines
+   *
+   * @param  {Object} opts Option data: format (ndjson, csv, extended-json), fields, header (csv, defaults to true)
+   */
+  constructor(opts) {
+    opts = opts || {};
+
+    super({
+      writableObjectMode: true
+    });
+
+    this.format = opts.format || 'ndjson';
+    this.fields = ExportFormatter.parseFields(opts.fields);
+    this.header = opts.header !== false;
+    this.count = 0;
+
+    Hoek.assert(FORMATS.indexOf(this.format) !== -1, 'Unsupported export format: ' + this.format);
+  }
+
+  /**
+   * Formats one document
+   *
+   * @param  {Object}   doc      Mongo document
+   * @param  {String}   encoding Ignored
+   * @param  {Function} callback Transform callback
+   */
+  _transform(doc, encoding, callback) {
+    let line = '';
+
+    try {
+      if (this.format === 'csv') {
+        if (!this.fields) {
+          this.fields = Object.keys(doc);
+        }
+
+        if (this.header && !this.count) {
+          line += ExportFormatter.csvRow(this.fields) + '\n';
+        }
+
+        line += ExportFormatter.csvRow(this.fields.map(field => {
+          let value = ExportFormatter.formatValue(Hoek.reach(doc, field), false);
+          return value !== null && typeof(value) === 'object' ? JSON.stringify(value) : value;
+        })) + '\n';
+      } else {
+        line = JSON.stringify(ExportFormatter.formatValue(this.select(doc), this.format === 'extended-json')) + '\n';
+      }
+    } catch (e) {
+      return callback(e);
+    }
+
+    this.count++;
+
+    callback(null, line);
+  }
+
+  /**
+   * Picks selected fields of document
+   *
+   * @param  {Object} doc Mongo document
+   *
+   * @return {Object}
+   */
+  select(doc) {
+    if (!this.fields) {
+      return doc;
+    }
+
+    let result = {};
+    this.fields.forEach(field => {
+      let value = Hoek.reach(doc, field);
+
+      if (value !== undefined) {
+        result[field] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Normalizes field selection
+   *
+   * @param  {Array|String} fields Field array or comma separated string
+   *
+   * @return {Array}        Fields, null if all fields are exported
+   */
+  static parseFields(fields) {
+    if (!fields) {
+      return null;
+    }
+
+    return (Array.isArray(fields) ? fields : String(fields).split(',')).map(field => field.trim()).filter(field => field);
+  }
+
+  /**
+   * Formats ObjectIDs and dates, recursively.
+   * Extended JSON keeps their types as { $oid } and { $date }, other formats use hex and ISO strings
+   *
+   * @param  {Mixed} value    Value
+   * @param  {Boolean} extended Uses extended JSON
+   *
+   * @return {Mixed}          Formatted value
+   */
+  static formatValue(value, extended) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (value instanceof ObjectID) {
+      return extended ? {
+        $oid: value.toHexString()
+      } : value.toHexString();
+    }
+
+    if (value instanceof Date) {
+      return extended ? {
+        $date: value.toISOString()
+      } : value.toISOString();
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => ExportFormatter.formatValue(item, extended));
+    }
+
+    if (typeof(value) === 'object') {
+      let result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = ExportFormatter.formatValue(value[key], extended);
+      });
+
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Builds CSV row, values containing separators, quotes or new lines are quoted
+   *
+   * @param  {Array} values Row values
+   *
+   * @return {String}
+   */
+  static csvRow(values) {
+    return values.map(value => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+
+      value = String(value);
+
+      return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }).join(',');
+  }
+}
+
+module.exports = ExportFormatter;
+module.exports.FORMATS = FORMATS;
@@ -7,6 +7,49 @@
 
 'use strict';
 
+const Hoek = require('hoek');
+const ObjectID = require('mongodb').ObjectID;
+
+// position of options argument of collection functions
+const OPTIONS_INDEX = {
+  indexes: 0,
+  find: 1,
+  findOne: 1,
+  count: 1,
+  countDocuments: 1,
+  estimatedDocumentCount: 0,
+  aggregate: 1,
+  insertOne: 1,
+  insertMany: 1,
+  bulkWrite: 1,
+  deleteOne: 1,
+  deleteMany: 1,
+  findOneAndDelete: 1,
+  createIndexes: 1,
+  dropIndex: 1,
+  distinct: 2,
+  updateOne: 2,
+  updateMany: 2,
+  replaceOne: 2,
+  findOneAndUpdate: 2,
+  findOneAndReplace: 2
+};
+
+// collection functions which only read, every other function writes
+const READ_OPERATIONS = ['find', 'findOne', 'count', 'countDocuments', 'estimatedDocumentCount', 'aggregate', 'distinct', 'geoNear',
+  'indexes', 'indexInformation', 'stats'
+];
+const READ_CONCERNS = ['readPreference', 'readConcern'];
+const WRITE_CONCERNS = ['writeConcern'];
+
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'like', 'between', 'exists'];
+const BOOLEAN_VALUES = {
+  'true': true,
+  '1': true,
+  'false': false,
+  '0': false
+};
+
 class MongoHelpers {
 
   /**
@@ -90,6 +133,476 @@ class MongoHelpers {
         return buildArrayFunc(oParts);
     }
   }
+
+  /**
+   * Builds projection from fields and exclude options.
+   * Fields and excluded fields are arrays or comma separated strings,
+   * only _id can be excluded together with included fields
+   *
+   * @param  {Object} opts   Option data: fields, exclude
+   * @param  {String} prefix Path prefix of projected fields, e.g for grouped documents
+   *
+   * @return {Object}        Projection, null if there is no projection
+   */
+  static buildProjection(opts, prefix) {
+
+    opts = opts || {};
+
+    let toArray = value => {
+        if (!value) {
+          return [];
+        }
+
+        return (Array.isArray(value) ? value : String(value).split(',')).map(field => field.trim()).filter(field => field);
+      },
+      fields = toArray(opts.fields),
+      exclude = toArray(opts.exclude),
+      projection = {};
+
+    if (!fields.length && !exclude.length) {
+      return null;
+    }
+
+    Hoek.assert(!fields.length || exclude.every(field => field === '_id'), 'Only _id can be excluded together with included fields');
+
+    prefix = prefix ? prefix + '.' : '';
+
+    fields.forEach(field => {
+      projection[prefix + field] = 1;
+    });
+
+    exclude.forEach(field => {
+      projection[prefix + field] = 0;
+    });
+
+    return projection;
+  }
+
+  /**
+   * Merges extra options into options argument of collection function.
+   * Explicit options win over extra options
+   *
+   * @param  {String} funcName Collection function name
+   * @param  {Array} args     Function arguments
+   * @param  {Object} extra    Extra options, e.g { session }
+   *
+   * @return {Array}          New arguments
+   */
+  static applyQueryOptions(funcName, args, extra) {
+
+    let index = OPTIONS_INDEX[funcName];
+
+    if (index === undefined || !extra || !Object.keys(extra).length) {
+      return args;
+    }
+
+    let results = args.slice();
+    while (results.length < index) {
+      results.push(undefined);
+    }
+
+    results[index] = Object.assign({}, extra, results[index] || {});
+
+    return results;
+  }
+
+  /**
+   * Picks read preference, read concern and write concern, normalized into driver options.
+   * Read concern may be given by level, write concern by w, e.g { readConcern: 'majority', writeConcern: 1 }
+   *
+   * @param  {Object} source Option data or connection config
+   * @param  {Array} keys   Option names, defaults to all of them
+   *
+   * @return {Object}        Driver options, only contains given options
+   */
+  static concernOptions(source, keys) {
+    let result = {};
+
+    (keys || READ_CONCERNS.concat(WRITE_CONCERNS)).forEach(key => {
+      let value = source ? source[key] : null;
+
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      if (key === 'readConcern' && typeof(value) === 'string') {
+        value = {
+          level: value
+        };
+      } else if (key === 'writeConcern' && typeof(value) !== 'object') {
+        value = {
+          w: value
+        };
+      }
+
+      result[key] = value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Returns filter shape, values are replaced by placeholders
+   *
+   * @param  {mixed} filter Mongo filter
+   *
+   * @return {mixed}        Filter shape
+   */
+  static filterShape(filter) {
+
+    if (Array.isArray(filter)) {
+      return filter.length ? [MongoHelpers.filterShape(filter[0])] : [];
+    }
+
+    if (!filter || typeof(filter) !== 'object' || filter instanceof ObjectID || filter instanceof Date || filter instanceof RegExp) {
+      return '?';
+    }
+
+    let results = {};
+    Object.keys(filter).forEach(key => {
+      results[key] = MongoHelpers.filterShape(filter[key]);
+    });
+
+    return results;
+  }
+
+  /**
+   * Builds a deterministic sort spec for keyset pagination.
+   * Appends _id as tie breaker when it is not part of the order
+   *
+   * @param  {Object} sortOptions Sort options, built by buildOrder
+   *
+   * @return {Object}             Sort spec
+   */
+  static buildCursorSort(sortOptions) {
+
+    let sort = Hoek.clone(sortOptions || {}),
+      keys = Object.keys(sort);
+
+    if (!sort.hasOwnProperty('_id')) {
+      sort._id = keys.length ? sort[keys[keys.length - 1]] : 1;
+    }
+
+    return sort;
+  }
+
+  /**
+   * Encodes cursor token from the last document of current page
+   *
+   * @param  {Object} doc  Mongo document
+   * @param  {Object} sort Sort spec
+   *
+   * @return {String}      Opaque cursor token
+   */
+  static encodeCursor(doc, sort) {
+
+    let values = Object.keys(sort).map(key => {
+      let value = Hoek.reach(doc, key);
+
+      if (value instanceof ObjectID) {
+        return { $oid: value.toHexString() };
+      }
+
+      if (value instanceof Date) {
+        return { $date: value.toISOString() };
+      }
+
+      return value === undefined ? null : value;
+    });
+
+    return Buffer.from(JSON.stringify(values)).toString('base64');
+  }
+
+  /**
+   * Decodes cursor token into sort key values
+   *
+   * @param  {String} token Cursor token
+   * @param  {Object} sort  Sort spec
+   *
+   * @return {Array}        Sort key values
+   */
+  static decodeCursor(token, sort) {
+
+    let values = null;
+
+    try {
+      values = JSON.parse(Buffer.from(token, 'base64').toString());
+    } catch (e) {
+      values = null;
+    }
+
+    Hoek.assert(Array.isArray(values) && values.length === Object.keys(sort).length, 'Invalid pagination cursor: ' + token);
+
+    return values.map(value => {
+      if (value && typeof(value) === 'object') {
+        if (value.$oid) {
+          return new ObjectID(value.$oid);
+        }
+
+        if (value.$date) {
+          return new Date(value.$date);
+        }
+      }
+
+      return value;
+    });
+  }
+
+  /**
+   * Builds query that selects documents after cursor values.
+   * Null and missing values sort first, but $gt and $lt never match them, so they are handled explicitly
+   *
+   * @param  {Object} sort   Sort spec
+   * @param  {Array} values Sort key values of the last document
+   *
+   * @return {Object}        Mongo query
+   */
+  static buildCursorQuery(sort, values) {
+
+    let keys = Object.keys(sort),
+      conditions = [];
+
+    keys.forEach((key, i) => {
+      let condition = {},
+        value = values[i],
+        descending = sort[key] < 0;
+
+      // nothing sorts after null in descending order
+      if (descending && value === null) {
+        return;
+      }
+
+      for (let j = 0; j < i; j++) {
+        condition[keys[j]] = values[j];
+      }
+
+      if (value === null) {
+        condition[key] = {
+          $ne: null
+        };
+      } else if (descending) {
+        condition.$or = [{
+          [key]: {
+            $lt: value
+          }
+        }, {
+          [key]: null
+        }];
+      } else {
+        condition[key] = {
+          $gt: value
+        };
+      }
+
+      conditions.push(condition);
+    });
+
+    if (!conditions.length) {
+      // last document of every key, no more pages
+      return {
+        _id: {
+          $exists: false
+        }
+      };
+    }
+
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+  }
+
+  /**
+   * Converts raw filter value to field type
+   *
+   * @param  {String} value Raw value
+   * @param  {String} type  Field type: string, number, boolean, date, objectid
+   * @param  {String} field Field name, for error messages
+   *
+   * @return {Mixed}       Converted value
+   */
+  static convertFilterValue(value, type, field) {
+
+    let result = null;
+
+    switch (type) {
+      case 'number':
+        result = Number(value);
+        Hoek.assert(value !== '' && !isNaN(result), 'Invalid number value of filter field ' + field + ': ' + value);
+        return result;
+      case 'boolean':
+        Hoek.assert(BOOLEAN_VALUES.hasOwnProperty(value), 'Invalid boolean value of filter field ' + field + ': ' + value);
+        return BOOLEAN_VALUES[value];
+      case 'date':
+        result = new Date(/^-?\d+$/.test(value) ? Number(value) : value);
+        Hoek.assert(!isNaN(result.getTime()), 'Invalid date value of filter field ' + field + ': ' + value);
+        return result;
+      case 'objectid':
+        Hoek.assert(ObjectID.isValid(value), 'Invalid id value of filter field ' + field + ': ' + value);
+        return new ObjectID(value);
+      case 'string':
+        return String(value);
+    }
+
+    Hoek.assert(false, 'Unsupported type of filter field ' + field + ': ' + type);
+  }
+
+  /**
+   * Parses filter expressions into mongo filter.
+   * Each expression is `field:operator:value` or `field:value`, expressions are separated by `;`.
+   * Operators: eq, ne, gt, gte, lt, lte, in, nin (comma separated values), like (case insensitive contains),
+   * between (comma separated bounds, inclusive), exists (true or false)
+   *
+   * @param  {String|Array} expression Filter expressions, e.g 'status:in:a,b;age:gte:18'
+   * @param  {Object} fields     Filterable fields whitelist: { field: type } or { field: { type, operators } }
+   *
+   * @return {Object}            Mongo filter
+   */
+  static parseFilter(expression, fields) {
+
+    Hoek.assert(fields, 'Filterable fields must be declared');
+
+    let expressions = Array.isArray(expression) ? expression : String(expression || '').split(';'),
+      filter = {};
+
+    expressions.forEach(item => {
+      item = item.trim();
+
+      if (!item) {
+        return;
+      }
+
+      let index = item.indexOf(':');
+      Hoek.assert(index > 0, 'Invalid filter expression: ' + item);
+
+      let field = item.substr(0, index),
+        rest = item.substr(index + 1),
+        operator = 'eq',
+        spec = fields.hasOwnProperty(field) ? fields[field] : null;
+
+      Hoek.assert(spec, 'Field is not filterable: ' + field);
+
+      let opIndex = rest.indexOf(':');
+      if (opIndex > 0 && FILTER_OPERATORS.indexOf(rest.substr(0, opIndex)) !== -1) {
+        operator = rest.substr(0, opIndex);
+        rest = rest.substr(opIndex + 1);
+      }
+
+      let type = typeof(spec) === 'string' ? spec : spec.type,
+        operators = typeof(spec) === 'object' && spec.operators ? spec.operators : null,
+        convert = value => MongoHelpers.convertFilterValue(value, type, field),
+        values = null,
+        condition = null;
+
+      Hoek.assert(!operators || operators.indexOf(operator) !== -1, 'Operator ' + operator + ' is not allowed on filter field ' + field);
+
+      switch (operator) {
+        case 'eq':
+          condition = convert(rest);
+          break;
+        case 'in':
+        case 'nin':
+          condition = {
+            ['$' + operator]: rest.split(',').map(convert)
+          };
+          break;
+        case 'like':
+          Hoek.assert(type === 'string', 'Operator like requires a string filter field: ' + field);
+          condition = {
+            $regex: new RegExp(rest.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+          };
+          break;
+        case 'between':
+          values = rest.split(',');
+          Hoek.assert(values.length === 2, 'Operator between requires 2 values on filter field ' + field);
+          condition = {
+            $gte: convert(values[0]),
+            $lte: convert(values[1])
+          };
+          break;
+        case 'exists':
+          Hoek.assert(BOOLEAN_VALUES.hasOwnProperty(rest), 'Operator exists requires a boolean value on filter field ' + field);
+          condition = {
+            $exists: BOOLEAN_VALUES[rest]
+          };
+          break;
+        default:
+          condition = {
+            ['$' + operator]: convert(rest)
+          };
+      }
+
+      filter = MongoHelpers.mergeFilters(filter, {
+        [field]: condition
+      });
+    });
+
+    return filter;
+  }
+
+  /**
+   * Sets value at dotted path, creates missing objects
+   *
+   * @param {Object} obj   Target object
+   * @param {String} path  Dotted path
+   * @param {Mixed} value Value
+   *
+   * @return {Object}       Target object
+   */
+  static setPath(obj, path, value) {
+    let keys = path.split('.'),
+      target = obj;
+
+    keys.slice(0, -1).forEach(key => {
+      if (!target[key] || typeof(target[key]) !== 'object') {
+        target[key] = {};
+      }
+
+      target = target[key];
+    });
+
+    target[keys[keys.length - 1]] = value;
+
+    return obj;
+  }
+
+  /**
+   * Combines two filters, conflicting fields are combined with $and
+   *
+   * @param  {Object} left  Mongo filter
+   * @param  {Object} right Mongo filter
+   *
+   * @return {Object}       Mongo filter
+   */
+  static mergeFilters(left, right) {
+
+    let isOperators = value => value && typeof(value) === 'object' && !(value instanceof ObjectID) &&
+      !(value instanceof Date) && !(value instanceof RegExp) && !Array.isArray(value) &&
+      Object.keys(value).length > 0 && Object.keys(value).every(key => key.charAt(0) === '$'),
+      result = Object.assign({}, left),
+      conflicts = {};
+
+    Object.keys(right || {}).forEach(key => {
+      if (!result.hasOwnProperty(key)) {
+        result[key] = right[key];
+      } else if (key.charAt(0) !== '$' && isOperators(result[key]) && isOperators(right[key]) &&
+        Object.keys(right[key]).every(op => !result[key].hasOwnProperty(op))) {
+        result[key] = Object.assign({}, result[key], right[key]);
+      } else {
+        conflicts[key] = right[key];
+      }
+    });
+
+    if (!Object.keys(conflicts).length) {
+      return result;
+    }
+
+    return {
+      $and: [result, conflicts]
+    };
+  }
 }
 
 module.exports = MongoHelpers;
+module.exports.OPTIONS_INDEX = OPTIONS_INDEX;
+module.exports.READ_OPERATIONS = READ_OPERATIONS;
+module.exports.READ_CONCERNS = READ_CONCERNS;
+module.exports.WRITE_CONCERNS = WRITE_CONCERNS;
+module.exports.FILTER_OPERATORS = FILTER_OPERATORS;
@@ -0,0 +1,314 @@
+'use strict';
+
+const Hoek = require('hoek');
+const Transform = require('stream').Transform;
+const StringDecoder = require('string_decoder').StringDecoder;
+const ObjectID = require('mongodb').ObjectID;
+
+const MongoHelpers = require('./helpers');
+
+const FORMATS = ['ndjson', 'csv', 'extended-json'];
+
+class ImportParser extends Transform {
+
+  /**
+   * Parses import input into rows: { line, data } or { line, error }.
+   * Rows which cannot be parsed are reported, not thrown, so imports go on
+   *
+   * @param  {Object} opts Option data: format (ndjson, csv, extended-json), types (csv column types, see MongoHelpers.convertFilterValue)
+   */
+  constructor(opts) {
+    opts = opts || {};
+
+    super({
+      readableObjectMode: true
+    });
+
+    this.format = opts.format || 'ndjson';
+    this.types = opts.types || {};
+    this.buffer = '';
+    // keeps multibyte characters split across chunks
+    this.decoder = new StringDecoder('utf8');
+    this.line = 0;
+    this.headers = null;
+
+    Hoek.assert(FORMATS.indexOf(this.format) !== -1, 'Unsupported import format: ' + this.format);
+  }
+
+  /**
+   * Buffers input chunk, then parses complete rows
+   *
+   * @param  {Buffer}   chunk    Input chunk
+   * @param  {String}   encoding Chunk encoding
+   * @param  {Function} callback Transform callback
+   */
+  _transform(chunk, encoding, callback) {
+    this.buffer += typeof(chunk) === 'string' ? chunk : this.decoder.write(chunk);
+    this.drain(false);
+    callback();
+  }
+
+  /**
+   * Parses remaining input
+   *
+   * @param  {Function} callback Flush callback
+   */
+  _flush(callback) {
+    this.buffer += this.decoder.end();
+    this.drain(true);
+    callback();
+  }
+
+  /**
+   * Parses complete rows from buffer
+   *
+   * @param  {Boolean} final No more input will come
+   */
+  drain(final) {
+    if (this.format === 'csv') {
+      return this.drainCsv(final);
+    }
+
+    let index = this.buffer.indexOf('\n');
+
+    while (index !== -1) {
+      let text = this.buffer.substr(0, index);
+      this.buffer = this.buffer.substr(index + 1);
+      this.parseJson(text, ++this.line);
+
+      index = this.buffer.indexOf('\n');
+    }
+
+    if (final && this.buffer) {
+      this.parseJson(this.buffer, ++this.line);
+      this.buffer = '';
+    }
+  }
+
+  /**
+   * Parses one JSON line
+   *
+   * @param  {String} text Line text
+   * @param  {Number} line Line number
+   */
+  parseJson(text, line) {
+    text = text.trim();
+
+    if (!text) {
+      return;
+    }
+
+    try {
+      let data = JSON.parse(text, this.format === 'extended-json' ? ImportParser.reviveExtended : undefined);
+      Hoek.assert(data && typeof(data) === 'object' && !Array.isArray(data), 'Row must be an object');
+
+      this.push({
+        line: line,
+        data: data
+      });
+    } catch (e) {
+      this.push({
+        line: line,
+        error: e.message
+      });
+    }
+  }
+
+  /**
+   * Parses complete CSV records from buffer, the first record is the header
+   *
+   * @param  {Boolean} final No more input will come
+   */
+  drainCsv(final) {
+    let pos = 0;
+
+    while (pos < this.buffer.length) {
+      let record = ImportParser.readCsvRecord(this.buffer, pos, final);
+
+      if (!record) {
+        break;
+      }
+
+      let line = this.line + 1;
+      this.line += record.newlines;
+      pos = record.next;
+
+      if (record.error) {
+        this.push({
+          line: line,
+          error: record.error
+        });
+      } else if (!this.headers) {
+        this.headers = record.fields.map(field => field.trim());
+      } else if (record.fields.length > 1 || record.fields[0] !== '') {
+        this.push(this.buildCsvRow(record.fields, line));
+      }
+    }
+
+    this.buffer = this.buffer.substr(pos);
+  }
+
+  /**
+   * Builds row from CSV fields, empty values are omitted
+   *
+   * @param  {Array} fields Field values
+   * @param  {Number} line   Line number
+   *
+   * @return {Object}        Row
+   */
+  buildCsvRow(fields, line) {
+    let self = this,
+      data = {};
+
+    if (fields.length !== self.headers.length) {
+      return {
+        line: line,
+        error: 'Expected ' + self.headers.length + ' columns, got ' + fields.length
+      };
+    }
+
+    try {
+      self.headers.forEach((header, i) => {
+        if (fields[i] !== '') {
+          data[header] = self.types[header] ? MongoHelpers.convertFilterValue(fields[i], self.types[header], header) : fields[i];
+        }
+      });
+    } catch (e) {
+      return {
+        line: line,
+        error: e.message
+      };
+    }
+
+    return {
+      line: line,
+      data: data
+    };
+  }
+
+  /**
+   * Reads one CSV record, quoted values may contain separators, quotes and new lines
+   *
+   * @param  {String} text  Input text
+   * @param  {Number} start Start position
+   * @param  {Boolean} final No more input will come
+   *
+   * @return {Object}       { fields, next, newlines, error }, null if the record is incomplete
+   */
+  static readCsvRecord(text, start, final) {
+
+    let fields = [],
+      field = '',
+      quoted = false,
+      newlines = 0,
+      i = start;
+
+    while (i < text.length) {
+      let ch = text.charAt(i);
+
+      if (quoted) {
+        if (ch === '"') {
+          if (i + 1 >= text.length && !final) {
+            return null;
+          }
+
+          if (text.charAt(i + 1) === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+
+          quoted = false;
+        } else {
+          newlines += ch === '\n' ? 1 : 0;
+          field += ch;
+        }
+
+        i++;
+        continue;
+      }
+
+      if (ch === '\r') {
+        if (i + 1 >= text.length && !final) {
+          return null;
+        }
+
+        if (text.charAt(i + 1) === '\n') {
+          i++;
+          continue;
+        }
+      }
+
+      if (ch === '\n') {
+        fields.push(field);
+
+        return {
+          fields: fields,
+          next: i + 1,
+          newlines: newlines + 1
+        };
+      }
+
+      if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += ch;
+      }
+
+      i++;
+    }
+
+    if (!final) {
+      return null;
+    }
+
+    fields.push(field);
+
+    return {
+      fields: fields,
+      next: i,
+      newlines: newlines + 1,
+      error: quoted ? 'Unterminated quoted value' : null
+    };
+  }
+
+  /**
+   * Revives extended JSON values: { $oid }, { $date }, { $numberLong }, { $numberInt }, { $numberDouble }
+   *
+   * @param  {String} key   Property name
+   * @param  {Mixed} value Parsed value
+   *
+   * @return {Mixed}       Revived value
+   */
+  static reviveExtended(key, value) {
+    if (!value || typeof(value) !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+
+    let keys = Object.keys(value);
+
+    if (keys.length !== 1) {
+      return value;
+    }
+
+    switch (keys[0]) {
+      case '$oid':
+        return new ObjectID(value.$oid);
+      case '$date':
+        let date = value.$date;
+        return new Date(date && typeof(date) === 'object' && date.$numberLong ? Number(date.$numberLong) : date);
+      case '$numberLong':
+      case '$numberInt':
+      case '$numberDouble':
+        return Number(value[keys[0]]);
+    }
+
+    return value;
+  }
+}
+
+module.exports = ImportParser;
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,151 @@
+'use strict';
+
+const Hoek = require('hoek');
+const BPromise = require('bluebird');
+
+const COMPARED_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression', 'weights', 'default_language'];
+
+class IndexHelpers {
+
+  /**
+   * Generates default index name, the same way mongo does
+   *
+   * @param  {Object} key Index key
+   *
+   * @return {String}     Index name
+   */
+  static buildName(key) {
+    return Object.keys(key).map(field => field + '_' + key[field]).join('_');
+  }
+
+  /**
+   * Normalizes declared index spec
+   *
+   * @param  {Object} spec Index declaration: { key, name, unique, sparse, expireAfterSeconds, partialFilterExpression, weights, ... }
+   *
+   * @return {Object}      Index spec which can be sent to createIndexes
+   */
+  static normalize(spec) {
+    Hoek.assert(spec && spec.key && Object.keys(spec.key).length, 'Index key must not be empty');
+
+    let result = Hoek.clone(spec);
+    result.name = result.name || IndexHelpers.buildName(result.key);
+
+    return result;
+  }
+
+  /**
+   * Returns comparable form of index spec.
+   * Text index keys are stored by mongo as _fts/_ftsx and their fields as weights
+   *
+   * @param  {Object} spec Index spec
+   *
+   * @return {Object}      Comparable spec
+   */
+  static comparable(spec) {
+
+    let key = {},
+      options = {},
+      weights = spec.weights ? Hoek.clone(spec.weights) : null,
+      hasText = false;
+
+    Object.keys(spec.key).forEach(field => {
+      if (field === '_fts' || field === '_ftsx') {
+        hasText = true;
+      } else if (spec.key[field] === 'text') {
+        hasText = true;
+        weights = weights || {};
+        weights[field] = weights[field] || 1;
+      } else {
+        key[field] = spec.key[field];
+      }
+    });
+
+    if (hasText) {
+      key._fts = 'text';
+      key._ftsx = 1;
+    }
+
+    COMPARED_OPTIONS.forEach(name => {
+      if (name === 'weights') {
+        if (weights) {
+          options.weights = weights;
+        }
+      } else if (spec[name] !== undefined && spec[name] !== false) {
+        options[name] = spec[name];
+      }
+    });
+
+    if (hasText && !options.default_language) {
+      options.default_language = 'english';
+    }
+
+    return {
+      key: key,
+      options: options
+    };
+  }
+
+  /**
+   * Compares declared indexes with existing indexes
+   *
+   * @param  {Array} declared Declared index specs
+   * @param  {Array} existing Existing indexes, from collection.indexes()
+   *
+   * @return {Object}          Diff: { create, drop, changed, unchanged, extra }, arrays of index specs
+   */
+  static diff(declared, existing) {
+
+    let existingMap = {},
+      declaredNames = {},
+      result = {
+        create: [],
+        changed: [],
+        unchanged: [],
+        extra: []
+      };
+
+    existing.forEach(index => {
+      existingMap[index.name] = index;
+    });
+
+    declared.map(IndexHelpers.normalize).forEach(spec => {
+      let index = existingMap[spec.name];
+      declaredNames[spec.name] = true;
+
+      if (!index) {
+        return result.create.push(spec);
+      }
+
+      if (Hoek.deepEqual(IndexHelpers.comparable(spec), IndexHelpers.comparable(index), {
+          prototype: false
+        })) {
+        return result.unchanged.push(spec);
+      }
+
+      result.changed.push(spec);
+    });
+
+    existing.forEach(index => {
+      if (index.name !== '_id_' && !declaredNames[index.name]) {
+        result.extra.push(index);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Syncs indexes of many adapters, one by one
+   *
+   * @param  {Array} adapters Adapter instances
+   * @param  {Object} opts     Option data: dropExtra, dryRun
+   *
+   * @return {Promise}          Resolves array of sync reports
+   */
+  static syncAll(adapters, opts) {
+    return BPromise.mapSeries(adapters, adapter => adapter.syncIndexes(opts));
+  }
+}
+
+module.exports = IndexHelpers;
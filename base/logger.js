@@ -7,14 +7,118 @@
 
 'use strict';
 
+const Hoek = require('hoek');
+const config = require('config');
 const bunyan = require('bunyan');
 
+const logCfg = Hoek.applyToDefaults({
+  name: 'mongo',
+  level: 'info'
+}, config.has('log.mongo') ? config.get('log.mongo') : {});
+
+const SECRET_KEY_REGEX = /pass(word)?|secret|token|credential/i;
+
 var logger = bunyan.createLogger({
-  name: 'postgres',
+  name: logCfg.name,
+  serializers: bunyan.stdSerializers,
   streams: [{
     stream: process.stdout,
-    level: 'info'
+    level: logCfg.level
   }]
 });
 
+/**
+ * Creates child logger of shared logger
+ *
+ * @param  {String} namespace  Log namespace
+ * @param  {String} collection Collection name
+ *
+ * @return {Logger}            Bunyan child logger
+ */
+logger.forAdapter = function(namespace, collection) {
+  return logger.child({
+    namespace: namespace,
+    collection: collection
+  });
+};
+
+/**
+ * Masks password in connection string
+ *
+ * @param  {String} url Mongo connection string
+ *
+ * @return {String}     Redacted connection string
+ */
+logger.redactUrl = function(url) {
+  if (typeof(url) !== 'string') {
+    return url;
+  }
+
+  return url.replace(/^([a-z+]+:\/\/[^:@\/]+):[^@\/]*@/i, '$1:***@');
+};
+
+/**
+ * Masks credentials in connection config
+ *
+ * @param  {Object} cfg Connection config
+ *
+ * @return {Object}     Redacted config clone
+ */
+logger.redactConfig = function(cfg) {
+  let redact = (obj) => {
+    if (!obj || typeof(obj) !== 'object') {
+      return obj;
+    }
+
+    let results = Array.isArray(obj) ? [] : {};
+    Object.keys(obj).forEach(key => {
+      if (key === 'connection') {
+        results[key] = logger.redactUrl(obj[key]);
+      } else if (SECRET_KEY_REGEX.test(key)) {
+        results[key] = '***';
+      } else {
+        results[key] = redact(obj[key]);
+      }
+    });
+
+    return results;
+  };
+
+  return redact(cfg);
+};
+
+/**
+ * Extracts result count fields of mongo operation result
+ *
+ * @param  {Object} result Operation result
+ *
+ * @return {Object}        Count fields
+ */
+logger.resultFields = function(result) {
+  if (Array.isArray(result)) {
+    return {
+      count: result.length
+    };
+  }
+
+  if (!result || typeof(result) !== 'object') {
+    return {
+      found: !!result
+    };
+  }
+
+  let fields = {};
+  ['n', 'insertedCount', 'matchedCount', 'modifiedCount', 'deletedCount', 'upsertedCount'].forEach(key => {
+    if (typeof(result[key]) === 'number') {
+      fields[key] = result[key];
+    }
+  });
+
+  if (Object.keys(fields).length === 0) {
+    fields.found = result.hasOwnProperty('value') ? !!result.value : true;
+  }
+
+  return fields;
+};
+
 module.exports = logger;
@@ -0,0 +1,2199 @@
+'use strict';
+
+const Hoek = require('hoek');
+const BPromise = require('bluebird');
+const EventEmitter = require('events').EventEmitter;
+const Readable = require('stream').Readable;
+const MongoError = require('mongodb').MongoError;
+const ObjectID = require('mongodb').ObjectID;
+
+const ImportParser = require('./import');
+
+const EARTH_RADIUS_METERS = 6378100;
+const TYPE_ORDER = ['null', 'number', 'string', 'object', 'array', 'binary', 'objectid', 'boolean', 'date', 'regex'];
+const ID_INDEX = {
+  v: 2,
+  key: {
+    _id: 1
+  },
+  name: '_id_'
+};
+
+/**
+ * Creates driver like error
+ *
+ * @param  {String} message Error message
+ * @param  {Number} code    Error code
+ *
+ * @return {MongoError}
+ */
+function mongoError(message, code) {
+  return new MongoError({
+    message: message,
+    errmsg: message,
+    code: code
+  });
+}
+
+/**
+ * Creates driver like result of failed bulk write, it has counters and upserted ids list, but no upsertedIds map
+ *
+ * @param  {Object} result Bulk write result
+ *
+ * @return {Object}        BulkWriteResult like object
+ */
+function bulkWriteResult(result) {
+  let upserted = Object.keys(result.upsertedIds).map(index => {
+    return {
+      index: Number(index),
+      _id: result.upsertedIds[index]
+    };
+  });
+
+  return {
+    ok: 1,
+    nInserted: result.insertedCount,
+    nUpserted: result.upsertedCount,
+    nMatched: result.matchedCount,
+    nModified: result.modifiedCount,
+    nRemoved: result.deletedCount,
+    getUpsertedIds: () => upserted
+  };
+}
+
+/**
+ * Returns coordinates of point: GeoJSON point, [lng, lat] pair or { lng, lat } object
+ *
+ * @param  {Mixed} point Point
+ *
+ * @return {Array}       [lng, lat], null if value is not a point
+ */
+function coordinates(point) {
+  if (Array.isArray(point)) {
+    return point;
+  }
+
+  if (!point || typeof(point) !== 'object') {
+    return null;
+  }
+
+  if (point.type === 'Point') {
+    return point.coordinates;
+  }
+
+  let values = Object.keys(point).map(key => point[key]);
+
+  return values.length === 2 ? values : null;
+}
+
+/**
+ * Measures distance between points, in meters from GeoJSON point,
+ * in radians from legacy point on sphere, planar otherwise
+ *
+ * @param  {Mixed} near     Origin point
+ * @param  {Mixed} location Document point
+ * @param  {Boolean} spherical Spherical geometry
+ *
+ * @return {Number}          Distance, null if location is not a point
+ */
+function geoDistance(near, location, spherical) {
+  let from = coordinates(near),
+    to = coordinates(location);
+
+  if (!to) {
+    return null;
+  }
+
+  if (!spherical && near.type !== 'Point') {
+    return Math.sqrt(Math.pow(to[0] - from[0], 2) + Math.pow(to[1] - from[1], 2));
+  }
+
+  let radians = value => value * Math.PI / 180,
+    lat = radians(to[1] - from[1]),
+    lng = radians(to[0] - from[0]),
+    a = Math.pow(Math.sin(lat / 2), 2) + Math.cos(radians(from[1])) * Math.cos(radians(to[1])) * Math.pow(Math.sin(lng / 2), 2),
+    angle = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return near.type === 'Point' ? angle * EARTH_RADIUS_METERS : angle;
+}
+
+/**
+ * Checks if value is a plain object, not an array, date, id, buffer or regex
+ *
+ * @param  {Mixed}  value Value
+ *
+ * @return {Boolean}
+ */
+function isObject(value) {
+  return !!value && typeof(value) === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    !(value instanceof ObjectID) && !(value instanceof RegExp) && !Buffer.isBuffer(value);
+}
+
+/**
+ * Checks if value is an operator object, e.g { $gt: 1 }
+ *
+ * @param  {Mixed}  value Value
+ *
+ * @return {Boolean}
+ */
+function isOperator(value) {
+  let keys = isObject(value) ? Object.keys(value) : [];
+
+  return keys.length > 0 && keys.every(key => key.charAt(0) === '$');
+}
+
+/**
+ * Deep clones document value, ids are immutable and shared
+ *
+ * @param  {Mixed} value Value
+ *
+ * @return {Mixed}
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+
+  if (isObject(value)) {
+    let result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = clone(value[key]);
+    });
+
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Returns BSON like type name of value
+ *
+ * @param  {Mixed} value Value
+ *
+ * @return {String}
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  if (value instanceof Date) {
+    return 'date';
+  }
+
+  if (value instanceof ObjectID) {
+    return 'objectid';
+  }
+
+  if (value instanceof RegExp) {
+    return 'regex';
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return 'binary';
+  }
+
+  return typeof(value);
+}
+
+/**
+ * Compares values in MongoDB type order
+ *
+ * @param  {Mixed} a Left value
+ * @param  {Mixed} b Right value
+ *
+ * @return {Number}   Negative, zero or positive
+ */
+function compare(a, b) {
+  let typeA = typeOf(a),
+    typeB = typeOf(b);
+
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        let result = compare(a[i], b[i]);
+        if (result) {
+          return result;
+        }
+      }
+      return a.length - b.length;
+    case 'object':
+      let keysA = Object.keys(a),
+        keysB = Object.keys(b);
+
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        let result = keysA[i] < keysB[i] ? -1 : (keysA[i] > keysB[i] ? 1 : compare(a[keysA[i]], b[keysB[i]]));
+        if (result) {
+          return result;
+        }
+      }
+      return keysA.length - keysB.length;
+    case 'date':
+      return a.getTime() - b.getTime();
+    case 'objectid':
+    case 'binary':
+    case 'regex':
+      a = a.toString();
+      b = b.toString();
+      break;
+    case 'boolean':
+      return (a ? 1 : 0) - (b ? 1 : 0);
+  }
+
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Checks values equality, null equals missing
+ *
+ * @param  {Mixed} a Left value
+ * @param  {Mixed} b Right value
+ *
+ * @return {Boolean}
+ */
+function equals(a, b) {
+  return compare(a, b) === 0;
+}
+
+/**
+ * Returns values at dotted path, arrays of documents are traversed
+ *
+ * @param  {Mixed} value Document or value
+ * @param  {Array|String} path  Path segments or dotted path
+ *
+ * @return {Array}       Values, undefined for missing fields
+ */
+function lookup(value, path) {
+  let parts = Array.isArray(path) ? path : String(path).split('.');
+
+  if (!parts.length) {
+    return [value];
+  }
+
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(parts[0])) {
+      return lookup(value[parseInt(parts[0], 10)], parts.slice(1));
+    }
+
+    let results = [];
+    value.forEach(item => {
+      if (isObject(item) || Array.isArray(item)) {
+        results = results.concat(lookup(item, parts));
+      }
+    });
+
+    return results.length ? results : [undefined];
+  }
+
+  if (isObject(value)) {
+    return lookup(value[parts[0]], parts.slice(1));
+  }
+
+  return [undefined];
+}
+
+/**
+ * Returns first value at dotted path
+ *
+ * @param  {Object} doc  Document
+ * @param  {String} path Dotted path
+ *
+ * @return {Mixed}
+ */
+function getPath(doc, path) {
+  let values = lookup(doc, path);
+
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Sets value at dotted path, creates missing objects
+ *
+ * @param {Object} doc   Document
+ * @param {String} path  Dotted path
+ * @param {Mixed} value Value
+ */
+function setPath(doc, path, value) {
+  let parts = path.split('.'),
+    target = doc;
+
+  parts.slice(0, -1).forEach(part => {
+    if (part === '$' || part.indexOf('$[') === 0) {
+      throw mongoError('Positional update operators are not supported in memory: ' + path, 2);
+    }
+
+    if (target[part] === undefined || target[part] === null) {
+      target[part] = {};
+    } else if (typeof(target[part]) !== 'object') {
+      throw mongoError('Cannot create field in element ' + part + ' of ' + path, 28);
+    }
+
+    target = target[part];
+  });
+
+  target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Removes field at dotted path
+ *
+ * @param  {Object} doc  Document
+ * @param  {String} path Dotted path
+ */
+function unsetPath(doc, path) {
+  let parts = path.split('.'),
+    target = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+
+  if (target && typeof(target) === 'object') {
+    if (Array.isArray(target)) {
+      target[parseInt(parts[parts.length - 1], 10)] = null;
+    } else {
+      delete target[parts[parts.length - 1]];
+    }
+  }
+}
+
+/**
+ * Expands array values into their elements, keeping arrays themselves
+ *
+ * @param  {Array} values Field values
+ *
+ * @return {Array}
+ */
+function expand(values) {
+  let results = [];
+
+  values.forEach(value => {
+    results.push(value);
+
+    if (Array.isArray(value)) {
+      results = results.concat(value);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Builds regular expression of $regex condition
+ *
+ * @param  {String|RegExp} pattern Pattern
+ * @param  {String} options Regex options
+ *
+ * @return {RegExp}
+ */
+function toRegExp(pattern, options) {
+  if (pattern instanceof RegExp) {
+    return options ? new RegExp(pattern.source, options) : pattern;
+  }
+
+  return new RegExp(pattern, (options || '').replace(/[^imsu]/g, ''));
+}
+
+/**
+ * Checks if some value equals condition value, regexes test strings
+ *
+ * @param  {Array} values    Field values
+ * @param  {Mixed} condition Condition value
+ *
+ * @return {Boolean}
+ */
+function matchEquals(values, condition) {
+  if (condition instanceof RegExp) {
+    return expand(values).some(value => typeof(value) === 'string' && condition.test(value));
+  }
+
+  return expand(values).some(value => equals(value, condition));
+}
+
+/**
+ * Checks operator conditions on field values
+ *
+ * @param  {Array} values     Field values
+ * @param  {Object} conditions Operator object
+ *
+ * @return {Boolean}
+ */
+function matchOperators(values, conditions) {
+  return Object.keys(conditions).every(operator => {
+    let condition = conditions[operator],
+      compareWith = (test) => expand(values).some(value => {
+        return value !== undefined && TYPE_ORDER.indexOf(typeOf(value)) === TYPE_ORDER.indexOf(typeOf(condition)) && test(compare(value, condition));
+      });
+
+    switch (operator) {
+      case '$eq':
+        return matchEquals(values, condition);
+      case '$ne':
+        return !matchEquals(values, condition);
+      case '$gt':
+        return compareWith(result => result > 0);
+      case '$gte':
+        return compareWith(result => result >= 0);
+      case '$lt':
+        return compareWith(result => result < 0);
+      case '$lte':
+        return compareWith(result => result <= 0);
+      case '$in':
+        return condition.some(item => matchEquals(values, item));
+      case '$nin':
+        return !condition.some(item => matchEquals(values, item));
+      case '$exists':
+        return values.some(value => value !== undefined) === Boolean(condition);
+      case '$regex':
+        return matchEquals(values, toRegExp(condition, conditions.$options));
+      case '$options':
+        return true;
+      case '$not':
+        return condition instanceof RegExp ? !matchEquals(values, condition) : !matchOperators(values, condition);
+      case '$size':
+        return values.some(value => Array.isArray(value) && value.length === condition);
+      case '$all':
+        return condition.every(item => matchEquals(values, item));
+      case '$elemMatch':
+        return values.some(value => Array.isArray(value) && value.some(item => {
+          return isOperator(condition) && !isObject(item) ? matchOperators([item], condition) : matches(item, condition);
+        }));
+      case '$type':
+        return [].concat(condition).some(type => values.some(value => {
+          let name = typeOf(value);
+          return type === name || (type === 'objectId' && name === 'objectid') || (type === 'bool' && name === 'boolean') ||
+            (['double', 'int', 'long', 'decimal'].indexOf(type) !== -1 && name === 'number');
+        }));
+    }
+
+    throw mongoError('Unsupported query operator in memory: ' + operator, 2);
+  });
+}
+
+/**
+ * Checks if document matches query filter
+ *
+ * @param  {Object} doc    Document
+ * @param  {Object} filter Query filter
+ *
+ * @return {Boolean}
+ */
+function matches(doc, filter) {
+  return Object.keys(filter || {}).every(key => {
+    let condition = filter[key];
+
+    switch (key) {
+      case '$and':
+        return condition.every(item => matches(doc, item));
+      case '$or':
+        return condition.some(item => matches(doc, item));
+      case '$nor':
+        return !condition.some(item => matches(doc, item));
+      case '$comment':
+        return true;
+    }
+
+    if (key.charAt(0) === '$') {
+      throw mongoError('Unsupported query operator in memory: ' + key, 2);
+    }
+
+    let values = lookup(doc, key);
+
+    return isOperator(condition) ? matchOperators(values, condition) : matchEquals(values, condition);
+  });
+}
+
+/**
+ * Applies update operators, or replacement document
+ *
+ * @param  {Object} doc      Document, modified in place
+ * @param  {Object} update   Update document
+ * @param  {Boolean} isInsert Document is being inserted by an upsert
+ */
+function applyUpdate(doc, update, isInsert) {
+  let operators = Object.keys(update || {});
+
+  if (!operators.length || operators[0].charAt(0) !== '$') {
+    let id = doc._id;
+
+    Object.keys(doc).forEach(key => {
+      delete doc[key];
+    });
+    Object.assign(doc, clone(update));
+
+    if (id !== undefined) {
+      doc._id = id;
+    }
+    return;
+  }
+
+  operators.forEach(operator => {
+    let fields = update[operator];
+
+    Object.keys(fields).forEach(path => {
+      let value = fields[path],
+        current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set':
+          return setPath(doc, path, clone(value));
+        case '$setOnInsert':
+          return isInsert ? setPath(doc, path, clone(value)) : null;
+        case '$unset':
+          return unsetPath(doc, path);
+        case '$inc':
+        case '$mul':
+          if (current !== undefined && typeof(current) !== 'number') {
+            throw mongoError('Cannot apply ' + operator + ' to a value of non-numeric type: ' + path, 14);
+          }
+          return setPath(doc, path, operator === '$inc' ? (current || 0) + value : (current || 0) * value);
+        case '$min':
+          return current === undefined || compare(value, current) < 0 ? setPath(doc, path, clone(value)) : null;
+        case '$max':
+          return current === undefined || compare(value, current) > 0 ? setPath(doc, path, clone(value)) : null;
+        case '$currentDate':
+          return setPath(doc, path, new Date());
+        case '$rename':
+          if (current !== undefined) {
+            unsetPath(doc, path);
+            setPath(doc, value, current);
+          }
+          return;
+        case '$push':
+        case '$addToSet':
+        case '$pull':
+        case '$pop':
+          if (current !== undefined && !Array.isArray(current)) {
+            throw mongoError('Cannot apply ' + operator + ' to a non-array field: ' + path, 2);
+          }
+
+          let items = current ? current.slice() : [];
+
+          if (operator === '$pop') {
+            items = value === -1 ? items.slice(1) : items.slice(0, -1);
+          } else if (operator === '$pull') {
+            items = items.filter(item => {
+              if (isOperator(value)) {
+                return !matchOperators([item], value);
+              }
+
+              return isObject(value) && isObject(item) ? !matches(item, value) : !equals(item, value);
+            });
+          } else {
+            let values = isObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+
+            values.forEach(item => {
+              if (operator === '$push' || !items.some(existing => equals(existing, item))) {
+                items.push(clone(item));
+              }
+            });
+
+            if (operator === '$push' && isObject(value) && typeof(value.$slice) === 'number') {
+              items = value.$slice < 0 ? items.slice(value.$slice) : items.slice(0, value.$slice);
+            }
+          }
+
+          return setPath(doc, path, items);
+      }
+
+      throw mongoError('Unsupported update operator in memory: ' + operator, 2);
+    });
+  });
+}
+
+/**
+ * Builds document inserted by upsert from filter equalities
+ *
+ * @param  {Object} filter Query filter
+ *
+ * @return {Object}
+ */
+function seedUpsert(filter) {
+  let doc = {};
+
+  Object.keys(filter || {}).forEach(key => {
+    let condition = filter[key];
+
+    if (key === '$and') {
+      return condition.forEach(item => Object.assign(doc, seedUpsert(item)));
+    }
+
+    if (key.charAt(0) === '$') {
+      return;
+    }
+
+    if (!isOperator(condition)) {
+      setPath(doc, key, clone(condition));
+    } else if (condition.hasOwnProperty('$eq')) {
+      setPath(doc, key, clone(condition.$eq));
+    }
+  });
+
+  return doc;
+}
+
+/**
+ * Applies projection
+ *
+ * @param  {Object} doc        Document
+ * @param  {Object} projection Inclusion or exclusion projection
+ *
+ * @return {Object}            Projected document
+ */
+function project(doc, projection) {
+  let keys = Object.keys(projection || {});
+
+  if (!keys.length) {
+    return doc;
+  }
+
+  let inclusive = keys.some(key => key !== '_id' && projection[key]),
+    result = inclusive ? {} : doc;
+
+  keys.forEach(key => {
+    if (isObject(projection[key])) {
+      throw mongoError('Unsupported projection in memory: ' + key, 2);
+    }
+
+    if (inclusive && key !== '_id' && projection[key]) {
+      let value = getPath(doc, key);
+
+      if (value !== undefined) {
+        setPath(result, key, value);
+      }
+    } else if (!inclusive && !projection[key]) {
+      unsetPath(result, key);
+    }
+  });
+
+  if (inclusive && projection._id !== 0 && projection._id !== false && doc._id !== undefined) {
+    result._id = doc._id;
+  } else if (inclusive === false && (projection._id === 0 || projection._id === false)) {
+    delete result._id;
+  }
+
+  return result;
+}
+
+/**
+ * Normalizes sort spec into [field, direction] pairs
+ *
+ * @param  {Object|Array} sort Sort spec
+ *
+ * @return {Array}
+ */
+function sortPairs(sort) {
+  if (Array.isArray(sort)) {
+    return sort.map(item => Array.isArray(item) ? item : [item, 1]);
+  }
+
+  return Object.keys(sort || {}).map(key => [key, sort[key]]);
+}
+
+/**
+ * Sorts documents
+ *
+ * @param  {Array} docs Documents
+ * @param  {Object|Array} sort Sort spec
+ *
+ * @return {Array}      Sorted documents
+ */
+function sortDocs(docs, sort) {
+  let pairs = sortPairs(sort);
+
+  if (!pairs.length) {
+    return docs;
+  }
+
+  let sortValue = (doc, field, direction) => {
+    let values = expand(lookup(doc, field)).filter(value => !Array.isArray(value));
+
+    if (!values.length) {
+      return undefined;
+    }
+
+    return values.reduce((result, value) => compare(value, result) * direction < 0 ? value : result);
+  };
+
+  return docs.slice().sort((a, b) => {
+    for (let i = 0; i < pairs.length; i++) {
+      let direction = pairs[i][1] === -1 || pairs[i][1] === 'desc' || pairs[i][1] === 'descending' ? -1 : 1,
+        result = compare(sortValue(a, pairs[i][0], direction), sortValue(b, pairs[i][0], direction)) * direction;
+
+      if (result) {
+        return result;
+      }
+    }
+
+    return 0;
+  });
+}
+
+/**
+ * Evaluates aggregation expression
+ *
+ * @param  {Mixed} expression Expression
+ * @param  {Object} doc        Current document
+ *
+ * @return {Mixed}
+ */
+function evaluate(expression, doc) {
+  if (expression === '$$ROOT' || expression === '$$CURRENT') {
+    return doc;
+  }
+
+  if (typeof(expression) === 'string' && expression.charAt(0) === '$') {
+    return getPath(doc, expression.substr(1));
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc));
+  }
+
+  if (!isObject(expression)) {
+    return expression;
+  }
+
+  let keys = Object.keys(expression);
+
+  if (keys.length === 1 && keys[0].charAt(0) === '$') {
+    let operator = keys[0],
+      args = operator === '$literal' ? null : [].concat(evaluate(expression[operator], doc));
+
+    switch (operator) {
+      case '$literal':
+        return expression.$literal;
+      case '$add':
+        return args.reduce((result, value) => result + (value || 0), 0);
+      case '$subtract':
+        return args[0] instanceof Date ? args[0].getTime() - (args[1] instanceof Date ? args[1].getTime() : args[1]) : args[0] - args[1];
+      case '$multiply':
+        return args.reduce((result, value) => result * value, 1);
+      case '$divide':
+        return args[0] / args[1];
+      case '$concat':
+        return args.some(value => value === null || value === undefined) ? null : args.join('');
+      case '$ifNull':
+        return args[0] === null || args[0] === undefined ? args[1] : args[0];
+      case '$size':
+        return Array.isArray(args[0]) ? args[0].length : 0;
+      case '$toString':
+        return args[0] === null || args[0] === undefined ? null : String(args[0]);
+    }
+
+    throw mongoError('Unsupported expression operator in memory: ' + operator, 2);
+  }
+
+  let result = {};
+  keys.forEach(key => {
+    result[key] = evaluate(expression[key], doc);
+  });
+
+  return result;
+}
+
+/**
+ * Groups documents by $group spec
+ *
+ * @param  {Array} docs Documents
+ * @param  {Object} spec Group spec
+ *
+ * @return {Array}      Groups
+ */
+function group(docs, spec) {
+  let groups = [];
+
+  docs.forEach(doc => {
+    let id = evaluate(spec._id, doc),
+      current = groups.find(item => equals(item.doc._id, id));
+
+    if (!current) {
+      current = {
+        doc: {
+          _id: id === undefined ? null : id
+        },
+        counts: {}
+      };
+      groups.push(current);
+    }
+
+    Object.keys(spec).forEach(field => {
+      if (field === '_id') {
+        return;
+      }
+
+      let accumulator = Object.keys(spec[field])[0],
+        value = evaluate(spec[field][accumulator], doc),
+        result = current.doc[field];
+
+      switch (accumulator) {
+        case '$sum':
+          current.doc[field] = (result || 0) + (typeof(value) === 'number' ? value : 0);
+          break;
+        case '$avg':
+          current.counts[field] = (current.counts[field] || {
+            sum: 0,
+            count: 0
+          });
+          if (typeof(value) === 'number') {
+            current.counts[field].sum += value;
+            current.counts[field].count++;
+          }
+          current.doc[field] = current.counts[field].count ? current.counts[field].sum / current.counts[field].count : null;
+          break;
+        case '$min':
+          current.doc[field] = result === undefined || (value !== undefined && compare(value, result) < 0) ? value : result;
+          break;
+        case '$max':
+          current.doc[field] = result === undefined || (value !== undefined && compare(value, result) > 0) ? value : result;
+          break;
+        case '$first':
+          current.doc[field] = current.doc.hasOwnProperty(field) ? result : value;
+          break;
+        case '$last':
+          current.doc[field] = value;
+          break;
+        case '$push':
+          current.doc[field] = (result || []).concat([value]);
+          break;
+        case '$addToSet':
+          result = result || [];
+          current.doc[field] = result.some(item => equals(item, value)) ? result : result.concat([value]);
+          break;
+        default:
+          throw mongoError('Unsupported accumulator in memory: ' + accumulator, 2);
+      }
+    });
+  });
+
+  return groups.map(item => item.doc);
+}
+
+class MemoryCursor {
+
+  /**
+   * Cursor over documents produced lazily
+   *
+   * @param  {Function} source Returns documents, receives cursor
+   */
+  constructor(source) {
+    this.source = source;
+    this.options = {
+      sort: null,
+      skip: 0,
+      limit: 0,
+      projection: null
+    };
+  }
+
+  /**
+   * Sets sort spec
+   *
+   * @param  {Object|Array} sort Sort spec
+   *
+   * @return {MemoryCursor}
+   */
+  sort(sort) {
+    this.options.sort = sort;
+
+    return this;
+  }
+
+  /**
+   * Sets number of skipped documents
+   *
+   * @param  {Number} skip Skip
+   *
+   * @return {MemoryCursor}
+   */
+  skip(skip) {
+    this.options.skip = skip || 0;
+
+    return this;
+  }
+
+  /**
+   * Sets maximum number of documents
+   *
+   * @param  {Number} limit Limit, 0 for no limit
+   *
+   * @return {MemoryCursor}
+   */
+  limit(limit) {
+    this.options.limit = Math.abs(limit || 0);
+
+    return this;
+  }
+
+  /**
+   * Sets projection
+   *
+   * @param  {Object} projection Projection
+   *
+   * @return {MemoryCursor}
+   */
+  project(projection) {
+    this.options.projection = projection;
+
+    return this;
+  }
+
+  /**
+   * Accepted for compatibility, documents are always in memory
+   *
+   * @return {MemoryCursor}
+   */
+  batchSize() {
+    return this;
+  }
+
+  /**
+   * Returns documents synchronously
+   *
+   * @return {Array}
+   */
+  fetch() {
+    let docs = sortDocs(this.source(this), this.options.sort).slice(this.options.skip);
+
+    if (this.options.limit) {
+      docs = docs.slice(0, this.options.limit);
+    }
+
+    return docs.map(doc => project(clone(doc), this.options.projection));
+  }
+
+  /**
+   * Returns all documents
+   *
+   * @return {Promise}      Resolves documents
+   */
+  toArray() {
+    return BPromise.try(() => this.fetch());
+  }
+
+  /**
+   * Counts documents, applying skip and limit
+   *
+   * @return {Promise}      Resolves count
+   */
+  count() {
+    return this.toArray().then(docs => docs.length);
+  }
+
+  /**
+   * Iterates documents
+   *
+   * @param  {Function} iterator Receives each document
+   *
+   * @return {Promise}
+   */
+  forEach(iterator) {
+    return this.toArray().then(docs => docs.forEach(iterator));
+  }
+
+  /**
+   * Returns readable stream of documents
+   *
+   * @return {Readable}
+   */
+  stream() {
+    let docs = null,
+      stream = new Readable({
+        objectMode: true,
+        read: () => {
+          try {
+            docs = docs || this.fetch();
+            stream.push(docs.length ? docs.shift() : null);
+          } catch (e) {
+            stream.destroy(e);
+          }
+        }
+      });
+
+    return stream;
+  }
+
+  /**
+   * Returns query plan
+   *
+   * @return {Promise}
+   */
+  explain() {
+    return BPromise.resolve({
+      queryPlanner: {
+        engine: 'memory',
+        options: this.options
+      }
+    });
+  }
+
+  /**
+   * Closes cursor
+   *
+   * @return {Promise}
+   */
+  close() {
+    return BPromise.resolve();
+  }
+}
+
+class MemoryCollection {
+
+  /**
+   * Collection kept in memory, with a subset of driver collection methods
+   *
+   * @param  {MemoryDb} db   Parent database
+   * @param  {String} name Collection name
+   */
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.namespace = db.databaseName + '.' + name;
+    this.docs = [];
+    this.indexSpecs = [];
+    this.options = {};
+  }
+
+  /**
+   * Checks unique indexes, including _id, before a document is written
+   *
+   * @param  {Object} doc     Document
+   * @param  {Object} current Stored document which is replaced, excluded from the check
+   */
+  checkUnique(doc, current) {
+    [ID_INDEX].concat(this.indexSpecs.filter(spec => spec.unique)).forEach(spec => {
+      let fields = Object.keys(spec.key),
+        values = fields.map(field => getPath(doc, field));
+
+      if (spec.sparse && values.every(value => value === undefined)) {
+        return;
+      }
+
+      let duplicate = this.docs.some(other => {
+        return other !== current && fields.every((field, i) => equals(getPath(other, field), values[i]));
+      });
+
+      if (duplicate) {
+        let keyValue = {};
+        fields.forEach((field, i) => {
+          keyValue[field] = values[i];
+        });
+
+        let err = mongoError('E11000 duplicate key error collection: ' + this.namespace + ' index: ' + spec.name +
+          ' dup key: { ' + values.map(value => ': ' + JSON.stringify(value)).join(', ') + ' }', 11000);
+        err.keyValue = keyValue;
+
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Finds stored documents matching filter, in insertion order
+   *
+   * @param  {Object} filter Query filter
+   *
+   * @return {Array}
+   */
+  select(filter) {
+    return this.docs.filter(doc => matches(doc, filter));
+  }
+
+  /**
+   * Inserts document synchronously, generates _id if missing
+   *
+   * @param  {Object} doc Document, receives generated _id
+   *
+   * @return {Object}     Stored document
+   */
+  store(doc) {
+    if (doc._id === undefined) {
+      doc._id = new ObjectID();
+    }
+
+    let stored = clone(doc);
+    this.checkUnique(stored, null);
+    this.docs.push(stored);
+
+    return stored;
+  }
+
+  /**
+   * Updates first or all matching documents synchronously
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} update Update or replacement document
+   * @param  {Object} opts   Option data: multi, upsert, sort
+   *
+   * @return {Object}        { matched, modified, upsertedId, before, after }
+   */
+  modify(filter, update, opts) {
+    opts = opts || {};
+
+    let targets = sortDocs(this.select(filter), opts.sort),
+      result = {
+        matched: 0,
+        modified: 0,
+        upsertedId: null,
+        before: null,
+        after: null
+      };
+
+    targets = opts.multi ? targets : targets.slice(0, 1);
+
+    if (!targets.length && opts.upsert) {
+      let doc = seedUpsert(filter);
+      applyUpdate(doc, update, true);
+
+      result.after = this.store(doc);
+      result.upsertedId = result.after._id;
+
+      return result;
+    }
+
+    targets.forEach(target => {
+      let doc = clone(target);
+      applyUpdate(doc, update, false);
+
+      if (!equals(doc._id, target._id)) {
+        throw mongoError('Performing an update on the path \'_id\' would modify the immutable field \'_id\'', 66);
+      }
+
+      this.checkUnique(doc, target);
+
+      result.matched++;
+      result.before = result.before || clone(target);
+
+      if (!equals(doc, target)) {
+        result.modified++;
+        this.docs[this.docs.indexOf(target)] = doc;
+        target = doc;
+      }
+
+      result.after = result.after || target;
+    });
+
+    return result;
+  }
+
+  /**
+   * Removes first or all matching documents synchronously
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} opts   Option data: multi, sort
+   *
+   * @return {Array}        Removed documents
+   */
+  remove(filter, opts) {
+    opts = opts || {};
+
+    let targets = sortDocs(this.select(filter), opts.sort);
+
+    targets = opts.multi ? targets : targets.slice(0, 1);
+    this.docs = this.docs.filter(doc => targets.indexOf(doc) === -1);
+
+    return targets;
+  }
+
+  /**
+   * Finds documents
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} opts   Option data: projection, sort, skip, limit
+   *
+   * @return {MemoryCursor}
+   */
+  find(filter, opts) {
+    opts = opts || {};
+
+    let cursor = new MemoryCursor(() => this.select(filter));
+
+    return cursor.sort(opts.sort).skip(opts.skip).limit(opts.limit).project(opts.projection || opts.fields);
+  }
+
+  /**
+   * Finds first document
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} opts   Option data: projection, sort, skip
+   *
+   * @return {Promise}        Resolves document, null if there is none
+   */
+  findOne(filter, opts) {
+    return this.find(filter, opts).limit(1).toArray().then(docs => docs[0] || null);
+  }
+
+  /**
+   * Inserts document
+   *
+   * @param  {Object} doc Document
+   *
+   * @return {Promise}     Resolves { insertedCount, insertedId, ops }
+   */
+  insertOne(doc) {
+    return BPromise.try(() => {
+      this.store(doc);
+
+      return {
+        insertedCount: 1,
+        insertedId: doc._id,
+        ops: [doc],
+        result: {
+          ok: 1,
+          n: 1
+        }
+      };
+    });
+  }
+
+  /**
+   * Inserts documents
+   *
+   * @param  {Array} docs Documents
+   * @param  {Object} opts Option data: ordered
+   *
+   * @return {Promise}      Resolves { insertedCount, insertedIds, ops }
+   */
+  insertMany(docs, opts) {
+    return this.bulkWrite(docs.map(doc => {
+      return {
+        insertOne: {
+          document: doc
+        }
+      };
+    }), opts).then(result => {
+      return {
+        insertedCount: result.insertedCount,
+        insertedIds: result.insertedIds,
+        ops: docs,
+        result: {
+          ok: 1,
+          n: result.insertedCount
+        }
+      };
+    });
+  }
+
+  /**
+   * Builds driver update result
+   *
+   * @param  {Object} result Modify result
+   *
+   * @return {Object}
+   */
+  updateResult(result) {
+    return {
+      matchedCount: result.matched,
+      modifiedCount: result.modified,
+      upsertedCount: result.upsertedId ? 1 : 0,
+      upsertedId: result.upsertedId ? {
+        index: 0,
+        _id: result.upsertedId
+      } : null,
+      result: {
+        ok: 1,
+        n: result.matched + (result.upsertedId ? 1 : 0),
+        nModified: result.modified
+      }
+    };
+  }
+
+  /**
+   * Updates first matching document
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} update Update document
+   * @param  {Object} opts   Option data: upsert
+   *
+   * @return {Promise}        Resolves { matchedCount, modifiedCount, upsertedCount, upsertedId }
+   */
+  updateOne(filter, update, opts) {
+    return BPromise.try(() => this.updateResult(this.modify(filter, update, {
+      upsert: opts && opts.upsert
+    })));
+  }
+
+  /**
+   * Updates all matching documents
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} update Update document
+   * @param  {Object} opts   Option data: upsert
+   *
+   * @return {Promise}        Resolves { matchedCount, modifiedCount, upsertedCount, upsertedId }
+   */
+  updateMany(filter, update, opts) {
+    return BPromise.try(() => this.updateResult(this.modify(filter, update, {
+      upsert: opts && opts.upsert,
+      multi: true
+    })));
+  }
+
+  /**
+   * Replaces first matching document
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} doc    Replacement document
+   * @param  {Object} opts   Option data: upsert
+   *
+   * @return {Promise}        Resolves { matchedCount, modifiedCount, upsertedCount, upsertedId }
+   */
+  replaceOne(filter, doc, opts) {
+    return this.updateOne(filter, doc, opts);
+  }
+
+  /**
+   * Deletes first matching document
+   *
+   * @param  {Object} filter Query filter
+   *
+   * @return {Promise}        Resolves { deletedCount }
+   */
+  deleteOne(filter) {
+    return BPromise.try(() => {
+      let count = this.remove(filter).length;
+
+      return {
+        deletedCount: count,
+        result: {
+          ok: 1,
+          n: count
+        }
+      };
+    });
+  }
+
+  /**
+   * Deletes all matching documents
+   *
+   * @param  {Object} filter Query filter
+   *
+   * @return {Promise}        Resolves { deletedCount }
+   */
+  deleteMany(filter) {
+    return BPromise.try(() => {
+      let count = this.remove(filter, {
+        multi: true
+      }).length;
+
+      return {
+        deletedCount: count,
+        result: {
+          ok: 1,
+          n: count
+        }
+      };
+    });
+  }
+
+  /**
+   * Updates first matching document, returns it
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} update Update document
+   * @param  {Object} opts   Option data: upsert, sort, projection, returnOriginal (defaults to true),
+   *                         returnDocument (before, after)
+   *
+   * @return {Promise}        Resolves { value, ok, lastErrorObject }
+   */
+  findOneAndUpdate(filter, update, opts) {
+    opts = opts || {};
+
+    return BPromise.try(() => {
+      let result = this.modify(filter, update, {
+          upsert: opts.upsert,
+          sort: opts.sort
+        }),
+        after = opts.returnDocument ? opts.returnDocument === 'after' : opts.returnOriginal === false,
+        value = after ? result.after : result.before;
+
+      return {
+        value: value ? project(clone(value), opts.projection) : null,
+        ok: 1,
+        lastErrorObject: {
+          n: result.matched || (result.upsertedId ? 1 : 0),
+          updatedExisting: result.matched > 0,
+          upserted: result.upsertedId || undefined
+        }
+      };
+    });
+  }
+
+  /**
+   * Replaces first matching document, returns it
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} doc    Replacement document
+   * @param  {Object} opts   Option data, see findOneAndUpdate
+   *
+   * @return {Promise}        Resolves { value, ok, lastErrorObject }
+   */
+  findOneAndReplace(filter, doc, opts) {
+    return this.findOneAndUpdate(filter, doc, opts);
+  }
+
+  /**
+   * Deletes first matching document, returns it
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} opts   Option data: sort, projection
+   *
+   * @return {Promise}        Resolves { value, ok }
+   */
+  findOneAndDelete(filter, opts) {
+    opts = opts || {};
+
+    return BPromise.try(() => {
+      let removed = this.remove(filter, {
+        sort: opts.sort
+      });
+
+      return {
+        value: removed.length ? project(removed[0], opts.projection) : null,
+        ok: 1,
+        lastErrorObject: {
+          n: removed.length
+        }
+      };
+    });
+  }
+
+  /**
+   * Runs write operations
+   *
+   * @param  {Array} operations Bulk operations
+   * @param  {Object} opts       Option data: ordered (defaults to true)
+   *
+   * @return {Promise}            Resolves bulk result, rejects with writeErrors and partial result
+   */
+  bulkWrite(operations, opts) {
+    opts = opts || {};
+
+    return BPromise.try(() => {
+      let ordered = opts.ordered !== false,
+        writeErrors = [],
+        result = {
+          insertedCount: 0,
+          matchedCount: 0,
+          modifiedCount: 0,
+          deletedCount: 0,
+          upsertedCount: 0,
+          insertedIds: {},
+          upsertedIds: {}
+        };
+
+      for (let i = 0; i < operations.length; i++) {
+        let type = Object.keys(operations[i])[0],
+          body = operations[i][type];
+
+        try {
+          switch (type) {
+            case 'insertOne':
+              this.store(body.document);
+              result.insertedIds[i] = body.document._id;
+              result.insertedCount++;
+              break;
+            case 'updateOne':
+            case 'updateMany':
+            case 'replaceOne':
+              let modified = this.modify(body.filter, body.update || body.replacement, {
+                upsert: body.upsert,
+                multi: type === 'updateMany'
+              });
+
+              result.matchedCount += modified.matched;
+              result.modifiedCount += modified.modified;
+
+              if (modified.upsertedId) {
+                result.upsertedIds[i] = modified.upsertedId;
+                result.upsertedCount++;
+              }
+              break;
+            case 'deleteOne':
+            case 'deleteMany':
+              result.deletedCount += this.remove(body.filter, {
+                multi: type === 'deleteMany'
+              }).length;
+              break;
+            default:
+              throw mongoError('Unsupported bulk operation in memory: ' + type, 2);
+          }
+        } catch (e) {
+          writeErrors.push({
+            index: i,
+            code: e.code,
+            errmsg: e.errmsg || e.message
+          });
+
+          if (ordered) {
+            break;
+          }
+        }
+      }
+
+      Object.assign(result, {
+        nInserted: result.insertedCount,
+        nMatched: result.matchedCount,
+        nModified: result.modifiedCount,
+        nRemoved: result.deletedCount,
+        nUpserted: result.upsertedCount
+      });
+
+      if (writeErrors.length) {
+        let err = mongoError(writeErrors[0].errmsg, writeErrors[0].code);
+        err.name = 'BulkWriteError';
+        err.writeErrors = writeErrors;
+        err.result = bulkWriteResult(result);
+
+        throw err;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Counts matching documents
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} opts   Option data: skip, limit
+   *
+   * @return {Promise}        Resolves count
+   */
+  countDocuments(filter, opts) {
+    opts = opts || {};
+
+    return this.find(filter).skip(opts.skip).limit(opts.limit).count();
+  }
+
+  /**
+   * Counts matching documents, legacy count
+   *
+   * @param  {Object} filter Query filter
+   * @param  {Object} opts   Option data: skip, limit
+   *
+   * @return {Promise}        Resolves count
+   */
+  count(filter, opts) {
+    return this.countDocuments(filter, opts);
+  }
+
+  /**
+   * Counts all documents
+   *
+   * @return {Promise}        Resolves count
+   */
+  estimatedDocumentCount() {
+    return BPromise.resolve(this.docs.length);
+  }
+
+  /**
+   * Lists distinct values of field, array values are unwound
+   *
+   * @param  {String} field  Field path
+   * @param  {Object} filter Query filter
+   *
+   * @return {Promise}        Resolves values
+   */
+  distinct(field, filter) {
+    return BPromise.try(() => {
+      let values = [];
+
+      this.select(filter).forEach(doc => {
+        lookup(doc, field).forEach(value => {
+          [].concat(value).forEach(item => {
+            if (item !== undefined && !values.some(existing => equals(existing, item))) {
+              values.push(clone(item));
+            }
+          });
+        });
+      });
+
+      return values;
+    });
+  }
+
+  /**
+   * Runs aggregation pipeline, supports $geoNear, $match, $project, $addFields, $set, $group, $sort, $skip,
+   * $limit, $count, $unwind and $lookup stages
+   *
+   * @param  {Array} pipeline Pipeline stages
+   *
+   * @return {MemoryCursor}
+   */
+  aggregate(pipeline) {
+    return new MemoryCursor(() => {
+      return (pipeline || []).reduce((docs, stage) => this.runStage(docs, stage), this.docs.map(clone));
+    });
+  }
+
+  /**
+   * Runs one aggregation stage
+   *
+   * @param  {Array} docs  Input documents
+   * @param  {Object} stage Pipeline stage
+   *
+   * @return {Array}       Output documents
+   */
+  runStage(docs, stage) {
+    let operator = Object.keys(stage)[0],
+      spec = stage[operator];
+
+    switch (operator) {
+      case '$geoNear':
+        let key = spec.key || this.geoField(),
+          located = [];
+
+        docs.forEach(doc => {
+          let distance = geoDistance(spec.near, getPath(doc, key), spec.spherical);
+
+          if (distance === null || (spec.query && !matches(doc, spec.query)) ||
+            (typeof(spec.maxDistance) === 'number' && distance > spec.maxDistance) ||
+            (typeof(spec.minDistance) === 'number' && distance < spec.minDistance)) {
+            return;
+          }
+
+          setPath(doc, spec.distanceField, distance * (spec.distanceMultiplier || 1));
+          located.push({
+            doc: doc,
+            distance: distance
+          });
+        });
+
+        return located.sort((a, b) => a.distance - b.distance).map(item => item.doc);
+      case '$match':
+        return docs.filter(doc => matches(doc, spec));
+      case '$sort':
+        return sortDocs(docs, spec);
+      case '$skip':
+        return docs.slice(spec);
+      case '$limit':
+        return docs.slice(0, spec);
+      case '$count':
+        return docs.length ? [{
+          [spec]: docs.length
+        }] : [];
+      case '$group':
+        return group(docs, spec);
+      case '$project':
+      case '$addFields':
+      case '$set':
+        let computed = Object.keys(spec).filter(key => operator !== '$project' || (spec[key] !== 0 && spec[key] !== 1 && typeof(spec[key]) !== 'boolean'));
+
+        return docs.map(doc => {
+          let result = operator === '$project' ? project(doc, Object.keys(spec).filter(key => computed.indexOf(key) === -1).reduce((projection, key) => {
+            projection[key] = spec[key];
+            return projection;
+          }, computed.length ? {
+            _id: spec._id === undefined ? 1 : spec._id
+          } : {})) : doc;
+
+          computed.forEach(key => {
+            setPath(result, key, evaluate(spec[key], doc));
+          });
+
+          return result;
+        });
+      case '$unwind':
+        let path = (typeof(spec) === 'string' ? spec : spec.path).substr(1),
+          preserve = typeof(spec) === 'object' && spec.preserveNullAndEmptyArrays,
+          results = [];
+
+        docs.forEach(doc => {
+          let value = getPath(doc, path);
+
+          if (Array.isArray(value) && value.length) {
+            value.forEach((item, i) => {
+              let copy = clone(doc);
+              setPath(copy, path, clone(item));
+
+              if (typeof(spec) === 'object' && spec.includeArrayIndex) {
+                copy[spec.includeArrayIndex] = i;
+              }
+              results.push(copy);
+            });
+          } else if (preserve) {
+            results.push(doc);
+          }
+        });
+
+        return results;
+      case '$lookup':
+        Hoek.assert(!spec.pipeline, 'Lookup pipelines are not supported in memory');
+
+        let foreign = this.db.collection(spec.from);
+
+        return docs.map(doc => {
+          let values = expand(lookup(doc, spec.localField));
+
+          doc[spec.as] = foreign.docs.filter(other => {
+            return expand(lookup(other, spec.foreignField)).some(value => values.some(local => equals(local, value)));
+          }).map(clone);
+
+          return doc;
+        });
+    }
+
+    throw mongoError('Unsupported aggregation stage in memory: ' + operator, 40324);
+  }
+
+  /**
+   * Returns field of geospatial index, which $geoNear runs on
+   *
+   * @return {String}
+   */
+  geoField() {
+    let fields = [];
+
+    this.indexSpecs.forEach(spec => {
+      Object.keys(spec.key).forEach(key => {
+        if (spec.key[key] === '2dsphere' || spec.key[key] === '2d') {
+          fields.push(key);
+        }
+      });
+    });
+
+    if (fields.length !== 1) {
+      throw mongoError('$geoNear requires exactly one geospatial index, found ' + fields.length, 291);
+    }
+
+    return fields[0];
+  }
+
+  /**
+   * Lists indexes
+   *
+   * @return {Promise}      Resolves index specs
+   */
+  indexes() {
+    return BPromise.resolve([ID_INDEX].concat(this.indexSpecs).map(clone));
+  }
+
+  /**
+   * Creates indexes, unique indexes are enforced
+   *
+   * @param  {Array} specs Index specs: { key, name, unique, sparse }
+   *
+   * @return {Promise}      Resolves index names
+   */
+  createIndexes(specs) {
+    return BPromise.try(() => {
+      return specs.map(spec => {
+        let name = spec.name || Object.keys(spec.key).map(key => key + '_' + spec.key[key]).join('_'),
+          existing = this.indexSpecs.filter(item => item.name === name)[0];
+
+        if (!existing) {
+          let index = Object.assign({
+            v: 2
+          }, clone(spec), {
+            name: name
+          });
+
+          this.indexSpecs.push(index);
+
+          if (index.unique) {
+            try {
+              this.docs.forEach(doc => this.checkUnique(doc, doc));
+            } catch (e) {
+              this.indexSpecs.pop();
+              throw e;
+            }
+          }
+        }
+
+        return name;
+      });
+    });
+  }
+
+  /**
+   * Creates index
+   *
+   * @param  {Object} key  Index key
+   * @param  {Object} opts Index options: name, unique, sparse
+   *
+   * @return {Promise}      Resolves index name
+   */
+  createIndex(key, opts) {
+    return this.createIndexes([Object.assign({
+      key: key
+    }, opts)]).then(names => names[0]);
+  }
+
+  /**
+   * Drops index
+   *
+   * @param  {String} name Index name
+   *
+   * @return {Promise}
+   */
+  dropIndex(name) {
+    return BPromise.try(() => {
+      let count = this.indexSpecs.length;
+      this.indexSpecs = this.indexSpecs.filter(spec => spec.name !== name);
+
+      if (count === this.indexSpecs.length) {
+        throw mongoError('index not found with name [' + name + ']', 27);
+      }
+
+      return {
+        ok: 1
+      };
+    });
+  }
+
+  /**
+   * Change streams need a replica set, so watch emits the matching server error,
+   * subscriptions fall back to polling
+   *
+   * @return {EventEmitter}
+   */
+  watch() {
+    let stream = new EventEmitter();
+
+    stream.close = () => BPromise.resolve();
+
+    setTimeout(() => {
+      stream.emit('error', mongoError('The $changeStream stage is only supported on replica sets', 40573));
+    }, 0);
+
+    return stream;
+  }
+
+  /**
+   * Removes all documents and indexes
+   *
+   * @return {Promise}
+   */
+  drop() {
+    this.docs = [];
+    this.indexSpecs = [];
+
+    return BPromise.resolve(true);
+  }
+}
+
+class MemoryDb extends EventEmitter {
+
+  /**
+   * Database kept in memory, for tests
+   *
+   * @param  {String} name Database name
+   */
+  constructor(name) {
+    super();
+
+    this.databaseName = name || 'memory';
+    this.collections = {};
+  }
+
+  /**
+   * Returns collection, creates it if it does not exist
+   *
+   * @param  {String} name Collection name
+   *
+   * @return {MemoryCollection}
+   */
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = new MemoryCollection(this, name);
+    }
+
+    return this.collections[name];
+  }
+
+  /**
+   * Creates collection
+   *
+   * @param  {String} name Collection name
+   * @param  {Object} opts Collection options, e.g validator
+   *
+   * @return {Promise}      Resolves collection
+   */
+  createCollection(name, opts) {
+    let collection = this.collection(name);
+    collection.options = Object.assign({}, opts);
+
+    return BPromise.resolve(collection);
+  }
+
+  /**
+   * Lists collections
+   *
+   * @param  {Object} filter Filter by name
+   *
+   * @return {Object}        Cursor like object with toArray
+   */
+  listCollections(filter) {
+    return new MemoryCursor(() => {
+      return Object.keys(this.collections).map(name => {
+        return {
+          name: name,
+          type: 'collection',
+          options: this.collections[name].options
+        };
+      }).filter(info => matches(info, filter));
+    });
+  }
+
+  /**
+   * Drops collection
+   *
+   * @param  {String} name Collection name
+   *
+   * @return {Promise}
+   */
+  dropCollection(name) {
+    delete this.collections[name];
+
+    return BPromise.resolve(true);
+  }
+
+  /**
+   * Runs command, supports ping, buildInfo, isMaster, collMod and dropDatabase
+   *
+   * @param  {Object} command Command document
+   *
+   * @return {Promise}         Resolves command result
+   */
+  command(command) {
+    let name = Object.keys(command || {})[0];
+
+    switch (name) {
+      case 'ping':
+        return BPromise.resolve({
+          ok: 1
+        });
+      case 'buildInfo':
+        return BPromise.resolve({
+          version: 'memory',
+          ok: 1
+        });
+      case 'isMaster':
+        return BPromise.resolve({
+          ismaster: true,
+          ok: 1
+        });
+      case 'collMod':
+        let options = Object.assign({}, command);
+        delete options.collMod;
+        Object.assign(this.collection(command.collMod).options, options);
+
+        return BPromise.resolve({
+          ok: 1
+        });
+      case 'dropDatabase':
+        this.collections = {};
+
+        return BPromise.resolve({
+          ok: 1
+        });
+    }
+
+    return BPromise.reject(mongoError('Unsupported command in memory: ' + name, 59));
+  }
+
+  /**
+   * Loads fixtures, extended JSON values ({ $oid }, { $date }) are revived
+   *
+   * @param  {Object} fixtures Documents by collection name
+   *
+   * @return {Object}          Loaded counts by collection name
+   */
+  load(fixtures) {
+    let counts = {},
+      revive = (value) => {
+        if (Array.isArray(value)) {
+          return value.map(revive);
+        }
+
+        if (isObject(value)) {
+          let result = {};
+          Object.keys(value).forEach(key => {
+            result[key] = revive(value[key]);
+          });
+
+          return ImportParser.reviveExtended(null, result);
+        }
+
+        return value;
+      };
+
+    Object.keys(fixtures || {}).forEach(name => {
+      let collection = this.collection(name);
+
+      [].concat(fixtures[name]).forEach(doc => collection.store(revive(doc)));
+      counts[name] = collection.docs.length;
+    });
+
+    return counts;
+  }
+
+  /**
+   * Removes all documents
+   *
+   * @param  {Array} names Collection names, defaults to all collections
+   */
+  reset(names) {
+    (names || Object.keys(this.collections)).forEach(name => {
+      if (this.collections[name]) {
+        this.collections[name].docs = [];
+      }
+    });
+  }
+
+  /**
+   * Returns copy of all documents, restore it with restore
+   *
+   * @return {Object}      Documents by collection name
+   */
+  snapshot() {
+    let result = {};
+    Object.keys(this.collections).forEach(name => {
+      result[name] = this.collections[name].docs.map(clone);
+    });
+
+    return result;
+  }
+
+  /**
+   * Restores documents of snapshot
+   *
+   * @param  {Object} snapshot Documents by collection name
+   */
+  restore(snapshot) {
+    Object.keys(this.collections).forEach(name => {
+      this.collections[name].docs = snapshot[name] ? snapshot[name].map(clone) : [];
+    });
+  }
+}
+
+class MemorySession {
+
+  /**
+   * Client session. Transactions are not isolated, aborting restores documents written since start
+   *
+   * @param  {MemoryDb} db Database
+   */
+  constructor(db) {
+    this.db = db;
+    this.state = null;
+  }
+
+  /**
+   * Starts transaction
+   */
+  startTransaction() {
+    this.state = this.db.snapshot();
+  }
+
+  /**
+   * Returns true if a transaction is running
+   *
+   * @return {Boolean}
+   */
+  inTransaction() {
+    return this.state !== null;
+  }
+
+  /**
+   * Commits transaction
+   *
+   * @return {Promise}
+   */
+  commitTransaction() {
+    this.state = null;
+
+    return BPromise.resolve();
+  }
+
+  /**
+   * Aborts transaction, restores documents
+   *
+   * @return {Promise}
+   */
+  abortTransaction() {
+    if (this.state) {
+      this.db.restore(this.state);
+      this.state = null;
+    }
+
+    return BPromise.resolve();
+  }
+
+  /**
+   * Ends session
+   */
+  endSession() {
+    this.state = null;
+  }
+}
+
+class MemoryClient {
+
+  /**
+   * Client of in memory databases
+   */
+  constructor() {
+    this.dbs = {};
+  }
+
+  /**
+   * Returns database
+   *
+   * @param  {String} name Database name
+   *
+   * @return {MemoryDb}
+   */
+  db(name) {
+    name = name || 'memory';
+
+    if (!this.dbs[name]) {
+      this.dbs[name] = new MemoryDb(name);
+    }
+
+    return this.dbs[name];
+  }
+
+  /**
+   * Starts session on first database
+   *
+   * @return {MemorySession}
+   */
+  startSession() {
+    return new MemorySession(this.db(Object.keys(this.dbs)[0]));
+  }
+
+  /**
+   * Closes client, documents are kept
+   *
+   * @return {Promise}
+   */
+  close() {
+    return BPromise.resolve();
+  }
+}
+
+module.exports = MemoryDb;
+
+module.exports.MemoryClient = MemoryClient;
+module.exports.MemoryCollection = MemoryCollection;
+module.exports.MemoryCursor = MemoryCursor;
+module.exports.MemorySession = MemorySession;
+module.exports.matches = matches;
+module.exports.applyUpdate = applyUpdate;
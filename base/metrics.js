@@ -0,0 +1,178 @@
+'use strict';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class PrometheusSink {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {Object} opts Option data: prefix, buckets (in seconds)
+   */
+  constructor(opts) {
+    opts = opts || {};
+
+    this.prefix = opts.prefix || 'mongo';
+    this.buckets = opts.buckets || DEFAULT_BUCKETS;
+    this.reset();
+  }
+
+  /**
+   * Clears collected values
+   */
+  reset() {
+    this.series = {};
+  }
+
+  /**
+   * Records operation sample
+   *
+   * @param  {Object} sample Sample: collection, operation, duration (ms), error, slow
+   */
+  record(sample) {
+    let key = sample.collection + '|' + sample.operation,
+      seconds = sample.duration / 1000,
+      serie = this.series[key];
+
+    if (!serie) {
+      serie = this.series[key] = {
+        labels: {
+          collection: sample.collection,
+          operation: sample.operation
+        },
+        success: 0,
+        error: 0,
+        slow: 0,
+        sum: 0,
+        count: 0,
+        buckets: this.buckets.map(() => 0)
+      };
+    }
+
+    serie[sample.error ? 'error' : 'success']++;
+    serie.slow += sample.slow ? 1 : 0;
+    serie.sum += seconds;
+    serie.count++;
+
+    this.buckets.forEach((le, i) => {
+      if (seconds <= le) {
+        serie.buckets[i]++;
+      }
+    });
+  }
+
+  /**
+   * Exports collected values in Prometheus text format
+   *
+   * @return {String}
+   */
+  export() {
+
+    let self = this,
+      prefix = self.prefix,
+      keys = Object.keys(self.series).sort(),
+      lines = [],
+      formatLabels = (labels) => {
+        return '{' + Object.keys(labels).map(name => {
+          let value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+          return name + '="' + value + '"';
+        }).join(',') + '}';
+      };
+
+    lines.push('# HELP ' + prefix + '_queries_total Total number of mongo operations');
+    lines.push('# TYPE ' + prefix + '_queries_total counter');
+    keys.forEach(key => {
+      let serie = self.series[key];
+      ['success', 'error'].forEach(status => {
+        lines.push(prefix + '_queries_total' + formatLabels(Object.assign({
+          status: status
+        }, serie.labels)) + ' ' + serie[status]);
+      });
+    });
+
+    lines.push('# HELP ' + prefix + '_slow_queries_total Total number of slow mongo operations');
+    lines.push('# TYPE ' + prefix + '_slow_queries_total counter');
+    keys.forEach(key => {
+      let serie = self.series[key];
+      lines.push(prefix + '_slow_queries_total' + formatLabels(serie.labels) + ' ' + serie.slow);
+    });
+
+    lines.push('# HELP ' + prefix + '_query_duration_seconds Mongo operation duration');
+    lines.push('# TYPE ' + prefix + '_query_duration_seconds histogram');
+    keys.forEach(key => {
+      let serie = self.series[key];
+
+      self.buckets.forEach((le, i) => {
+        lines.push(prefix + '_query_duration_seconds_bucket' + formatLabels(Object.assign({
+          le: String(le)
+        }, serie.labels)) + ' ' + serie.buckets[i]);
+      });
+
+      lines.push(prefix + '_query_duration_seconds_bucket' + formatLabels(Object.assign({
+        le: '+Inf'
+      }, serie.labels)) + ' ' + serie.count);
+      lines.push(prefix + '_query_duration_seconds_sum' + formatLabels(serie.labels) + ' ' + serie.sum);
+      lines.push(prefix + '_query_duration_seconds_count' + formatLabels(serie.labels) + ' ' + serie.count);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+class Metrics {
+
+  /**
+   * Constructor, set default values
+   */
+  constructor() {
+    this.sinks = [];
+  }
+
+  /**
+   * Registers metrics sink.
+   * A sink is either a function or an object with record method, receiving samples
+   *
+   * @param {Function|Object} sink Metrics sink
+   */
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  /**
+   * Unregisters metrics sink
+   *
+   * @param  {Function|Object} sink Metrics sink
+   */
+  removeSink(sink) {
+    this.sinks = this.sinks.filter(s => s !== sink);
+  }
+
+  /**
+   * Sends sample to all sinks. Sink failures never break queries
+   *
+   * @param  {Object} sample Sample: collection, operation, duration (ms), error, slow
+   */
+  record(sample) {
+    this.sinks.forEach(sink => {
+      try {
+        if (typeof(sink) === 'function') {
+          sink(sample);
+        } else {
+          sink.record(sample);
+        }
+      } catch (e) {
+        // ignore sink errors
+      }
+    });
+  }
+}
+
+let metrics = new Metrics();
+
+metrics.prometheus = new PrometheusSink();
+metrics.addSink(metrics.prometheus);
+
+module.exports = metrics;
+
+module.exports.Metrics = Metrics;
+module.exports.PrometheusSink = PrometheusSink;
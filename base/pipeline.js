@@ -0,0 +1,225 @@
+'use strict';
+
+const Hoek = require('hoek');
+const helpers = require('node-helpers');
+
+const MongoHelpers = require('./helpers');
+
+class Pipeline {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {BaseAdapter} adapter Adapter instance, its model converts match forms. Optional
+   * @param  {Array} stages  Initial stages
+   */
+  constructor(adapter, stages) {
+    this.adapter = adapter || null;
+    this.stages = stages ? stages.slice() : [];
+  }
+
+  /**
+   * Appends raw stage
+   *
+   * @param  {Object} stage Pipeline stage
+   *
+   * @return {Pipeline}
+   */
+  stage(stage) {
+    Hoek.assert(stage && Object.keys(stage).length === 1, 'Pipeline stage must have exactly one operator');
+
+    this.stages.push(stage);
+
+    return this;
+  }
+
+  /**
+   * Appends $match stage. Input form is converted by model toQueryObject,
+   * use raw option to send the query as is
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: raw
+   *
+   * @return {Pipeline}
+   */
+  match(form, opts) {
+    opts = opts || {};
+
+    let model = this.adapter ? this.adapter.model : null,
+      query = form;
+
+    if (!opts.raw && model) {
+      query = model.toQueryObject ? model.toQueryObject(form) : helpers.Model.toSimpleObject(form);
+    }
+
+    return this.stage({
+      $match: query
+    });
+  }
+
+  /**
+   * Appends $group stage
+   *
+   * @param  {Object} spec Group spec, must contain _id
+   *
+   * @return {Pipeline}
+   */
+  group(spec) {
+    Hoek.assert(spec && spec.hasOwnProperty('_id'), 'Group stage requires _id');
+
+    return this.stage({
+      $group: spec
+    });
+  }
+
+  /**
+   * Appends $project stage
+   *
+   * @param  {Object|Array} spec Projection, or array of included fields
+   *
+   * @return {Pipeline}
+   */
+  project(spec) {
+    if (Array.isArray(spec)) {
+      let fields = {};
+      spec.forEach(field => {
+        fields[field] = 1;
+      });
+      spec = fields;
+    }
+
+    return this.stage({
+      $project: spec
+    });
+  }
+
+  /**
+   * Appends $lookup stage
+   *
+   * @param  {String|Object} from         Foreign collection name, or lookup spec
+   * @param  {String} localField   Local field
+   * @param  {String} foreignField Foreign field
+   * @param  {String} as           Output array field
+   *
+   * @return {Pipeline}
+   */
+  lookup(from, localField, foreignField, as) {
+    let spec = typeof(from) === 'object' ? from : {
+      from: from,
+      localField: localField,
+      foreignField: foreignField,
+      as: as || from
+    };
+
+    if (spec.pipeline instanceof Pipeline) {
+      spec = Object.assign({}, spec, {
+        pipeline: spec.pipeline.toArray()
+      });
+    }
+
+    return this.stage({
+      $lookup: spec
+    });
+  }
+
+  /**
+   * Appends $unwind stage
+   *
+   * @param  {String} path Array field path, with or without $
+   * @param  {Object} opts Option data: preserveNullAndEmptyArrays, includeArrayIndex
+   *
+   * @return {Pipeline}
+   */
+  unwind(path, opts) {
+    path = path.charAt(0) === '$' ? path : '$' + path;
+
+    return this.stage({
+      $unwind: opts ? Object.assign({
+        path: path
+      }, opts) : path
+    });
+  }
+
+  /**
+   * Appends $facet stage
+   *
+   * @param  {Object} facets Sub pipelines by output field, each one is a Pipeline or an array of stages
+   *
+   * @return {Pipeline}
+   */
+  facet(facets) {
+    let spec = {};
+
+    Object.keys(facets).forEach(name => {
+      let facet = facets[name];
+      spec[name] = facet instanceof Pipeline ? facet.toArray() : facet;
+    });
+
+    return this.stage({
+      $facet: spec
+    });
+  }
+
+  /**
+   * Appends $sort stage
+   *
+   * @param  {Mixed} order Sort spec, e.g { createdAt: -1 }, '-createdAt,name' or ['-createdAt', 'name']
+   *
+   * @return {Pipeline}
+   */
+  sort(order) {
+    return this.stage({
+      $sort: MongoHelpers.buildOrder(order)
+    });
+  }
+
+  /**
+   * Appends $skip stage
+   *
+   * @param  {Number} skip Number of skipped documents
+   *
+   * @return {Pipeline}
+   */
+  skip(skip) {
+    return this.stage({
+      $skip: skip
+    });
+  }
+
+  /**
+   * Appends $limit stage
+   *
+   * @param  {Number} limit Maximum number of documents
+   *
+   * @return {Pipeline}
+   */
+  limit(limit) {
+    return this.stage({
+      $limit: limit
+    });
+  }
+
+  /**
+   * Returns pipeline stages
+   *
+   * @return {Array}
+   */
+  toArray() {
+    return this.stages.slice();
+  }
+
+  /**
+   * Runs pipeline on adapter collection
+   *
+   * @param  {Object} opts Aggregate options, see adapter aggregate
+   *
+   * @return {Promise}      Resolves results
+   */
+  exec(opts) {
+    Hoek.assert(this.adapter, 'Pipeline is not bound to an adapter');
+
+    return this.adapter.aggregate(this, opts);
+  }
+}
+
+module.exports = Pipeline;
@@ -10,26 +10,70 @@
 const Hoek = require('hoek');
 const config = require('config');
 const BPromise = require('bluebird');
+const EventEmitter = require('events').EventEmitter;
 const MongoLogger = require('mongodb').Logger;
 const MongoError = require('mongodb').MongoError;
 const MongoClient = require('mongodb').MongoClient;
 
+const logger = require('./logger');
+const RetryPolicy = require('./retry');
+const MongoHelpers = require('./helpers');
+const MemoryDb = require('./memory');
+
+const DEFAULT_TRANSACTION_TIMEOUT_MS = 120000;
+
 const isDebug = config.has('isDebug') ? config.get('isDebug') : (!process.env.NODE_ENV || process.env.NODE_ENV === 'development');
 
-class MongoDB {
+class MongoDB extends EventEmitter {
+
+  /**
+   * Constructor Mongo DB pool.
+   * Connections are opened lazily by connect, or explicitly by init
+   *
+   * Events:
+   *  - connected (name, db)
+   *  - reconnect (name)
+   *  - close (name, err)
+   *  - error (err, name), only emitted when there are listeners
+   */
+  constructor() {
+    super();
+
+    this.dbs = {};
+    this.clients = {};
+    this.pending = {};
+  }
+
+  /**
+   * Returns configured connection names
+   *
+   * @return {Array}
+   */
+  get names() {
+    return config.has('db.mongodb') ? Object.keys(config.get('db.mongodb')) : [];
+  }
 
   /**
-   * Constructor Mongo DB by client
+   * Opens connections
+   *
+   * @param  {Array} names Connection names, defaults to all configured connections
    *
-   * @param {String} name Mongo DB config string
+   * @return {Promise}       Resolves connected dbs map
    */
-  constructor(name) {
-    this.dbs = [];
-    this.connect(name);
+  init(names) {
+    let self = this;
+
+    names = names || self.names;
+
+    return BPromise.map(names, name => self.connect(name)).then(() => {
+      return self.dbs;
+    });
   }
 
   /**
-   * Connects to mongodb, then run query
+   * Connects to mongodb, then run query.
+   * Connection config `db.mongodb.<name>`: connection, database, options, log,
+   * readPreference, readConcern, writeConcern (connection defaults) and memory (in memory database)
    *
    * @param  {String} name Connection config
    *
@@ -39,55 +83,363 @@ class MongoDB {
     let self = this;
     name = name || 'default';
 
-    return new BPromise((resolve, reject) => {
+    if (self.dbs[name]) {
+      return BPromise.resolve(self.dbs[name]);
+    }
 
-      if (self.dbs[name]) {
-        return resolve(self.dbs[name]);
-      }
+    if (self.pending[name]) {
+      return self.pending[name];
+    }
+
+    if (!config.has('db.mongodb.' + name)) {
+      return BPromise.reject(new Error('Mongo connection ' + name + ' is not configured'));
+    }
+
+    let mongoCfg = config.get('db.mongodb.' + name);
+
+    if (mongoCfg.memory) {
+      return BPromise.resolve(self.useMemory(name, mongoCfg.database));
+    }
+
+    self.pending[name] = new BPromise((resolve, reject) => {
 
-      let mongoCfg = config.get('db.mongodb.' + name),
-        url = mongoCfg.connection;
+      let url = mongoCfg.connection;
 
       // Use connect method to connect to the Server
-      console.log('Connects to mongodb server', mongoCfg);
+      logger.info({
+        connection: name,
+        config: logger.redactConfig(mongoCfg)
+      }, 'Connects to mongodb server');
 
-      let opts = !mongoCfg.options ? {} : Hoek.clone(mongoCfg.options);
+      // connection defaults of read preference, read concern and write concern, driver options win
+      let opts = Object.assign(MongoHelpers.concernOptions(mongoCfg), !mongoCfg.options ? {} : Hoek.clone(mongoCfg.options));
       opts.promiseLibrary = BPromise;
 
-      let defaultServerCfg = {
-        socketOptions: {
-          connectTimeoutMS: 30000,
-          socketTimeoutMS: 30000,
-        }
-      };
-
+      // legacy 2.x socket options
       if (opts.server) {
-        opts.server = defaultServerCfg;
-      } else {
-        opts.server = Hoek.applyToDefaults(defaultServerCfg, opts.server);
+        Object.assign(opts, opts.server.socketOptions || {});
+        delete opts.server;
       }
 
-      MongoClient.connect(url, opts).then((db) => {
-        console.log('Connected correctly to server');
+      opts = Hoek.applyToDefaults({
+        connectTimeoutMS: 30000,
+        socketTimeoutMS: 30000
+      }, opts);
+
+      MongoClient.connect(url, opts).then((client) => {
+        logger.info({
+          connection: name
+        }, 'Connected correctly to server');
+
+        let db = client.db(mongoCfg.database);
 
         if (mongoCfg.log ? mongoCfg.log.level : false) {
           // Set debug level
           MongoLogger.setLevel(mongoCfg.log.level);
         }
 
+        self.bindEvents(name, db);
         self.dbs[name] = db;
+        self.clients[name] = client;
+        delete self.pending[name];
+
+        self.emit('connected', name, db);
 
         return resolve(db);
       }).catch(MongoError, e => {
-        console.error(e);
+        logger.error({
+          connection: name,
+          url: logger.redactUrl(url),
+          err: e
+        }, 'Connects to mongodb server failed');
+        delete self.pending[name];
+        self.emitError(e, name);
         return reject(e);
       }).catch(e => {
+        delete self.pending[name];
         if (isDebug) {
           throw e;
         }
         return reject(e);
       });
     });
+
+    return self.pending[name];
+  }
+
+  /**
+   * Registers in memory database under connection name, replaces opened connection if any.
+   * Adapters with this configKey then run against memory, e.g in unit tests
+   *
+   * @param  {String} name     Connection name
+   * @param  {String} database Database name
+   *
+   * @return {MemoryDb}          Database, which loads fixtures and resets documents
+   */
+  useMemory(name, database) {
+    let self = this,
+      client = new MemoryDb.MemoryClient(),
+      db = client.db(database);
+
+    name = name || 'default';
+
+    self.bindEvents(name, db);
+    self.dbs[name] = db;
+    self.clients[name] = client;
+
+    self.emit('connected', name, db);
+
+    return db;
+  }
+
+  /**
+   * Forwards db events to pool listeners
+   *
+   * @param  {String} name Connection name
+   * @param  {Db} db   Mongo db instance
+   */
+  bindEvents(name, db) {
+    let self = this;
+
+    db.on('reconnect', () => {
+      self.emit('reconnect', name);
+    });
+
+    db.on('close', err => {
+      self.emit('close', name, err);
+    });
+
+    db.on('error', err => {
+      self.emitError(err, name);
+    });
+  }
+
+  /**
+   * Emits error event if it is listened, avoids crashing the process
+   *
+   * @param  {Error} err  Error object
+   * @param  {String} name Connection name
+   */
+  emitError(err, name) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err, name);
+    }
+  }
+
+  /**
+   * Closes connection gracefully
+   *
+   * @param  {String} name  Connection name
+   * @param  {Boolean} force Force close, emitting no events
+   *
+   * @return {Promise}
+   */
+  close(name, force) {
+    let self = this;
+    name = name || 'default';
+
+    let prom = self.dbs[name] ? BPromise.resolve(self.dbs[name]) : (self.pending[name] || null);
+
+    if (!prom) {
+      return BPromise.resolve();
+    }
+
+    return prom.then(db => {
+      let client = self.clients[name];
+
+      delete self.dbs[name];
+      delete self.clients[name];
+      db.removeAllListeners('close');
+
+      return client.close(!!force).then(() => {
+        self.emit('close', name);
+      });
+    });
+  }
+
+  /**
+   * Closes all opened connections
+   *
+   * @param  {Boolean} force Force close
+   *
+   * @return {Promise}
+   */
+  closeAll(force) {
+    let self = this,
+      names = Object.keys(self.dbs).concat(Object.keys(self.pending));
+
+    return BPromise.map(names, name => self.close(name, force)).then(() => {});
+  }
+
+  /**
+   * Starts client session
+   *
+   * @param  {String} name Connection name
+   * @param  {Object} opts Session options
+   *
+   * @return {Promise}      Resolves ClientSession
+   */
+  startSession(name, opts) {
+    let self = this;
+    name = name || 'default';
+
+    return self.connect(name).then(() => {
+      return self.clients[name].startSession(opts);
+    });
+  }
+
+  /**
+   * Runs function in a multi-document transaction.
+   * The whole transaction is retried on TransientTransactionError,
+   * commit is retried with backoff on UnknownTransactionCommitResult, until timeout
+   *
+   * @param  {Function} fn   Transaction function, receives session and returns promise
+   * @param  {Object}   opts Option data: name (connection name), timeoutMS, readConcern, writeConcern, readPreference,
+   *                          retry (commit backoff options, see RetryPolicy)
+   *
+   * @return {Promise}        Resolves result of transaction function
+   */
+  withTransaction(fn, opts) {
+    opts = opts || {};
+
+    let self = this,
+      start = Date.now(),
+      timeoutMS = opts.timeoutMS || DEFAULT_TRANSACTION_TIMEOUT_MS,
+      txnOptions = {},
+      commitPolicy = new RetryPolicy(opts.retry),
+      hasLabel = (err, label) => {
+        return !!err && (err.hasErrorLabel ? err.hasErrorLabel(label) : (err.errorLabels || []).indexOf(label) !== -1);
+      },
+      hasTime = () => {
+        return Date.now() - start < timeoutMS;
+      };
+
+    ['readConcern', 'writeConcern', 'readPreference'].forEach(key => {
+      if (opts[key]) {
+        txnOptions[key] = opts[key];
+      }
+    });
+
+    return self.startSession(opts.name).then(session => {
+
+      let commit = (attempt) => {
+        attempt = attempt || 1;
+
+        return BPromise.resolve(session.commitTransaction()).catch(err => {
+          if (hasLabel(err, 'UnknownTransactionCommitResult') && hasTime()) {
+            let delay = commitPolicy.delay(attempt);
+
+            logger.warn({
+              err: err,
+              attempt: attempt,
+              delay: delay
+            }, 'Transaction commit result is unknown, retrying commit');
+
+            return BPromise.delay(delay).then(() => commit(attempt + 1));
+          }
+
+          throw err;
+        });
+      };
+
+      let run = () => {
+        session.startTransaction(txnOptions);
+
+        return BPromise.try(() => fn(session)).then(result => {
+          return commit().then(() => result);
+        }).catch(err => {
+          let abort = session.inTransaction() ? BPromise.resolve(session.abortTransaction()).catch(() => null) : BPromise.resolve();
+
+          return abort.then(() => {
+            if (hasLabel(err, 'TransientTransactionError') && hasTime()) {
+              logger.warn({
+                err: err
+              }, 'Transient transaction error, retrying transaction');
+
+              return run();
+            }
+
+            throw err;
+          });
+        });
+      };
+
+      return run().finally(() => {
+        session.endSession();
+      });
+    });
+  }
+
+  /**
+   * Pings server, measures latency
+   *
+   * @param  {String} name Connection name
+   *
+   * @return {Promise}      Resolves { name, ok, latency }
+   */
+  ping(name) {
+    let self = this;
+    name = name || 'default';
+
+    return self.connect(name).then(db => {
+      let start = Date.now();
+
+      return db.command({
+        ping: 1
+      }).then(() => {
+        return {
+          name: name,
+          ok: true,
+          latency: Date.now() - start
+        };
+      });
+    });
+  }
+
+  /**
+   * Health report per configured connection.
+   * Never rejects, connection errors are put into the report
+   *
+   * @param  {Array} names Connection names, defaults to all configured connections
+   *
+   * @return {Promise}       Resolves array of { name, ok, latency, version, replicaSet, error }
+   */
+  health(names) {
+    let self = this;
+
+    names = names || self.names;
+
+    return BPromise.map(names, name => {
+      return self.ping(name).then(report => {
+        let db = self.dbs[name];
+
+        return BPromise.all([
+          db.command({
+            buildInfo: 1
+          }),
+          db.command({
+            isMaster: 1
+          })
+        ]).spread((buildInfo, isMaster) => {
+          report.version = buildInfo.version;
+          report.replicaSet = isMaster.setName ? {
+            name: isMaster.setName,
+            primary: isMaster.primary,
+            isPrimary: !!isMaster.ismaster,
+            isSecondary: !!isMaster.secondary,
+            hosts: isMaster.hosts
+          } : null;
+
+          return report;
+        });
+      }).catch(e => {
+        return {
+          name: name,
+          ok: false,
+          error: e.message
+        };
+      });
+    });
   }
 }
 
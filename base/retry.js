@@ -0,0 +1,186 @@
+'use strict';
+
+const Hoek = require('hoek');
+const BPromise = require('bluebird');
+
+const MongoHelpers = require('./helpers');
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 3,
+  baseDelayMs: 100,
+  maxDelayMs: 2000,
+  factor: 2,
+  jitter: true,
+  retryNonIdempotent: false,
+  retryableCodes: [
+    6, // HostUnreachable
+    7, // HostNotFound
+    89, // NetworkTimeout
+    91, // ShutdownInProgress
+    189, // PrimarySteppedDown
+    262, // ExceededTimeLimit
+    9001, // SocketException
+    10107, // NotMaster
+    11600, // InterruptedAtShutdown
+    11602, // InterruptedDueToReplStateChange
+    13435, // NotMasterNoSlaveOk
+    13436 // NotMasterOrSecondary
+  ],
+  retryableLabels: ['TransientTransactionError', 'RetryableWriteError']
+};
+
+const NON_IDEMPOTENT_OPERATORS = ['$inc', '$mul', '$push', '$pushAll', '$pop', '$rename', '$bit'];
+const NETWORK_ERROR_REGEX = /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EPIPE|socket|timed out|connection .* closed/i;
+
+class RetryPolicy {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {Object} opts Option data: maxAttempts, baseDelayMs, maxDelayMs, factor, jitter,
+   *                       retryNonIdempotent, retryableCodes, retryableLabels
+   */
+  constructor(opts) {
+    this.options = Hoek.applyToDefaults(DEFAULT_OPTIONS, opts || {});
+  }
+
+  /**
+   * Checks if error is transient
+   *
+   * @param  {Error}  err Error object
+   *
+   * @return {Boolean}
+   */
+  isRetryable(err) {
+    if (!err) {
+      return false;
+    }
+
+    let labels = err.errorLabels || [];
+    if (this.options.retryableLabels.some(label => labels.indexOf(label) !== -1)) {
+      return true;
+    }
+
+    if (err.code) {
+      return this.options.retryableCodes.indexOf(err.code) !== -1;
+    }
+
+    return err.name === 'MongoNetworkError' || (err.name === 'MongoError' && NETWORK_ERROR_REGEX.test(err.message));
+  }
+
+  /**
+   * Returns delay before next attempt, exponential backoff with full jitter
+   *
+   * @param  {Number} attempt Failed attempt number, starts from 1
+   *
+   * @return {Number}         Delay in milliseconds
+   */
+  delay(attempt) {
+    let opts = this.options,
+      delay = Math.min(opts.maxDelayMs, opts.baseDelayMs * Math.pow(opts.factor, attempt - 1));
+
+    return opts.jitter ? Math.floor(Math.random() * delay) : delay;
+  }
+
+  /**
+   * Runs operation, retries on transient errors
+   *
+   * @param  {Function} fn         Operation, receives attempt number, returns promise
+   * @param  {Boolean}   idempotent Operation can be executed twice safely
+   * @param  {Function}   onRetry    Called before retrying (err, attempt, delay)
+   *
+   * @return {Promise}
+   */
+  run(fn, idempotent, onRetry) {
+
+    let self = this,
+      maxAttempts = (idempotent || self.options.retryNonIdempotent) ? self.options.maxAttempts : 1,
+      attempt = 0;
+
+    let tryRun = () => {
+      attempt++;
+
+      return BPromise.try(() => fn(attempt)).catch(err => {
+        if (attempt >= maxAttempts || !self.isRetryable(err)) {
+          throw err;
+        }
+
+        let delay = self.delay(attempt);
+
+        if (onRetry) {
+          onRetry(err, attempt, delay);
+        }
+
+        return BPromise.delay(delay).then(tryRun);
+      });
+    };
+
+    return tryRun();
+  }
+
+  /**
+   * Checks if collection operation can be executed twice safely
+   *
+   * @param  {String}  funcName Collection function name
+   * @param  {Array}  args     Function arguments
+   *
+   * @return {Boolean}
+   */
+  static isIdempotent(funcName, args) {
+
+    let isSafeUpdate = (update) => {
+      if (!update || typeof(update) !== 'object') {
+        return false;
+      }
+
+      return Object.keys(update).every(key => NON_IDEMPOTENT_OPERATORS.indexOf(key) === -1);
+    };
+
+    let hasId = (doc) => {
+      return !!(doc && doc._id);
+    };
+
+    if (MongoHelpers.READ_OPERATIONS.indexOf(funcName) !== -1) {
+      return !(funcName === 'aggregate' && Array.isArray(args[0]) && args[0].some(stage => stage.$out));
+    }
+
+    switch (funcName) {
+      case 'insertOne':
+      case 'insertMany':
+        // insert may have been applied before the error, then retry fails with duplicate key
+        // even with client generated id, which can't be told apart from a real conflict
+        return false;
+      case 'updateOne':
+      case 'updateMany':
+      case 'findOneAndUpdate':
+      case 'replaceOne':
+      case 'findOneAndReplace':
+        return isSafeUpdate(args[1]);
+      case 'deleteMany':
+        return true;
+      case 'deleteOne':
+      case 'findOneAndDelete':
+        return hasId(args[0]);
+      case 'bulkWrite':
+        return Array.isArray(args[0]) && args[0].every(op => {
+          let type = Object.keys(op)[0];
+
+          switch (type) {
+            case 'insertOne':
+              return false;
+            case 'deleteOne':
+              return hasId(op.deleteOne.filter);
+            case 'deleteMany':
+              return true;
+            default:
+              return isSafeUpdate(op[type].update || op[type].replacement);
+          }
+        });
+    }
+
+    return false;
+  }
+}
+
+module.exports = RetryPolicy;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
@@ -0,0 +1,349 @@
+'use strict';
+
+const Hoek = require('hoek');
+const ObjectID = require('mongodb').ObjectID;
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'objectid', 'object', 'array', 'mixed'];
+const BSON_TYPES = {
+  string: 'string',
+  number: ['double', 'int', 'long', 'decimal'],
+  integer: ['int', 'long'],
+  boolean: 'bool',
+  date: 'date',
+  objectid: 'objectId',
+  object: 'object',
+  array: 'array'
+};
+
+class Schema {
+
+  /**
+   * Model schema. Each field is declared by type name, or by rules:
+   * { type, required, enum, min, max, minLength, maxLength, pattern, properties, items, minItems, maxItems }.
+   * Nested objects may be declared as plain objects of fields, arrays as one item array, e.g
+   * { name: { type: 'string', required: true }, address: { city: 'string' }, tags: ['string'] }
+   *
+   * @param  {Object} definition Field definitions
+   */
+  constructor(definition) {
+    Hoek.assert(definition && typeof(definition) === 'object', 'Schema definition must be an object');
+
+    this.definition = definition;
+    this.root = Schema.normalize({
+      type: 'object',
+      properties: definition
+    }, '');
+  }
+
+  /**
+   * Validates document
+   *
+   * @param  {Object} doc  Document data
+   * @param  {Object} opts Option data: partial skips required fields which are missing
+   *
+   * @return {Array}      Errors: { path, rule, message }, empty if document is valid
+   */
+  validate(doc, opts) {
+    opts = opts || {};
+
+    let errors = [];
+    Schema.check(this.root, doc, '', !!opts.partial, errors);
+
+    return errors;
+  }
+
+  /**
+   * Validates value set at dotted path, as $set does
+   *
+   * @param  {String} path  Dotted field path, numeric segments are array indexes
+   * @param  {Mixed} value Field value
+   *
+   * @return {Array}       Errors, empty if value is valid or path is not declared
+   */
+  validatePath(path, value) {
+    let spec = this.at(path),
+      errors = [];
+
+    if (spec) {
+      Schema.check(spec, value, path, false, errors);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Returns field rules at dotted path
+   *
+   * @param  {String} path Dotted field path
+   *
+   * @return {Object}      Field rules, null if path is not declared
+   */
+  at(path) {
+    let spec = this.root;
+
+    String(path).split('.').every(segment => {
+      if (spec.type === 'array' && /^(\d+|\$(\[\w*\])?)$/.test(segment)) {
+        spec = spec.items;
+      } else if (spec.type === 'object' && spec.properties && spec.properties.hasOwnProperty(segment)) {
+        spec = spec.properties[segment];
+      } else {
+        spec = null;
+      }
+
+      return !!spec;
+    });
+
+    return spec;
+  }
+
+  /**
+   * Converts schema to MongoDB $jsonSchema validator
+   *
+   * @return {Object}
+   */
+  toJsonSchema() {
+    return Schema.jsonSchema(this.root, true);
+  }
+
+  /**
+   * Normalizes field declaration into rules
+   *
+   * @param  {Mixed} field Type name, nested fields, one item array or rules
+   * @param  {String} path  Field path, for assertion messages
+   *
+   * @return {Object}       Rules
+   */
+  static normalize(field, path) {
+    if (typeof(field) === 'string') {
+      field = {
+        type: field
+      };
+    } else if (Array.isArray(field)) {
+      Hoek.assert(field.length <= 1, 'Array field ' + path + ' must declare one item type');
+
+      field = {
+        type: 'array',
+        items: field[0]
+      };
+    } else if (field && typeof(field) === 'object' && typeof(field.type) !== 'string') {
+      field = {
+        type: 'object',
+        properties: field
+      };
+    }
+
+    Hoek.assert(field && TYPES.indexOf(field.type) !== -1, 'Unsupported schema type of ' + (path || 'root') + ': ' + (field ? field.type : field));
+
+    let rules = Object.assign({}, field);
+
+    if (rules.type === 'object' && rules.properties) {
+      rules.properties = {};
+      Object.keys(field.properties).forEach(key => {
+        rules.properties[key] = Schema.normalize(field.properties[key], path ? path + '.' + key : key);
+      });
+    }
+
+    if (rules.type === 'array' && rules.items) {
+      rules.items = Schema.normalize(field.items, path + '.$');
+    }
+
+    if (rules.pattern && !(rules.pattern instanceof RegExp)) {
+      rules.pattern = new RegExp(rules.pattern);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Checks value against rules, pushes errors
+   *
+   * @param  {Object} spec    Field rules
+   * @param  {Mixed} value   Field value
+   * @param  {String} path    Field path
+   * @param  {Boolean} partial Skips missing required fields
+   * @param  {Array} errors  Error list
+   */
+  static check(spec, value, path, partial, errors) {
+    let fail = (rule, message) => {
+      errors.push({
+        path: path,
+        rule: rule,
+        message: (path || 'document') + ' ' + message
+      });
+    };
+
+    if (value === undefined || value === null) {
+      if (spec.required && !(partial && value === undefined)) {
+        fail('required', 'is required');
+      }
+      return;
+    }
+
+    if (!Schema.isType(spec.type, value)) {
+      return fail('type', 'must be ' + (spec.type === 'objectid' ? 'an ObjectID' : 'of type ' + spec.type));
+    }
+
+    if (spec.enum && !spec.enum.some(item => Schema.equals(item, value))) {
+      fail('enum', 'must be one of ' + spec.enum.join(', '));
+    }
+
+    let size = value instanceof Date ? value.getTime() : value,
+      min = spec.min instanceof Date ? spec.min.getTime() : spec.min,
+      max = spec.max instanceof Date ? spec.max.getTime() : spec.max;
+
+    if (min !== undefined && size < min) {
+      fail('min', 'must be greater than or equal to ' + spec.min);
+    }
+
+    if (max !== undefined && size > max) {
+      fail('max', 'must be less than or equal to ' + spec.max);
+    }
+
+    if (spec.type === 'string') {
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        fail('minLength', 'must contain at least ' + spec.minLength + ' characters');
+      }
+
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        fail('maxLength', 'must contain at most ' + spec.maxLength + ' characters');
+      }
+
+      if (spec.pattern && !spec.pattern.test(value)) {
+        fail('pattern', 'must match ' + spec.pattern);
+      }
+    }
+
+    if (spec.type === 'object' && spec.properties) {
+      Object.keys(spec.properties).forEach(key => {
+        Schema.check(spec.properties[key], value[key], path ? path + '.' + key : key, partial, errors);
+      });
+    }
+
+    if (spec.type === 'array') {
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        fail('minItems', 'must contain at least ' + spec.minItems + ' items');
+      }
+
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        fail('maxItems', 'must contain at most ' + spec.maxItems + ' items');
+      }
+
+      if (spec.items) {
+        value.forEach((item, i) => {
+          Schema.check(spec.items, item, path + '.' + i, false, errors);
+        });
+      }
+    }
+  }
+
+  /**
+   * Checks value type
+   *
+   * @param  {String}  type  Type name
+   * @param  {Mixed}  value Value
+   *
+   * @return {Boolean}
+   */
+  static isType(type, value) {
+    switch (type) {
+      case 'string':
+        return typeof(value) === 'string';
+      case 'number':
+        return typeof(value) === 'number' && isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'boolean':
+        return typeof(value) === 'boolean';
+      case 'date':
+        return value instanceof Date && !isNaN(value.getTime());
+      case 'objectid':
+        return value instanceof ObjectID;
+      case 'object':
+        return typeof(value) === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof ObjectID);
+      case 'array':
+        return Array.isArray(value);
+    }
+
+    return true;
+  }
+
+  /**
+   * Compares enum item with value, ObjectIDs and dates are compared by value
+   *
+   * @param  {Mixed} item  Enum item
+   * @param  {Mixed} value Value
+   *
+   * @return {Boolean}
+   */
+  static equals(item, value) {
+    if (item instanceof ObjectID || item instanceof Date) {
+      return String(item) === String(value);
+    }
+
+    return item === value;
+  }
+
+  /**
+   * Converts field rules to $jsonSchema, optional fields accept null
+   *
+   * @param  {Object} spec     Field rules
+   * @param  {Boolean} required Field is required
+   *
+   * @return {Object}
+   */
+  static jsonSchema(spec, required) {
+    if (spec.type === 'mixed') {
+      return {};
+    }
+
+    let bsonType = [].concat(BSON_TYPES[spec.type]),
+      result = {
+        bsonType: required || spec.required ? (bsonType.length === 1 ? bsonType[0] : bsonType) : bsonType.concat('null')
+      };
+
+    if (spec.enum) {
+      result.enum = required || spec.required ? spec.enum : spec.enum.concat(null);
+    }
+
+    if (spec.min !== undefined && typeof(spec.min) === 'number') {
+      result.minimum = spec.min;
+    }
+
+    if (spec.max !== undefined && typeof(spec.max) === 'number') {
+      result.maximum = spec.max;
+    }
+
+    ['minLength', 'maxLength', 'minItems', 'maxItems'].forEach(rule => {
+      if (spec[rule] !== undefined) {
+        result[rule] = spec[rule];
+      }
+    });
+
+    if (spec.pattern) {
+      result.pattern = spec.pattern.source;
+    }
+
+    if (spec.type === 'object' && spec.properties) {
+      let keys = Object.keys(spec.properties),
+        requiredKeys = keys.filter(key => spec.properties[key].required);
+
+      result.properties = {};
+      keys.forEach(key => {
+        result.properties[key] = Schema.jsonSchema(spec.properties[key], false);
+      });
+
+      if (requiredKeys.length) {
+        result.required = requiredKeys;
+      }
+    }
+
+    if (spec.type === 'array' && spec.items) {
+      result.items = Schema.jsonSchema(spec.items, true);
+    }
+
+    return result;
+  }
+}
+
+module.exports = Schema;
+module.exports.TYPES = TYPES;
@@ -8,11 +8,21 @@
 'use strict';
 
 const Hoek = require('hoek');
+const BPromise = require('bluebird');
 const config = require('config');
 const helpers = require('node-helpers');
 const MongoError = require('mongodb').MongoError;
+const ObjectID = require('mongodb').ObjectID;
+
+const errors = require('./errors');
+const ExportFormatter = require('./export');
 
 const isDebug = config.has('isDebug') ? config.get('isDebug') : (!process.env.NODE_ENV || process.env.NODE_ENV === 'development');
+const CONVERTERS = {
+  thrift: model => model.toThriftObject(),
+  json: model => ExportFormatter.formatValue(model, false),
+  raw: model => model
+};
 
 class BaseService {
 
@@ -34,6 +44,19 @@ class BaseService {
     return helpers.DefaultException;
   }
 
+  /**
+   * Returns exception codes by error type, defaults merged with `errors.mongo` config
+   *
+   * @return {Object}
+   */
+  get exceptionCodes() {
+    if (!this._exceptionCodes) {
+      this._exceptionCodes = Object.assign({}, errors.EXCEPTION_CODES, config.has('errors.mongo') ? config.get('errors.mongo') : {});
+    }
+
+    return this._exceptionCodes;
+  }
+
   /**
    * Constructor, set default data
    */
@@ -42,6 +65,36 @@ class BaseService {
     this.model = new this.adapter.modelClass();
   }
 
+  /**
+   * Returns service bound to client session,
+   * every adapter query of returned service runs in the session
+   *
+   * @param  {ClientSession} session Mongo client session
+   *
+   * @return {BaseService}         Session aware service
+   */
+  withSession(session) {
+    let service = Object.create(this);
+    service.adapter = this.adapter.withSession(session);
+
+    return service;
+  }
+
+  /**
+   * Returns service bound to request context,
+   * e.g service.withContext({ actor: userId }).updateOne(...)
+   *
+   * @param  {Object} context Request context: actor, written into createdBy/updatedBy/deletedBy
+   *
+   * @return {BaseService}         Context aware service
+   */
+  withContext(context) {
+    let service = Object.create(this);
+    service.adapter = this.adapter.withContext(context);
+
+    return service;
+  }
+
   /**
    * Prints query log error
    *
@@ -60,22 +113,100 @@ class BaseService {
 
 
   /**
-   * Response result default data
+   * Returns output converter of models, defaults to thrift
    *
-   * @param  {Object} prom Adapter query promise
-   * @param  {Object} result Result callback
+   * @return {Function}      Converter, receives model and service
    */
-  responseDefault(prom, result) {
+  get converter() {
+    return this._converter || CONVERTERS.thrift;
+  }
+
+  /**
+   * Returns service with another output converter,
+   * e.g service.withConverter('json').getOne(form).then(...)
+   *
+   * @param  {String|Function} converter Converter name (thrift, json, raw), or function receiving model and service
+   *
+   * @return {BaseService}           Converter aware service
+   */
+  withConverter(converter) {
+    let fn = typeof(converter) === 'function' ? converter : CONVERTERS[converter];
+
+    Hoek.assert(typeof(fn) === 'function', 'Unsupported converter: ' + converter);
+
+    let service = Object.create(this);
+    service._converter = fn;
+
+    return service;
+  }
+
+  /**
+   * Returns true if output is converted to thrift objects
+   *
+   * @return {Boolean}
+   */
+  get isThrift() {
+    return this.converter === CONVERTERS.thrift;
+  }
+
+  /**
+   * Converts document or model with current converter
+   *
+   * @param  {Object} data Document or model
+   *
+   * @return {Object}      Converted output, null if data is empty
+   */
+  convert(data) {
+    if (data === null || data === undefined) {
+      return null;
+    }
+
+    return this.converter(data.toThriftObject ? data : new this.adapter.modelClass(data), this);
+  }
+
+  /**
+   * Delivers result of promise. Calls Thrift style callback if it is given,
+   * returns promise of result otherwise, rejected with library errors
+   *
+   * @param  {Object} prom Result promise
+   * @param  {Function} result Result callback, optional
+   *
+   * @return {Promise}
+   */
+  respond(prom, result) {
     let self = this;
 
-    return prom.then(data => {
+    if (typeof(result) !== 'function') {
+      return BPromise.resolve(prom).catch(err => {
+        if (!(err instanceof errors.NotFoundError)) {
+          self.adapter.log.error(err);
+        }
+
+        return BPromise.reject(errors.translate(err, {
+          collection: self.model.collectionName
+        }));
+      });
+    }
+
+    return BPromise.resolve(prom).then(data => {
       return result(null, data);
-    }).catch(MongoError, (err) => {
+    }).catch(errors.NotFoundError, (err) => {
+      return result(self.toException(err));
+    }).catch(MongoError, errors.AdapterError, (err) => {
       return self.responseError(err, result);
     }).catch(e => {
       return self.catchException(e, result);
     });
+  }
 
+  /**
+   * Response result default data
+   *
+   * @param  {Object} prom Adapter query promise
+   * @param  {Object} result Result callback
+   */
+  responseDefault(prom, result) {
+    return this.respond(prom, result);
   }
 
   /**
@@ -87,18 +218,11 @@ class BaseService {
   responseOne(prom, result) {
     let self = this;
 
-    return prom.then(data => {
-      let resultModel = data.toThriftObject ? data : new self.adapter.modelClass(data);
-      return result(null, resultModel.toThriftObject());
-    }).catch(MongoError, (err) => {
-      return self.responseError(err, result);
-    }).catch(e => {
-      return self.catchException(e, result);
-    });
+    return self.respond(prom.then(data => self.convert(data)), result);
   }
 
   /**
-   * Response result with a instance model
+   * Response result with a instance model, rejects with NotFoundError if there is no document
    *
    * @param  {Object} prom Adapter query promise
    * @param  {Object} opts Option data
@@ -112,23 +236,15 @@ class BaseService {
 
     let self = this;
 
-    return prom.then(data => {
+    return self.respond(prom.then(data => {
       if (!data) {
-        var ex1 = self.exception.create(helpers.Error.notFound(), {
-          table: self.model.collectionName
+        throw new errors.NotFoundError('Document is not found on collection ' + self.model.collectionName, {
+          collection: self.model.collectionName
         });
-
-        return result(ex1);
       }
 
-      var respModel = new self.adapter.modelClass(data);
-
-      return result(null, respModel.toThriftObject());
-    }).catch(MongoError, (err) => {
-      return self.responseError(err, result);
-    }).catch(e => {
-      return self.catchException(e, result);
-    });
+      return self.convert(data);
+    }), result);
   }
 
   /**
@@ -143,22 +259,9 @@ class BaseService {
 
     let self = this;
 
-    return prom.then(data => {
-      let responseData = [];
-      if (!data) {
-        return result(null, responseData);
-      }
-      data.forEach((element) => {
-        let item = new self.adapter.modelClass(element);
-        responseData.push(item.toThriftObject());
-      });
-
-      return result(null, responseData);
-    }).catch(MongoError, (err) => {
-      return self.responseError(err, result);
-    }).catch(e => {
-      return self.catchException(e, result);
-    });
+    return self.respond(prom.then(data => {
+      return data ? data.map(element => self.convert(element)) : [];
+    }), result);
   }
 
   /**
@@ -172,26 +275,52 @@ class BaseService {
 
     let self = this;
 
-    return prom.then(resp => {
-      let response = new self.adapter.modelClass.paginationThriftClass();
+    return self.respond(prom.then(resp => {
+      let response = self.isThrift ? new self.adapter.modelClass.paginationThriftClass() : {};
+
       response.pagination = resp.meta;
+      response.data = resp.data.map(element => self.convert(element));
+
+      return response;
+    }), result);
+  }
 
-      let responseData = [];
+  /**
+   * Response bulk write report, converts written models
+   *
+   * @param  {Object} prom Adapter bulk promise
+   * @param  {Object} opts Option data
+   * @param  {Object} result Result callback
+   */
+  responseBulk(prom, opts, result) {
 
-      resp.data.forEach((element) => {
+    let self = this;
 
-        let tempModel = new self.adapter.modelClass(element);
-        responseData.push(tempModel.toThriftObject());
+    return self.respond(prom.then(report => {
+      let thriftClass = self.isThrift ? self.adapter.modelClass.bulkThriftClass : null,
+        response = thriftClass ? new thriftClass() : {},
+        stringifyIds = (ids) => {
+          let results = {};
+          Object.keys(ids).forEach(index => {
+            results[index] = ids[index].toString();
+          });
+
+          return results;
+        };
+
+      Object.assign(response, report.toJSON());
+      response.insertedIds = stringifyIds(report.insertedIds);
+      response.upsertedIds = stringifyIds(report.upsertedIds);
+
+      response.data = [];
+      report.models.forEach(model => {
+        if (model) {
+          response.data.push(self.convert(model));
+        }
       });
 
-      response.data = responseData;
-      return result(null, response);
-
-    }).catch(MongoError, (err) => {
-      return self.responseError(err, result);
-    }).catch(e => {
-      return self.catchException(e, result);
-    });
+      return response;
+    }), result);
   }
 
   /**
@@ -203,38 +332,97 @@ class BaseService {
   responseError(err, result) {
     this.adapter.log.error(err);
 
-    let ex = this.exception.create(err, {
-      type: 'mongo',
-      table: this.model.collectionName
+    return result(this.toException(err));
+  }
+
+  /**
+   * Converts error into exception. Library errors carry their type, code from exceptionCodes
+   * and details, e.g duplicate key index, other errors are mongo exceptions
+   *
+   * @param  {Error} err Error object
+   *
+   * @return {Object}     Exception
+   */
+  toException(err) {
+    err = errors.translate(err, {
+      collection: this.model.collectionName
     });
 
-    return result(ex);
+    let type = err instanceof errors.AdapterError ? err.type : 'mongo';
+
+    return this.exception.create(err, Object.assign({
+      type: type,
+      code: this.exceptionCodes[type] || this.exceptionCodes.mongo,
+      table: this.model.collectionName
+    }, err instanceof errors.AdapterError ? err.details : {}));
   }
 
   /**
    * Insert model into database
    *
    * @param  {Object} form  Form data
+   * @param  {Object} opts  Option data: writeConcern
    * @param  {Function} result Result callback
    */
-  insertOne(form, result) {
-    return this.responseOne(this.adapter.insertOne(form), result);
+  insertOne(form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseOne(this.adapter.insertOne(form, opts), result);
   }
 
   /**
    * Insert many models into database
    *
    * @param  {Array} models  Models data
+   * @param  {Object} opts Option data: ordered, batchSize
    * @param  {Function} result Result callback
    */
-  // insertMany(models, result) {
+  insertMany(models, opts, result) {
+    opts = opts || {};
 
-  //   var self = this;
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseBulk(this.adapter.insertMany(models, opts), opts, result);
+  }
 
-  //   self.adapter.insertMany(models, {}, (err, data) => {
-  //     return self.responseMany(self, err, data, {}, result);
-  //   });
-  // }
+  /**
+   * Upserts many models into database
+   *
+   * @param  {Array} models  Models data
+   * @param  {Object} opts Option data: ordered, batchSize
+   * @param  {Function} result Result callback
+   */
+  upsertMany(models, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseBulk(this.adapter.upsertMany(models, opts), opts, result);
+  }
+
+  /**
+   * Runs mixed write operations
+   *
+   * @param  {Array} operations  Bulk operations, e.g { insertOne: form }
+   * @param  {Object} opts Option data: ordered, batchSize
+   * @param  {Function} result Result callback
+   */
+  bulkWrite(operations, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseBulk(this.adapter.bulkWrite(operations, opts), opts, result);
+  }
 
 
   /**
@@ -242,10 +430,17 @@ class BaseService {
    *
    * @param  {Object} form  Form data
    * @param  {Object} params  Query data
+   * @param  {Object} opts  Option data: expectedVersion
    * @param  {Function} result Result callback
    */
-  updateOne(form, params, result) {
-    return this.responseDefault(this.adapter.updateOne(form, params), result);
+  updateOne(form, params, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.updateOne(form, params, opts), result);
   }
 
   /**
@@ -253,10 +448,17 @@ class BaseService {
    *
    * @param  {Object} form  Form data
    * @param  {Object} params  Query data
+   * @param  {Object} opts  Option data: expectedVersion
    * @param  {Function} result Result callback
    */
-  updateOneSimple(form, params, result) {
-    return this.responseDefault(this.adapter.updateOneSimple(form, params), result);
+  updateOneSimple(form, params, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.updateOneSimple(form, params, opts), result);
   }
 
   /**
@@ -264,10 +466,16 @@ class BaseService {
    *
    * @param  {Object} form  Form data
    * @param  {Object} params  Query data
+   * @param  {Object} opts  Option data: writeConcern
    * @param  {Function} result Result callback
    */
-  updateMany(form, params, result) {
-    return this.responseDefault(this.adapter.updateMany(form, params), result);
+  updateMany(form, params, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.updateMany(form, params, opts), result);
   }
 
   /**
@@ -275,40 +483,64 @@ class BaseService {
    *
    * @param  {Object} form  Form data
    * @param  {Object} params  Query data
+   * @param  {Object} opts  Option data: writeConcern
    * @param  {Function} result Result callback
    */
-  updateManySimple(form, params, result) {
-    return this.responseDefault(this.adapter.updateManySimple(form, params), result);
+  updateManySimple(form, params, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.updateManySimple(form, params, opts), result);
   }
 
   /**
    * Update all models into database
    *
    * @param  {Object} form  Form data
+   * @param  {Object} opts  Option data: writeConcern
    * @param  {Function} result Result callback
    */
-  updateAll(form, result) {
-    return this.responseDefault(this.adapter.updateAll(form), result);
+  updateAll(form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.updateAll(form, opts), result);
   }
 
   /**
    * Updates raw data into many collections
    *
    * @param  {Object} form  Form data
+   * @param  {Object} opts  Option data: writeConcern
    * @param  {Function} result Result callback
    */
-  updateAllSimple(form, result) {
-    return this.responseDefault(this.adapter.updateAllSimple(form), result);
+  updateAllSimple(form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.updateAllSimple(form, opts), result);
   }
 
   /**
    * Upserts model into database
    *
    * @param  {Object} form  Form data
+   * @param  {Object} opts  Option data: writeConcern
    * @param  {Function} result Result callback
    */
-  upsertOne(form, result) {
-    return this.responseOne(this.adapter.upsertOne(form), result);
+  upsertOne(form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseOne(this.adapter.upsertOne(form, opts), result);
   }
 
   /**
@@ -340,7 +572,7 @@ class BaseService {
       result = opts;
       opts = {};
     }
-    return this.responseGetOne(this.adapter.getOneSimple(form), opts, result);
+    return this.responseGetOne(this.adapter.getOneSimple(form, opts), opts, result);
   }
 
   /**
@@ -351,6 +583,12 @@ class BaseService {
    * @param  {Function} result Result callback
    */
   getOneAndUpdate(form, params, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
     return this.responseGetOne(this.adapter.getOneAndUpdate(form, params, opts), opts, result);
   }
 
@@ -364,6 +602,12 @@ class BaseService {
    * @return {Promise}      Query promise
    */
   getOneAndUpsert(form, query, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
     return this.responseGetOne(this.adapter.getOneAndUpsert(form, query, opts), opts, result);
   }
 
@@ -393,67 +637,337 @@ class BaseService {
     return this.getMany(form, opts, result);
   }
 
+  /**
+   * Get many objects including soft deleted objects, return service
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data
+   * @param  {Function} result Result callback
+   */
+  getManyWithDeleted(form, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseMany(this.adapter.getManyWithDeleted(form, opts), opts, result);
+  }
+
+  /**
+   * Get paginated objects from database, return service
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: page, pageSize, after, cursor, order
+   * @param  {Function} result Result callback
+   */
+  getPagination(form, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responsePagination(this.adapter.getPagination(form, opts), opts, result);
+  }
+
   /**
    * Get single object from database, return service
    *
    * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted
    * @param  {Function} result Returned service data
    */
-  exists(form, result) {
-    return this.responseDefault(this.adapter.exists(form), result);
+  exists(form, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.exists(form, opts), result);
   }
 
   /**
    * Delete one record by primary key
    *
    * @param  {mixed} uid    Unique Primary key value
+   * @param  {Object} opts Option data: actor
    * @param  {Function} result Callback result
    */
-  deleteOne(form, result) {
-    return this.responseDefault(this.adapter.deleteOne(form), result);
+  deleteOne(form, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.deleteOne(form, opts), result);
   }
 
   /**
    * Delete one record by primary key
    *
    * @param  {mixed} uid    Unique Primary key value
+   * @param  {Object} opts Option data: actor
    * @param  {Function} result Callback result
    */
-  deleteOneSimple(form, result) {
-    return this.responseDefault(this.adapter.deleteOneSimple(form), result);
+  deleteOneSimple(form, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.deleteOneSimple(form, opts), result);
   }
 
   /**
    * Deletes many records by primary key
    *
    * @param  {Object} form    Query object data
+   * @param  {Object} opts Option data: actor
    * @param  {Function} result Callback result
    */
-  deleteMany(form, result) {
-    return this.responseDefault(this.adapter.deleteMany(form), result);
+  deleteMany(form, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.deleteMany(form, opts), result);
   }
 
   /**
    * Deletes many documents from database
    *
    * @param  {Object} form Input form params
-   *
-   * @return {Promise}      Deleted promise
+   * @param  {Object} opts Option data: actor
+   * @param  {Function} result Callback result
    */
-  deleteManySimple(form, result) {
-    return this.responseDefault(this.adapter.deleteManySimple(form), result);
+  deleteManySimple(form, opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.deleteManySimple(form, opts), result);
   }
 
   /**
    * Deletes all documents from database
    *
-   * @param  {Object} form Input form params
+   * @param  {Object} opts Option data: actor
+   * @param  {Function} result Callback result
+   */
+  deleteAll(opts, result) {
+    opts = opts || {};
+
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+    return this.responseDefault(this.adapter.deleteAll(opts), result);
+  }
+
+  /**
+   * Restores soft deleted document
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: writeConcern
+   * @param  {Function} result Callback result
+   */
+  restoreOne(form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.restoreOne(form, opts), result);
+  }
+
+  /**
+   * Restores soft deleted documents
+   *
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: writeConcern
+   * @param  {Function} result Callback result
+   */
+  restoreMany(form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.restoreMany(form, opts), result);
+  }
+
+  /**
+   * Physically removes soft deleted documents
+   *
+   * @param  {Date|Number} olderThan Deleted before this date, or deleted for this number of milliseconds, required
+   * @param  {Object} opts Option data: writeConcern
+   * @param  {Function} result Callback result
+   */
+  purgeDeleted(olderThan, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.purgeDeleted(olderThan, opts), result);
+  }
+
+  /**
+   * Counts documents matching query form
    *
-   * @return {Promise}      Deleted promise
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted, skip, limit
+   * @param  {Function} result Callback result
    */
-  deleteAll(result) {
-    return this.responseDefault(this.adapter.deleteAll(), result);
+  count(form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.count(form, opts), result);
+  }
+
+  /**
+   * Returns estimated number of documents
+   *
+   * @param  {Object} opts Option data: maxTimeMS, readPreference, readConcern
+   * @param  {Function} result Callback result
+   */
+  estimatedCount(opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.estimatedCount(opts), result);
+  }
+
+  /**
+   * Lists distinct values of field, ObjectIDs and dates are converted to strings
+   *
+   * @param  {String} field Field path
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted
+   * @param  {Function} result Callback result
+   */
+  distinct(field, form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.distinct(field, form, opts).then(values => {
+      return values.map(value => {
+        if (value instanceof ObjectID) {
+          return value.toString();
+        }
+
+        return value instanceof Date ? value.toISOString() : value;
+      });
+    }), result);
+  }
+
+  /**
+   * Counts documents grouped by field value
+   *
+   * @param  {String} field Field path
+   * @param  {Object} form Query form
+   * @param  {Object} opts Option data: withDeleted, allowDiskUse
+   * @param  {Function} result Callback result, receives value => count map
+   */
+  countBy(field, form, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.countBy(field, form, opts), result);
+  }
+
+  /**
+   * Runs aggregation pipeline, entity results are converted by current converter
+   *
+   * @param  {Pipeline|Array} pipeline Pipeline builder or array of stages
+   * @param  {Object} opts Option data, see adapter aggregate
+   * @param  {Function} result Callback result
+   */
+  aggregate(pipeline, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    opts = opts || {};
+
+    return this.responseDefault(this.adapter.aggregate(pipeline, opts).then(results => {
+      if (opts.explain) {
+        return results;
+      }
+
+      return results.map(item => item && item.toThriftObject ? this.convert(item) : item);
+    }), result);
+  }
+
+  /**
+   * Watches changes of documents matching filter, changed documents are converted by current converter
+   *
+   * @param  {Object} filter Query form
+   * @param  {Object} opts Option data, see adapter watch
+   * @param  {Function} result Callback result, receives Subscription
+   */
+  watch(filter, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.watch(filter, Object.assign({
+      convert: model => this.convert(model)
+    }, opts)), result);
+  }
+
+  /**
+   * Lists history entries of document
+   *
+   * @param  {String} id Document id
+   * @param  {Object} opts Option data: limit, skip, order
+   * @param  {Function} result Callback result
+   */
+  getHistory(id, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseDefault(this.adapter.getHistory(id, opts), result);
+  }
+
+  /**
+   * Gets document state at given time
+   *
+   * @param  {String} id Document id
+   * @param  {Date} at Point in time
+   * @param  {Object} opts Option data: readPreference, readConcern
+   * @param  {Function} result Callback result
+   */
+  getStateAt(id, at, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseGetOne(this.adapter.getStateAt(id, at, opts), {}, result);
   }
 }
 
 module.exports = BaseService;
+module.exports.CONVERTERS = CONVERTERS;
@@ -0,0 +1,252 @@
+'use strict';
+
+const Hoek = require('hoek');
+const BPromise = require('bluebird');
+const thrift = require('thrift');
+const Duplex = require('stream').Duplex;
+
+const errors = require('./errors');
+
+class ThriftHandler {
+
+  /**
+   * Lists methods of generated Thrift service with their argument names
+   *
+   * @param  {Object} definition Generated service module, with Client and Processor
+   *
+   * @return {Object}            Argument names by method name
+   */
+  static methods(definition) {
+    Hoek.assert(definition && definition.Client && definition.Processor, 'Thrift service definition must contain Client and Processor');
+
+    let methods = {};
+
+    Object.keys(definition.Processor.prototype).forEach(key => {
+      if (key.indexOf('process_') !== 0) {
+        return;
+      }
+
+      let name = key.substr(8),
+        send = definition.Client.prototype['send_' + name];
+
+      methods[name] = send ? ThriftHandler.argumentNames(send).filter(arg => arg !== 'callback') : [];
+    });
+
+    return methods;
+  }
+
+  /**
+   * Reads parameter names of function
+   *
+   * @param  {Function} fn Function
+   *
+   * @return {Array}
+   */
+  static argumentNames(fn) {
+    let matches = /^[^(]*\(([^)]*)\)/.exec(fn.toString());
+
+    return matches ? matches[1].replace(/\/\*.*?\*\//g, '').split(',').map(arg => arg.trim()).filter(arg => arg) : [];
+  }
+
+  /**
+   * Converts Thrift argument into service input: structs become plain objects without unset (null) fields,
+   * Int64 values become numbers and null becomes undefined, so service defaults apply
+   *
+   * @param  {Mixed} value Thrift value
+   * @param  {String} path  Argument path, reported in errors
+   *
+   * @throws {ValidationError} If Int64 value can't be represented exactly by a number
+   *
+   * @return {Mixed}
+   */
+  static adapt(value, path) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+
+    if (value instanceof thrift.Int64) {
+      // Infinity when precision is lost
+      let number = value.toNumber(false);
+
+      if (!isFinite(number)) {
+        let message = 'Int64 value ' + (path ? 'of ' + path + ' ' : '') + 'exceeds safe integer range: ' + value.toOctetString();
+
+        throw new errors.ValidationError(message, {
+          errors: [{
+            path: path || null,
+            rule: 'int64',
+            message: message
+          }]
+        });
+      }
+
+      return number;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, i) => ThriftHandler.adapt(item, (path || '') + '[' + i + ']'));
+    }
+
+    if (typeof(value) === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+      let result = {};
+
+      Object.keys(value).forEach(key => {
+        let item = ThriftHandler.adapt(value[key], path ? path + '.' + key : key);
+
+        if (item !== undefined) {
+          result[key] = item;
+        }
+      });
+
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Creates processor handler which maps IDL methods to service methods of the same name
+   *
+   * @param  {Function|BaseService} service    Service class or instance
+   * @param  {Object} definition Generated service module
+   * @param  {Object} opts       Option data:
+   *                               - methods: overrides by IDL name, a service method name,
+   *                                 or function (service, args, result)
+   *                               - arity: number of arguments passed before callback by IDL name,
+   *                                 defaults to IDL argument count, missing arguments are undefined
+   *                               - adapt: function (name, args) returning service arguments, defaults to adapt each argument
+   *                               - context: function (name, args) returning request context (or its promise),
+   *                                 the call runs on service.withContext(context)
+   *
+   * @return {Object}            Handler
+   */
+  static create(service, definition, opts) {
+    opts = opts || {};
+
+    let instance = typeof(service) === 'function' ? new service() : service,
+      methods = ThriftHandler.methods(definition),
+      overrides = opts.methods || {},
+      handler = {};
+
+    Object.keys(methods).forEach(name => {
+      let target = overrides[name] || name,
+        argNames = methods[name],
+        argCount = argNames.length,
+        arity = opts.arity && opts.arity[name] !== undefined ? opts.arity[name] : argCount;
+
+      Hoek.assert(typeof(target) === 'function' || typeof(instance[target]) === 'function', 'Service method ' + target + ' of ' + name + ' is not implemented');
+
+      let fn = function() {
+        let args = Array.prototype.slice.call(arguments, 0, argCount),
+          callback = arguments[argCount],
+          called = false,
+          result = (err, data) => {
+            if (!called) {
+              called = true;
+              callback(err, data);
+            }
+          };
+
+        BPromise.try(() => {
+          return opts.context ? opts.context(name, args) : null;
+        }).then(context => {
+          let current = context ? instance.withContext(context) : instance,
+            input = opts.adapt ? opts.adapt(name, args) : args.map((arg, i) => ThriftHandler.adapt(arg, argNames[i]));
+
+          if (typeof(target) === 'function') {
+            return target(current, input, result);
+          }
+
+          // callback is passed at declared position, services shift missing optional arguments
+          input = input.slice(0, arity);
+          while (input.length < arity) {
+            input.push(undefined);
+          }
+
+          return current[target].apply(current, input.concat(result));
+        }).catch(err => {
+          instance.responseError(err, result);
+        });
+      };
+
+      // processors call handlers without callback when arity equals argument count
+      Object.defineProperty(fn, 'length', {
+        value: argCount + 1
+      });
+
+      handler[name] = fn;
+    });
+
+    return handler;
+  }
+
+  /**
+   * Creates Thrift server of service
+   *
+   * @param  {Function|BaseService} service    Service class or instance
+   * @param  {Object} definition Generated service module
+   * @param  {Object} opts       Handler option data, see create, and server: transport, protocol, tls
+   *
+   * @return {Server}            Thrift server, not listening yet
+   */
+  static createServer(service, definition, opts) {
+    opts = opts || {};
+
+    return thrift.createServer(definition, ThriftHandler.create(service, definition, opts), opts.server);
+  }
+
+  /**
+   * Creates in-process server and connected client, requests go through Thrift protocol without network
+   *
+   * @param  {Function|BaseService} service    Service class or instance
+   * @param  {Object} definition Generated service module
+   * @param  {Object} opts       Handler option data, see createServer
+   *
+   * @return {Object}            { client, server, connection, close }
+   */
+  static loopback(service, definition, opts) {
+    opts = opts || {};
+
+    let server = ThriftHandler.createServer(service, definition, opts),
+      clientStream = null,
+      serverStream = null,
+      noop = () => {};
+
+    let createStream = (peer) => {
+      let stream = new Duplex({
+        read: noop,
+        write: (chunk, encoding, callback) => {
+          peer().push(chunk);
+          callback();
+        },
+        final: (callback) => {
+          peer().push(null);
+          callback();
+        }
+      });
+
+      stream.setTimeout = stream.setNoDelay = noop;
+
+      return stream;
+    };
+
+    clientStream = createStream(() => serverStream);
+    serverStream = createStream(() => clientStream);
+
+    let connection = new thrift.Connection(clientStream, opts.server);
+
+    server.emit('connection', serverStream);
+    clientStream.emit('connect');
+
+    return {
+      client: thrift.createClient(definition, connection),
+      server: server,
+      connection: connection,
+      close: () => {
+        clientStream.end();
+      }
+    };
+  }
+}
+
+module.exports = ThriftHandler;
@@ -0,0 +1,425 @@
+'use strict';
+
+const Hoek = require('hoek');
+const BPromise = require('bluebird');
+const EventEmitter = require('events').EventEmitter;
+
+const pool = require('./pool');
+const MongoHelpers = require('./helpers');
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_POLL_BATCH_SIZE = 100;
+const DEFAULT_TOKEN_COLLECTION = 'resume_tokens';
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+const UNSUPPORTED_CODES = [
+  40573, // change streams require replica sets
+  40324, // unrecognized pipeline stage $changeStream
+  115 // command not supported
+];
+
+class MemoryTokenStore {
+
+  /**
+   * Constructor, set default values
+   */
+  constructor() {
+    this.tokens = {};
+  }
+
+  /**
+   * Loads resume token
+   *
+   * @param  {String} key Subscription key
+   *
+   * @return {Promise}     Resolves token, null if there is no token
+   */
+  get(key) {
+    return BPromise.resolve(this.tokens.hasOwnProperty(key) ? this.tokens[key] : null);
+  }
+
+  /**
+   * Saves resume token
+   *
+   * @param {String} key   Subscription key
+   * @param {Object} token Resume token
+   *
+   * @return {Promise}
+   */
+  set(key, token) {
+    this.tokens[key] = token;
+
+    return BPromise.resolve();
+  }
+}
+
+class CollectionTokenStore {
+
+  /**
+   * Constructor, set default values
+   *
+   * @param  {Object} opts Option data: configKey (connection name), collection
+   */
+  constructor(opts) {
+    opts = opts || {};
+
+    this.configKey = opts.configKey || 'default';
+    this.collectionName = opts.collection || DEFAULT_TOKEN_COLLECTION;
+  }
+
+  /**
+   * Loads resume token
+   *
+   * @param  {String} key Subscription key
+   *
+   * @return {Promise}     Resolves token, null if there is no token
+   */
+  get(key) {
+    let self = this;
+
+    return pool.connect(self.configKey).then(db => {
+      return db.collection(self.collectionName).findOne({
+        _id: key
+      });
+    }).then(doc => doc ? doc.token : null);
+  }
+
+  /**
+   * Saves resume token
+   *
+   * @param {String} key   Subscription key
+   * @param {Object} token Resume token
+   *
+   * @return {Promise}
+   */
+  set(key, token) {
+    let self = this;
+
+    return pool.connect(self.configKey).then(db => {
+      return db.collection(self.collectionName).updateOne({
+        _id: key
+      }, {
+        $set: {
+          token: token,
+          updatedAt: new Date()
+        }
+      }, {
+        upsert: true
+      });
+    });
+  }
+}
+
+class Subscription extends EventEmitter {
+
+  /**
+   * Watches collection changes of an adapter.
+   * Uses change streams, falls back to polling by updatedAt when they are unavailable.
+   * Polling needs the updatedAt field, it is refused with an error event when timestamps are disabled.
+   * Polling only sees documents which still match the filter: deletes, including soft deletes,
+   * are never reported, and inserts are told apart from updates by createdAt only
+   *
+   * Events:
+   *  - change ({ operationType, documentId, data, model })
+   *  - mode (stream|poll)
+   *  - error (err), logged when it is not listened
+   *  - close
+   *
+   * @param  {BaseAdapter} adapter Adapter instance
+   * @param  {Object} params  Query params
+   * @param  {Object} opts    Option data: key, store, thrift, convert (model converter), polling, pollIntervalMs, batchSize,
+   *                          updatedAtField, createdAtField
+   */
+  constructor(adapter, params, opts) {
+    super();
+
+    Hoek.assert(!opts.polling || opts.updatedAtField, 'Polling ' + adapter.collectionName + ' requires updatedAt timestamps');
+
+    this.adapter = adapter;
+    this.params = params || {};
+    this.options = opts;
+    this.key = opts.key || adapter.collectionName;
+    this.store = opts.store;
+    this.mode = null;
+    this.stream = null;
+    this.timer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Starts watching
+   *
+   * @return {Promise}      Resolves subscription
+   */
+  start() {
+    let self = this;
+
+    return self.store.get(self.key).then(token => {
+      if (self.options.polling || typeof(token) === 'string') {
+        return self.poll(token);
+      }
+
+      return self.listen(token);
+    }).then(() => self);
+  }
+
+  /**
+   * Builds change stream pipeline, filter is applied on full document.
+   * Deletes carry no document, so they always pass
+   *
+   * @return {Array}
+   */
+  buildPipeline() {
+    if (!Object.keys(this.params).length) {
+      return [];
+    }
+
+    return [{
+      $match: {
+        $or: [Subscription.prefixPaths(this.params, 'fullDocument.'), {
+          operationType: 'delete'
+        }]
+      }
+    }];
+  }
+
+  /**
+   * Opens change stream
+   *
+   * @param  {Object} token Resume token
+   *
+   * @return {Promise}
+   */
+  listen(token) {
+    let self = this,
+      received = false;
+
+    return self.adapter.connect().then(db => {
+      if (self.closed) {
+        return;
+      }
+
+      let opts = {
+        fullDocument: 'updateLookup'
+      };
+
+      if (token) {
+        opts.resumeAfter = token;
+      }
+
+      self.stream = db.collection(self.adapter.collectionName).watch(self.buildPipeline(), opts);
+      self.setMode('stream');
+
+      self.stream.on('change', change => {
+        received = true;
+
+        self.emitChange(change.operationType, change.documentKey ? change.documentKey._id : null, change.fullDocument, change._id);
+      });
+
+      self.stream.on('error', err => {
+        if (!received && Subscription.isUnsupported(err)) {
+          self.adapter.log.warn({
+            err: err
+          }, 'Change streams are unavailable on ' + self.adapter.collectionName + ', falling back to polling');
+
+          self.closeStream();
+          return self.poll(null).catch(e => self.emitError(e));
+        }
+
+        self.emitError(err);
+      });
+    });
+  }
+
+  /**
+   * Polls documents modified after the last seen one
+   *
+   * @param  {String} token Polling cursor
+   *
+   * @return {Promise}      Rejects if updatedAt field is unknown
+   */
+  poll(token) {
+    if (!this.options.updatedAtField) {
+      return BPromise.reject(new Error('Polling ' + this.adapter.collectionName + ' requires updatedAt timestamps'));
+    }
+
+    let self = this,
+      field = self.options.updatedAtField,
+      sort = {
+        [field]: 1,
+        _id: 1
+      },
+      cursor = token || null,
+      start = BPromise.resolve();
+
+    self.setMode('poll');
+
+    if (!cursor) {
+      // starts from now, as change streams do
+      start = self.adapter.connect().then(db => {
+        return db.collection(self.adapter.collectionName).find(self.params, self.adapter.queryOptions()).sort({
+          [field]: -1,
+          _id: -1
+        }).limit(1).toArray();
+      }).then(docs => {
+        cursor = docs.length ? MongoHelpers.encodeCursor(docs[0], sort) : null;
+      });
+    }
+
+    let tick = () => {
+      if (self.closed) {
+        return BPromise.resolve();
+      }
+
+      let params = cursor ? {
+        $and: [self.params, MongoHelpers.buildCursorQuery(sort, MongoHelpers.decodeCursor(cursor, sort))]
+      } : self.params;
+
+      return self.adapter.connect().then(db => {
+        return db.collection(self.adapter.collectionName).find(params, self.adapter.queryOptions())
+          .sort(sort).limit(self.options.batchSize).toArray();
+      }).then(docs => {
+        return BPromise.each(docs, doc => {
+          let created = self.options.createdAtField ? doc[self.options.createdAtField] : null,
+            isInsert = created instanceof Date && doc[field] instanceof Date && created.getTime() === doc[field].getTime();
+
+          cursor = MongoHelpers.encodeCursor(doc, sort);
+
+          return self.emitChange(isInsert ? 'insert' : 'update', doc._id, doc, cursor);
+        });
+      }).catch(err => {
+        self.emitError(err);
+      }).then(() => {
+        if (!self.closed) {
+          self.timer = setTimeout(tick, self.options.pollIntervalMs);
+        }
+      });
+    };
+
+    // first tick runs after start resolves, so changes of a resumed cursor reach listeners
+    return start.then(() => {
+      if (!self.closed) {
+        self.timer = setTimeout(tick, 0);
+      }
+    });
+  }
+
+  /**
+   * Emits converted change, then saves resume token
+   *
+   * @param  {String} operationType Change type
+   * @param  {ObjectID} documentId    Document id
+   * @param  {Object} doc           Changed document, null for deletes
+   * @param  {Object} token         Resume token
+   *
+   * @return {Promise}
+   */
+  emitChange(operationType, documentId, doc, token) {
+    let self = this,
+      model = doc ? new self.adapter.modelClass(doc) : null;
+
+    self.emit('change', {
+      operationType: operationType,
+      documentId: documentId,
+      model: model,
+      data: model && self.options.convert ? self.options.convert(model) : (model && self.options.thrift ? model.toThriftObject() : model)
+    });
+
+    return self.store.set(self.key, token).catch(err => {
+      self.emitError(err);
+    });
+  }
+
+  /**
+   * Emits error event if it is listened, logs it otherwise
+   *
+   * @param  {Error} err Error object
+   */
+  emitError(err) {
+    if (this.listenerCount('error') > 0) {
+      return this.emit('error', err);
+    }
+
+    this.adapter.log.error({
+      err: err
+    }, 'Watching ' + this.adapter.collectionName + ' failed');
+  }
+
+  /**
+   * Sets current mode, emits mode event
+   *
+   * @param {String} mode stream or poll
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.emit('mode', mode);
+  }
+
+  /**
+   * Closes change stream
+   */
+  closeStream() {
+    if (this.stream) {
+      this.stream.removeAllListeners();
+      this.stream.close();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Stops watching
+   */
+  close() {
+    this.closed = true;
+    this.closeStream();
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.emit('close');
+  }
+
+  /**
+   * Prefixes field paths of query, including paths nested in logical operators
+   *
+   * @param  {Object} query  Mongo query
+   * @param  {String} prefix Path prefix
+   *
+   * @return {Object}        Prefixed query
+   */
+  static prefixPaths(query, prefix) {
+    let result = {};
+
+    Object.keys(query).forEach(key => {
+      if (LOGICAL_OPERATORS.indexOf(key) !== -1) {
+        result[key] = query[key].map(item => Subscription.prefixPaths(item, prefix));
+        return;
+      }
+
+      Hoek.assert(key[0] !== '$', 'Query operator is not supported in watch filter: ' + key);
+
+      result[prefix + key] = query[key];
+    });
+
+    return result;
+  }
+
+  /**
+   * Checks if error means change streams are not supported by server
+   *
+   * @param  {Error}  err Error object
+   *
+   * @return {Boolean}
+   */
+  static isUnsupported(err) {
+    return !!err && (UNSUPPORTED_CODES.indexOf(err.code) !== -1 || /replica set|\$changeStream/i.test(err.message));
+  }
+}
+
+module.exports = Subscription;
+
+module.exports.MemoryTokenStore = MemoryTokenStore;
+module.exports.CollectionTokenStore = CollectionTokenStore;
+module.exports.DEFAULT_POLL_INTERVAL_MS = DEFAULT_POLL_INTERVAL_MS;
+module.exports.DEFAULT_POLL_BATCH_SIZE = DEFAULT_POLL_BATCH_SIZE;
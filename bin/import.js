@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+
+const pool = require('../base/pool');
+
+const usage = 'Usage: node-mongo-import <adapter-module> <file|-> [--adapter=Name] [--connection=name] [--format=ndjson]\n' +
+  '                         [--mode=insert] [--batch-size=1000] [--stop-on-error] [--actor=name]\n\n' +
+  'Imports rows of <file> (or stdin) through the adapter model, then prints the report.\n' +
+  '  --adapter        exported adapter class, required when <adapter-module> exports many classes\n' +
+  '  --connection     db.mongodb connection name, defaults to adapter config key\n' +
+  '  --format         ndjson, csv or extended-json\n' +
+  '  --mode           insert or upsert\n' +
+  '  --batch-size     number of rows per bulk write\n' +
+  '  --stop-on-error  stops at the first failed row\n' +
+  '  --actor          user stamped on created documents';
+
+let args = process.argv.slice(2),
+  flags = {},
+  positional = args.filter(arg => arg.substr(0, 2) !== '--');
+
+args.filter(arg => arg.substr(0, 2) === '--').forEach(arg => {
+  let index = arg.indexOf('=');
+
+  if (index === -1) {
+    flags[arg.substr(2)] = true;
+  } else {
+    flags[arg.substr(2, index - 2)] = arg.substr(index + 1);
+  }
+});
+
+if (positional.length < 2 || flags.help) {
+  console.log(usage);
+  process.exit(flags.help ? 0 : 1);
+}
+
+let exported = require(path.resolve(positional[0])),
+  AdapterClass = typeof(exported) === 'function' ? exported : null;
+
+if (!AdapterClass) {
+  let names = Object.keys(exported).filter(key => typeof(exported[key]) === 'function');
+
+  if (flags.adapter) {
+    AdapterClass = exported[flags.adapter];
+  } else if (names.length === 1) {
+    AdapterClass = exported[names[0]];
+  }
+}
+
+if (typeof(AdapterClass) !== 'function') {
+  console.error('Adapter class is not found, use --adapter to select one');
+  process.exit(1);
+}
+
+let adapter = new AdapterClass();
+
+if (flags.connection) {
+  if (!config.has('db.mongodb.' + flags.connection)) {
+    console.error('Connection db.mongodb.' + flags.connection + ' is not configured');
+    process.exit(1);
+  }
+
+  Object.defineProperty(adapter, 'configKey', {
+    value: flags.connection
+  });
+}
+
+if (flags.actor) {
+  adapter = adapter.withContext({
+    actor: flags.actor
+  });
+}
+
+let input = positional[1] === '-' ? process.stdin : fs.createReadStream(path.resolve(positional[1]));
+
+adapter.import(input, {
+  format: flags.format || 'ndjson',
+  mode: flags.mode || 'insert',
+  batchSize: flags['batch-size'] ? parseInt(flags['batch-size'], 10) : undefined,
+  stopOnError: !!flags['stop-on-error']
+}).then(report => {
+  console.log('[' + adapter.collectionName + ']' + (report.stopped ? ' (stopped)' : ''));
+  console.log('  total:    ' + report.total);
+  console.log('  inserted: ' + report.inserted.length);
+  console.log('  updated:  ' + report.updated.length);
+  console.log('  skipped:  ' + report.skipped.length);
+  console.log('  failed:   ' + report.failed.length);
+
+  report.failed.forEach(failure => {
+    console.log('    line ' + failure.line + ': ' + failure.message + (failure.code ? ' (' + failure.code + ')' : ''));
+  });
+
+  return pool.closeAll().then(() => report);
+}).then(report => {
+  process.exit(report.failed.length ? 2 : 0);
+}).catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const path = require('path');
+const BPromise = require('bluebird');
+
+const pool = require('../base/pool');
+const IndexHelpers = require('../base/indexes');
+
+const usage = 'Usage: node-mongo-sync-indexes <adapters-module> [--dry-run] [--drop-extra] [--validators]\n\n' +
+  'Diffs declared and existing indexes of all adapter classes exported by <adapters-module>, then applies the changes.\n' +
+  '  --dry-run     only prints the changes\n' +
+  '  --drop-extra  drops indexes which are not declared\n' +
+  '  --validators  pushes model schemas as $jsonSchema collection validators';
+
+let args = process.argv.slice(2),
+  opts = {
+    dryRun: args.indexOf('--dry-run') !== -1,
+    dropExtra: args.indexOf('--drop-extra') !== -1,
+    validators: args.indexOf('--validators') !== -1
+  },
+  modulePath = args.filter(arg => arg.substr(0, 2) !== '--')[0];
+
+if (!modulePath || args.indexOf('--help') !== -1) {
+  console.log(usage);
+  process.exit(modulePath ? 0 : 1);
+}
+
+let exported = require(path.resolve(modulePath)),
+  adapterClasses = typeof(exported) === 'function' ? [exported] : Object.keys(exported).map(key => exported[key]),
+  adapters = adapterClasses.filter(cls => typeof(cls) === 'function').map(AdapterClass => new AdapterClass());
+
+IndexHelpers.syncAll(adapters, opts).then(reports => {
+  reports.forEach(report => {
+    console.log('[' + report.collection + ']' + (report.dryRun ? ' (dry run)' : ''));
+    console.log('  create:    ' + (report.create.join(', ') || '-'));
+    console.log('  drop:      ' + (report.drop.join(', ') || '-'));
+    console.log('  unchanged: ' + (report.unchanged.join(', ') || '-'));
+    console.log('  extra:     ' + (report.extra.join(', ') || '-'));
+  });
+
+  if (!opts.validators || opts.dryRun) {
+    return;
+  }
+
+  return BPromise.each(adapters.filter(adapter => adapter.schema), adapter => {
+    return adapter.syncValidator().then(() => {
+      console.log('[' + adapter.collectionName + '] validator updated');
+    });
+  });
+}).then(() => {
+  return pool.closeAll();
+}).then(() => {
+  process.exit(0);
+}).catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -9,6 +9,15 @@
 
 module.exports = {
   pool: require('./base/pool'),
+  metrics: require('./base/metrics'),
+  indexes: require('./base/indexes'),
+  audit: require('./base/audit'),
+  watch: require('./base/watch'),
+  Pipeline: require('./base/pipeline'),
+  Schema: require('./base/schema'),
+  errors: require('./base/errors'),
+  ThriftHandler: require('./base/thrift'),
+  MemoryDb: require('./base/memory'),
   adapters: {
     Base: require('./base/adapter'),
     UserActivity: require('./adapters/user-activity')
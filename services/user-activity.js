@@ -16,25 +16,35 @@ class UserActivityService extends BaseService {
    *
    * @param  {Object} params  Request params
    * @param  {Object} actParams  Activity params
+   * @param  {Object} opts  Option data: fields, exclude, populate
    * @param  {Function} result Callback function
    *
    */
-  findManyAround(params, actParams, result) {
+  findManyAround(params, actParams, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
 
-    let opts = {};
-
-    return this.responseMany(this.adapter.findManyAround(params, actParams), opts, result);
+    return this.responseMany(this.adapter.findManyAround(params, actParams, opts), opts, result);
   }
 
   /**
    * Query one driver around
    *
    * @param  {Object} params  Request params
+   * @param  {Object} actParams  Activity params
+   * @param  {Object} opts  Option data: fields, exclude, populate
    * @param  {Function} result Callback function
    *
    */
-  findOneAround(params, actParams, result) {
-    return this.responseOne(this.adapter.findOneAround(params, actParams), result);
+  findOneAround(params, actParams, opts, result) {
+    if (typeof(opts) === 'function') {
+      result = opts;
+      opts = {};
+    }
+
+    return this.responseOne(this.adapter.findOneAround(params, actParams, opts), result);
   }
 }
 
@@ -0,0 +1,164 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const BulkReport = require('../base/bulk');
+const fixtures = require('./fixtures/models');
+
+describe('BulkReport', () => {
+  let db = null,
+    service = new fixtures.ThingService(),
+    adapter = service.adapter;
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+
+      return adapter.ensureIndexes();
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        key: 'a',
+        v: 1
+      }]
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('reports inserted ids by operation index', () => {
+    return adapter.insertMany([{
+      key: 'b'
+    }, {
+      key: 'c'
+    }]).then(report => {
+      assert(report.ok);
+      assert.strictEqual(report.insertedCount, 2);
+      assert.deepEqual(Object.keys(report.insertedIds), ['0', '1']);
+      assert.strictEqual(report.models[1]._id, report.insertedIds[1]);
+    });
+  });
+
+  it('reports upserted and matched documents', () => {
+    return adapter.upsertMany([{
+      key: 'a',
+      v: 2
+    }, {
+      key: 'b',
+      v: 3
+    }]).then(report => {
+      assert(report.ok);
+      assert.strictEqual(report.matchedCount, 1);
+      assert.strictEqual(report.upsertedCount, 1);
+      assert.deepEqual(Object.keys(report.upsertedIds), ['1']);
+      assert.strictEqual(report.models[1]._id, report.upsertedIds[1]);
+    });
+  });
+
+  it('runs mixed operations in batches', () => {
+    return adapter.bulkWrite([{
+      insertOne: {
+        key: 'b'
+      }
+    }, {
+      updateOne: {
+        model: {
+          v: 5
+        },
+        query: {
+          key: 'a'
+        }
+      }
+    }, {
+      deleteOne: {
+        key: 'b'
+      }
+    }], {
+      batchSize: 2
+    }).then(report => {
+      assert(report.ok);
+      assert.strictEqual(report.insertedCount, 1);
+      // soft delete updates document
+      assert.strictEqual(report.modifiedCount, 2);
+      assert.strictEqual(report.matchedCount, 2);
+      assert.strictEqual(report.deletedCount, 0);
+
+      return service.count({});
+    }).then(count => {
+      assert.strictEqual(count, 1);
+    });
+  });
+
+  it('keeps upserted ids of chunk failed after upsert', () => {
+    return adapter.bulkWrite([{
+      upsertOne: {
+        key: 'x',
+        v: 1
+      }
+    }, {
+      insertOne: {
+        key: 'a'
+      }
+    }, {
+      insertOne: {
+        key: 'y'
+      }
+    }]).then(report => {
+      assert(!report.ok);
+      assert.strictEqual(report.upsertedCount, 1);
+      assert(report.upsertedIds[0]);
+      assert.strictEqual(report.models[0]._id, report.upsertedIds[0]);
+      assert.deepEqual(report.failures.map(failure => [failure.index, failure.code]), [
+        [1, 11000]
+      ]);
+      assert.deepEqual(report.skipped, [2]);
+    });
+  });
+
+  it('goes on after failures in unordered mode', () => {
+    return adapter.insertMany([{
+      key: 'a'
+    }, {
+      key: 'b'
+    }, {}], {
+      ordered: false
+    }).then(report => {
+      assert.deepEqual(report.failures.map(failure => failure.index), [2, 0]);
+      assert.deepEqual(Object.keys(report.insertedIds), ['1']);
+      assert.deepEqual(report.skipped, []);
+    });
+  });
+
+  it('reads upserted ids of bulk write results', () => {
+    assert.deepEqual(BulkReport.upsertedIds({
+      upsertedIds: {
+        1: 'b'
+      }
+    }), {
+      1: 'b'
+    });
+    assert.deepEqual(BulkReport.upsertedIds({
+      getUpsertedIds: () => [{
+        index: 2,
+        _id: 'c'
+      }]
+    }), {
+      2: 'c'
+    });
+  });
+
+  it('responds report with string ids from service', () => {
+    return service.withConverter('raw').insertMany([{
+      key: 'b'
+    }]).then(response => {
+      assert.strictEqual(response.insertedCount, 1);
+      assert.strictEqual(typeof(response.insertedIds[0]), 'string');
+      assert.deepEqual(response.data.map(thing => thing.key), ['b']);
+    });
+  });
+});
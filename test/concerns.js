@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const MongoHelpers = require('../base/helpers');
+const fixtures = require('./fixtures/models');
+
+class ReportThingAdapter extends fixtures.ThingAdapter {
+
+  get readPreference() {
+    return 'secondaryPreferred';
+  }
+
+  get readConcern() {
+    return 'majority';
+  }
+
+  get writeConcern() {
+    return 'majority';
+  }
+}
+
+describe('read and write concerns', () => {
+  let db = null,
+    adapter = new ReportThingAdapter();
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        key: 'a',
+        v: 1
+      }]
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('normalizes concern options', () => {
+    assert.deepEqual(MongoHelpers.concernOptions({
+      readPreference: 'nearest',
+      readConcern: 'local',
+      writeConcern: 1,
+      maxTimeMS: 10
+    }), {
+      readPreference: 'nearest',
+      readConcern: {
+        level: 'local'
+      },
+      writeConcern: {
+        w: 1
+      }
+    });
+    assert.deepEqual(MongoHelpers.concernOptions({
+      readConcern: {
+        level: 'majority'
+      },
+      writeConcern: {
+        w: 'majority',
+        wtimeout: 100
+      }
+    }, MongoHelpers.WRITE_CONCERNS), {
+      writeConcern: {
+        w: 'majority',
+        wtimeout: 100
+      }
+    });
+    assert.deepEqual(MongoHelpers.concernOptions(null), {});
+  });
+
+  it('applies adapter defaults to queries', () => {
+    assert.deepEqual(adapter.queryOptions(), {
+      readPreference: 'secondaryPreferred',
+      readConcern: {
+        level: 'majority'
+      }
+    });
+    assert.deepEqual(adapter.queryOptions({
+      readPreference: 'primary'
+    }, true), {
+      writeConcern: {
+        w: 'majority'
+      }
+    });
+    assert.deepEqual(new fixtures.ThingAdapter().queryOptions({
+      readPreference: 'primary'
+    }), {
+      readPreference: 'primary'
+    });
+  });
+
+  it('skips adapter defaults in sessions', () => {
+    let session = {
+        inTransaction: () => true
+      },
+      options = adapter.withSession(session).queryOptions({
+        readConcern: 'local'
+      });
+
+    assert.strictEqual(options.session, session);
+    assert.deepEqual(options.readConcern, {
+      level: 'local'
+    });
+    assert(!options.hasOwnProperty('readPreference'));
+  });
+
+  it('builds read and write options of calls', () => {
+    assert.deepEqual(adapter.readOptions({
+      fields: 'key',
+      withDeleted: true,
+      readConcern: 'local',
+      maxTimeMS: 10
+    }), {
+      readConcern: {
+        level: 'local'
+      },
+      maxTimeMS: 10,
+      projection: {
+        key: 1
+      }
+    });
+    assert.deepEqual(adapter.writeOptions({
+      writeConcern: 0,
+      readPreference: 'primary'
+    }, {
+      upsert: true
+    }), {
+      writeConcern: {
+        w: 0
+      },
+      upsert: true
+    });
+  });
+
+  it('passes concerns to driver', () => {
+    let collection = db.collection('things'),
+      calls = [],
+      findOne = collection.findOne,
+      insertOne = collection.insertOne;
+
+    collection.findOne = function(filter, options) {
+      calls.push(['findOne', options]);
+
+      return findOne.apply(this, arguments);
+    };
+    collection.insertOne = function(doc, options) {
+      calls.push(['insertOne', options]);
+
+      return insertOne.apply(this, arguments);
+    };
+
+    return adapter.getOneSimple({
+      key: 'a'
+    }, {
+      readPreference: 'primary'
+    }).then(() => {
+      return adapter.insertOne({
+        key: 'b'
+      }, {
+        writeConcern: 1
+      });
+    }).finally(() => {
+      delete collection.findOne;
+      delete collection.insertOne;
+    }).then(() => {
+      assert.strictEqual(calls[0][1].readPreference, 'primary');
+      assert.deepEqual(calls[0][1].readConcern, {
+        level: 'majority'
+      });
+      assert.deepEqual(calls[1][1].writeConcern, {
+        w: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const errors = require('../base/errors');
+const fixtures = require('./fixtures/models');
+const ttypes = require('./fixtures/gen-nodejs/thing_types');
+
+describe('converters', () => {
+  let db = null,
+    service = new fixtures.ThingService();
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        _id: {
+          $oid: '5c8f8f8f8f8f8f8f8f8f8f01'
+        },
+        key: 'a',
+        v: 1
+      }, {
+        _id: {
+          $oid: '5c8f8f8f8f8f8f8f8f8f8f02'
+        },
+        key: 'b',
+        v: 2
+      }]
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('converts to thrift objects by default', () => {
+    assert(service.isThrift);
+
+    return service.getOne({
+      key: 'a'
+    }).then(thing => {
+      assert(thing instanceof ttypes.Thing);
+      assert.strictEqual(thing.id, '5c8f8f8f8f8f8f8f8f8f8f01');
+    });
+  });
+
+  it('converts to json objects', () => {
+    let json = service.withConverter('json');
+
+    assert(!json.isThrift);
+    assert(service.isThrift);
+
+    return json.getOne({
+      key: 'a'
+    }).then(thing => {
+      assert.deepEqual(thing, {
+        _id: '5c8f8f8f8f8f8f8f8f8f8f01',
+        key: 'a',
+        v: 1
+      });
+
+      return json.getPagination({
+        v: {
+          $gte: 1
+        }
+      }, {
+        pageSize: 1,
+        order: 'key'
+      });
+    }).then(page => {
+      assert.deepEqual(page.data, [{
+        _id: '5c8f8f8f8f8f8f8f8f8f8f01',
+        key: 'a',
+        v: 1
+      }]);
+      assert(page.pagination);
+    });
+  });
+
+  it('returns models as they are', () => {
+    return service.withConverter('raw').getMany({
+      v: {
+        $gte: 1
+      }
+    }).then(things => {
+      assert(things[0] instanceof fixtures.ThingModel);
+    });
+  });
+
+  it('converts with custom function', () => {
+    let calls = [];
+
+    return service.withConverter((model, current) => {
+      calls.push(current);
+
+      return model.key.toUpperCase();
+    }).withContext({
+      actor: 'u1'
+    }).getMany({
+      v: {
+        $gte: 1
+      }
+    }, {
+      order: 'key'
+    }).then(keys => {
+      assert.deepEqual(keys, ['A', 'B']);
+      assert.strictEqual(calls.length, 2);
+      assert.strictEqual(calls[0].adapter.actor, 'u1');
+    });
+  });
+
+  it('rejects unsupported converter', () => {
+    assert.throws(() => service.withConverter('xml'), /Unsupported converter: xml/);
+  });
+
+  it('rejects not found document in promise mode', () => {
+    return service.withConverter('json').getOne({
+      key: 'none'
+    }).then(() => assert.fail('document is found'), err => {
+      assert(err instanceof errors.NotFoundError);
+      assert.strictEqual(err.code, 404);
+    });
+  });
+
+  it('calls back with converted result', (done) => {
+    service.withConverter('json').getOne({
+      key: 'b'
+    }, (err, thing) => {
+      assert.strictEqual(err, null);
+      assert.strictEqual(thing.v, 2);
+      done();
+    });
+  });
+});
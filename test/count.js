@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const fixtures = require('./fixtures/models');
+
+describe('counts', () => {
+  let db = null,
+    service = new fixtures.ThingService(),
+    adapter = service.adapter;
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        key: 'a',
+        v: 1
+      }, {
+        key: 'b',
+        v: 1
+      }, {
+        key: 'c',
+        v: 2
+      }, {
+        key: 'd',
+        v: 3,
+        deletedAt: {
+          $date: '2020-01-01T00:00:00.000Z'
+        }
+      }]
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('counts documents which are not deleted', () => {
+    return adapter.count({
+      v: 1
+    }).then(count => {
+      assert.strictEqual(count, 2);
+
+      return adapter.count({}, {
+        withDeleted: true,
+        skip: 1,
+        limit: 2
+      });
+    }).then(count => {
+      assert.strictEqual(count, 2);
+
+      return adapter.count(null);
+    }).then(count => {
+      assert.strictEqual(count, 3);
+    });
+  });
+
+  it('estimates count including deleted documents', () => {
+    return adapter.estimatedCount().then(count => {
+      assert.strictEqual(count, 4);
+    });
+  });
+
+  it('lists distinct values', () => {
+    return adapter.distinct('v', {}).then(values => {
+      assert.deepEqual(values.sort(), [1, 2]);
+
+      return adapter.distinct('v', {
+        key: 'd'
+      }, {
+        withDeleted: true
+      });
+    }).then(values => {
+      assert.deepEqual(values, [3]);
+      assert.throws(() => adapter.distinct(''), /must not be empty/);
+    });
+  });
+
+  it('lists distinct ids as strings from service', () => {
+    return service.distinct('_id', {
+      key: 'a'
+    }).then(values => {
+      assert.strictEqual(values.length, 1);
+      assert.strictEqual(typeof(values[0]), 'string');
+    });
+  });
+
+  it('counts documents grouped by field value', () => {
+    return adapter.countBy('v', {}).then(counts => {
+      assert.deepEqual(counts, {
+        1: 2,
+        2: 1
+      });
+
+      return adapter.countBy('v', {}, {
+        withDeleted: true
+      });
+    }).then(counts => {
+      assert.deepEqual(counts, {
+        1: 2,
+        2: 1,
+        3: 1
+      });
+    });
+  });
+
+  it('calls back with counts', (done) => {
+    service.countBy('v', {
+      v: 2
+    }, (err, counts) => {
+      assert.strictEqual(err, null);
+      assert.deepEqual(counts, {
+        2: 1
+      });
+
+      service.count({}, (err, count) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(count, 3);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const MongoError = require('mongodb').MongoError;
+const ObjectID = require('mongodb').ObjectID;
+
+const pool = require('../base/pool');
+const errors = require('../base/errors');
+const fixtures = require('./fixtures/models');
+
+class RecordingThingService extends fixtures.ThingService {
+
+  get exception() {
+    return {
+      create: (err, data) => {
+        return Object.assign({
+          message: err.message
+        }, data);
+      }
+    };
+  }
+}
+
+describe('errors', () => {
+
+  it('translates duplicate key errors', () => {
+    let cause = new MongoError({
+        message: 'E11000 duplicate key error collection: db.things index: key_1 dup key: { : "a" }',
+        code: 11000
+      }),
+      err = errors.translate(cause, {
+        collection: 'things'
+      });
+
+    assert(err instanceof errors.DuplicateKeyError);
+    assert.strictEqual(err.code, 409);
+    assert.strictEqual(err.collection, 'things');
+    assert.strictEqual(err.cause, cause);
+    assert.deepEqual(err.details, {
+      index: 'key_1',
+      key: '{ : "a" }'
+    });
+  });
+
+  it('translates unavailable and timeout errors', () => {
+    [
+      [{
+        message: 'not master',
+        code: 10107
+      }, errors.UnavailableError],
+      [{
+        message: 'operation exceeded time limit',
+        code: 50
+      }, errors.TimeoutError],
+      [{
+        message: 'connection 1 to localhost timed out'
+      }, errors.TimeoutError]
+    ].forEach(pair => {
+      assert(errors.translate(new MongoError(pair[0])) instanceof pair[1]);
+    });
+
+    let network = new Error('connect ECONNREFUSED');
+    network.name = 'MongoServerSelectionError';
+
+    assert(errors.translate(network) instanceof errors.UnavailableError);
+  });
+
+  it('keeps unknown and library errors', () => {
+    let unknown = new MongoError({
+        message: 'unknown',
+        code: 2
+      }),
+      conflict = new errors.ConflictError('Conflict');
+
+    assert.strictEqual(errors.translate(unknown), unknown);
+    assert.strictEqual(errors.translate(conflict), conflict);
+    assert.strictEqual(errors.translate(null), null);
+  });
+
+  it('exposes error labels of cause', () => {
+    let cause = new MongoError({
+      message: 'Write conflict',
+      code: 112,
+      errorLabels: ['TransientTransactionError']
+    });
+
+    let err = new errors.AdapterError('Write conflict', {
+      cause: cause
+    });
+
+    assert.deepEqual(err.errorLabels, ['TransientTransactionError']);
+    assert(err.hasErrorLabel('TransientTransactionError'));
+    assert(!err.hasErrorLabel('UnknownTransactionCommitResult'));
+    assert.deepEqual(new errors.AdapterError('Plain').errorLabels, []);
+  });
+
+  it('converts ids', () => {
+    let id = new ObjectID();
+
+    assert.strictEqual(errors.toObjectID(id), id);
+    assert(errors.toObjectID(id.toHexString()).equals(id));
+
+    assert.throws(() => errors.toObjectID(123, {
+      collection: 'things'
+    }), err => {
+      return err instanceof errors.InvalidIdError && err.collection === 'things' && err.details.value === '123';
+    });
+  });
+
+  describe('service exceptions', () => {
+    let db = null,
+      service = new RecordingThingService();
+
+    before(() => {
+      return pool.connect().then(result => {
+        db = result;
+
+        return service.adapter.ensureIndexes();
+      });
+    });
+
+    beforeEach(() => db.reset());
+
+    after(() => pool.closeAll());
+
+    it('maps library errors to exceptions with details', (done) => {
+      db.load({
+        things: [{
+          key: 'a'
+        }]
+      });
+
+      service.insertOne({
+        key: 'a'
+      }, (err) => {
+        assert.strictEqual(err.type, 'duplicateKey');
+        assert.strictEqual(err.code, 409);
+        assert.strictEqual(err.table, 'things');
+        assert.strictEqual(err.index, 'key_1');
+        assert.deepEqual(err.key, {
+          key: 'a'
+        });
+        done();
+      });
+    });
+
+    it('maps unknown errors to mongo exceptions', (done) => {
+      let collection = db.collection('things');
+
+      collection.findOne = () => BPromise.reject(new MongoError({
+        message: 'Broken',
+        code: 2
+      }));
+
+      service.getOne({
+        key: 'a'
+      }, (err) => {
+        delete collection.findOne;
+
+        assert.strictEqual(err.type, 'mongo');
+        assert.strictEqual(err.code, 500);
+        assert.strictEqual(err.message, 'Broken');
+        done();
+      });
+    });
+
+    it('rejects library errors in promise mode', () => {
+      db.load({
+        things: [{
+          key: 'a'
+        }]
+      });
+
+      return service.insertOne({
+        key: 'a'
+      }).then(() => assert.fail('duplicate key is inserted'), err => {
+        assert(err instanceof errors.DuplicateKeyError);
+        assert.strictEqual(err.collection, 'things');
+      });
+    });
+  });
+});
@@ -0,0 +1,212 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const ObjectID = require('mongodb').ObjectID;
+const PassThrough = require('stream').PassThrough;
+
+const pool = require('../base/pool');
+const ExportFormatter = require('../base/export');
+const fixtures = require('./fixtures/models');
+
+/**
+ * Reads all items of object mode stream
+ *
+ * @param  {Readable} stream Readable stream
+ *
+ * @return {Promise}        Resolves items
+ */
+function readAll(stream) {
+  return new BPromise((resolve, reject) => {
+    let items = [];
+
+    stream.on('data', item => items.push(item));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(items));
+  });
+}
+
+/**
+ * Exports documents into memory
+ *
+ * @param  {BaseAdapter} adapter Adapter instance
+ * @param  {Object} form    Query form
+ * @param  {Object} opts    Export options
+ *
+ * @return {Promise}         Resolves [count, output text]
+ */
+function exportText(adapter, form, opts) {
+  let output = new PassThrough(),
+    chunks = [];
+
+  output.on('data', chunk => chunks.push(chunk));
+
+  return adapter.export(form, Object.assign({
+    output: output
+  }, opts)).then(count => [count, Buffer.concat(chunks).toString('utf8')]);
+}
+
+describe('export', () => {
+  let db = null,
+    adapter = new fixtures.ThingAdapter();
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        _id: {
+          $oid: '5c8f8f8f8f8f8f8f8f8f8f01'
+        },
+        key: 'a',
+        v: 1,
+        tags: ['x']
+      }, {
+        _id: {
+          $oid: '5c8f8f8f8f8f8f8f8f8f8f02'
+        },
+        key: 'b, "quoted"',
+        v: 2
+      }, {
+        key: 'c',
+        v: 3,
+        deletedAt: {
+          $date: '2020-01-01T00:00:00.000Z'
+        }
+      }]
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('formats values and csv rows', () => {
+    let id = new ObjectID(),
+      date = new Date(0);
+
+    assert.deepEqual(ExportFormatter.formatValue({
+      id: id,
+      at: [date]
+    }, false), {
+      id: id.toHexString(),
+      at: ['1970-01-01T00:00:00.000Z']
+    });
+    assert.deepEqual(ExportFormatter.formatValue({
+      id: id,
+      at: date
+    }, true), {
+      id: {
+        $oid: id.toHexString()
+      },
+      at: {
+        $date: '1970-01-01T00:00:00.000Z'
+      }
+    });
+    assert.strictEqual(ExportFormatter.csvRow(['a', null, 'b,c', 'say "hi"', 'x\ny']), 'a,,"b,c","say ""hi""","x\ny"');
+    assert.deepEqual(ExportFormatter.parseFields(' key, v ,'), ['key', 'v']);
+    assert.throws(() => new ExportFormatter({
+      format: 'xml'
+    }), /Unsupported export format/);
+  });
+
+  it('streams models which are not deleted', () => {
+    return readAll(adapter.stream({}, {
+      order: 'key',
+      batchSize: 1
+    })).then(models => {
+      assert(models[0] instanceof fixtures.ThingModel);
+      assert.deepEqual(models.map(model => model.key), ['a', 'b, "quoted"']);
+
+      return readAll(adapter.stream({
+        v: 3
+      }, {
+        raw: true,
+        withDeleted: true
+      }));
+    }).then(docs => {
+      assert.strictEqual(docs.length, 1);
+      assert(docs[0].deletedAt instanceof Date);
+    });
+  });
+
+  it('destroys stream on invalid filter', () => {
+    return readAll(adapter.stream({}, {
+      filter: 'unknown:1'
+    })).then(() => assert.fail('stream ends'), err => {
+      assert(/not filterable/.test(err.message));
+    });
+  });
+
+  it('iterates models', () => {
+    let iterator = adapter.iterate({}, {
+        order: '-key'
+      }),
+      keys = [];
+
+    let next = () => iterator.next().then(item => {
+      if (item.done) {
+        return keys;
+      }
+
+      keys.push(item.value.key);
+
+      return next();
+    });
+
+    return next().then(result => {
+      assert.deepEqual(result, ['b, "quoted"', 'a']);
+    });
+  });
+
+  it('exports ndjson', () => {
+    return exportText(adapter, {}, {
+      order: 'key',
+      fields: 'key,tags'
+    }).spread((count, text) => {
+      assert.strictEqual(count, 2);
+      assert.deepEqual(text.trim().split('\n').map(line => JSON.parse(line)), [{
+        key: 'a',
+        tags: ['x']
+      }, {
+        key: 'b, "quoted"'
+      }]);
+    });
+  });
+
+  it('exports csv with header', () => {
+    return exportText(adapter, {}, {
+      order: 'key',
+      format: 'csv',
+      fields: ['key', 'v', 'tags']
+    }).spread((count, text) => {
+      assert.strictEqual(count, 2);
+      assert.strictEqual(text, 'key,v,tags\na,1,"[""x""]"\n"b, ""quoted""",2,\n');
+    });
+  });
+
+  it('exports extended json', () => {
+    return exportText(adapter, {
+      key: 'a'
+    }, {
+      format: 'extended-json',
+      exclude: 'tags'
+    }).spread((count, text) => {
+      assert.strictEqual(count, 1);
+      assert.deepEqual(JSON.parse(text), {
+        _id: {
+          $oid: '5c8f8f8f8f8f8f8f8f8f8f01'
+        },
+        key: 'a',
+        v: 1
+      });
+    });
+  });
+
+  it('requires writable output', () => {
+    assert.throws(() => adapter.export({}, {}), /writable stream/);
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const ObjectID = require('mongodb').ObjectID;
+
+const MongoHelpers = require('../base/helpers');
+
+describe('filter expressions', () => {
+  let fields = {
+    name: 'string',
+    age: 'number',
+    active: 'boolean',
+    createdAt: 'date',
+    ownerId: 'objectid',
+    status: {
+      type: 'string',
+      operators: ['eq', 'in']
+    }
+  };
+
+  it('parses operators into mongo filter', () => {
+    assert.deepEqual(MongoHelpers.parseFilter('status:in:a,b;age:gte:18;active:1;name:exists:false', fields), {
+      status: {
+        $in: ['a', 'b']
+      },
+      age: {
+        $gte: 18
+      },
+      active: true,
+      name: {
+        $exists: false
+      }
+    });
+
+    assert.deepEqual(MongoHelpers.parseFilter(['age:between:1,5', 'createdAt:lt:0'], fields), {
+      age: {
+        $gte: 1,
+        $lte: 5
+      },
+      createdAt: {
+        $lt: new Date(0)
+      }
+    });
+  });
+
+  it('keeps colons of values', () => {
+    assert.deepEqual(MongoHelpers.parseFilter('name:a:b;status:eq:c', fields), {
+      name: 'a:b',
+      status: 'c'
+    });
+  });
+
+  it('escapes like values', () => {
+    let filter = MongoHelpers.parseFilter('name:like:a.b*', fields);
+
+    assert(filter.name.$regex.test('XA.B*Y'));
+    assert(!filter.name.$regex.test('axbb'));
+  });
+
+  it('converts ids', () => {
+    let id = new ObjectID();
+
+    assert(MongoHelpers.parseFilter('ownerId:' + id.toString(), fields).ownerId.equals(id));
+  });
+
+  it('combines conditions of the same field', () => {
+    assert.deepEqual(MongoHelpers.parseFilter('age:gt:1;age:lt:5', fields), {
+      age: {
+        $gt: 1,
+        $lt: 5
+      }
+    });
+
+    assert.deepEqual(MongoHelpers.parseFilter('age:1;age:gt:0', fields), {
+      $and: [{
+        age: 1
+      }, {
+        age: {
+          $gt: 0
+        }
+      }]
+    });
+  });
+
+  it('rejects invalid expressions', () => {
+    [
+      ['age', /Invalid filter expression/],
+      ['other:1', /not filterable/],
+      ['status:ne:a', /not allowed/],
+      ['age:like:1', /requires a string/],
+      ['age:between:1', /requires 2 values/],
+      ['age:x', /Invalid number/],
+      ['active:yes', /Invalid boolean/],
+      ['createdAt:later', /Invalid date/],
+      ['ownerId:1', /Invalid id/],
+      ['name:exists:maybe', /requires a boolean/]
+    ].forEach(pair => {
+      assert.throws(() => MongoHelpers.parseFilter(pair[0], fields), pair[1]);
+    });
+
+    assert.throws(() => MongoHelpers.parseFilter('age:1'), /must be declared/);
+  });
+
+  it('merges filters', () => {
+    assert.deepEqual(MongoHelpers.mergeFilters({
+      key: 'a',
+      v: {
+        $gt: 1
+      }
+    }, {
+      v: {
+        $lt: 5
+      },
+      tags: 'x'
+    }), {
+      key: 'a',
+      v: {
+        $gt: 1,
+        $lt: 5
+      },
+      tags: 'x'
+    });
+
+    assert.deepEqual(MongoHelpers.mergeFilters({
+      key: 'a'
+    }, {
+      key: 'b'
+    }), {
+      $and: [{
+        key: 'a'
+      }, {
+        key: 'b'
+      }]
+    });
+  });
+
+  it('sets dotted paths', () => {
+    assert.deepEqual(MongoHelpers.setPath({
+      a: 1
+    }, 'a.b.c', 2), {
+      a: {
+        b: {
+          c: 2
+        }
+      }
+    });
+  });
+});
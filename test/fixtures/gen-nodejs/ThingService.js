@@ -0,0 +1,472 @@
+//
+// Autogenerated by Thrift Compiler (0.9.3)
+//
+// DO NOT EDIT UNLESS YOU ARE SURE THAT YOU KNOW WHAT YOU ARE DOING
+//
+var thrift = require('thrift');
+var Thrift = thrift.Thrift;
+var Q = thrift.Q;
+
+
+var ttypes = require('./thing_types');
+//HELPER FUNCTIONS AND STRUCTURES
+
+var ThingService_getOne_args = function(args) {
+  this.form = null;
+  if (args) {
+    if (args.form !== undefined && args.form !== null) {
+      this.form = new ttypes.ThingForm(args.form);
+    }
+  }
+};
+ThingService_getOne_args.prototype = {};
+ThingService_getOne_args.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 1:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.form = new ttypes.ThingForm();
+        this.form.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 0:
+        input.skip(ftype);
+        break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+ThingService_getOne_args.prototype.write = function(output) {
+  output.writeStructBegin('ThingService_getOne_args');
+  if (this.form !== null && this.form !== undefined) {
+    output.writeFieldBegin('form', Thrift.Type.STRUCT, 1);
+    this.form.write(output);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+var ThingService_getOne_result = function(args) {
+  this.success = null;
+  this.ex = null;
+  if (args instanceof ttypes.ThingException) {
+    this.ex = args;
+    return;
+  }
+  if (args) {
+    if (args.success !== undefined && args.success !== null) {
+      this.success = new ttypes.Thing(args.success);
+    }
+    if (args.ex !== undefined && args.ex !== null) {
+      this.ex = args.ex;
+    }
+  }
+};
+ThingService_getOne_result.prototype = {};
+ThingService_getOne_result.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 0:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.success = new ttypes.Thing();
+        this.success.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 1:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.ex = new ttypes.ThingException();
+        this.ex.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+ThingService_getOne_result.prototype.write = function(output) {
+  output.writeStructBegin('ThingService_getOne_result');
+  if (this.success !== null && this.success !== undefined) {
+    output.writeFieldBegin('success', Thrift.Type.STRUCT, 0);
+    this.success.write(output);
+    output.writeFieldEnd();
+  }
+  if (this.ex !== null && this.ex !== undefined) {
+    output.writeFieldBegin('ex', Thrift.Type.STRUCT, 1);
+    this.ex.write(output);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+var ThingService_insertOne_args = function(args) {
+  this.form = null;
+  if (args) {
+    if (args.form !== undefined && args.form !== null) {
+      this.form = new ttypes.ThingForm(args.form);
+    }
+  }
+};
+ThingService_insertOne_args.prototype = {};
+ThingService_insertOne_args.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 1:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.form = new ttypes.ThingForm();
+        this.form.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 0:
+        input.skip(ftype);
+        break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+ThingService_insertOne_args.prototype.write = function(output) {
+  output.writeStructBegin('ThingService_insertOne_args');
+  if (this.form !== null && this.form !== undefined) {
+    output.writeFieldBegin('form', Thrift.Type.STRUCT, 1);
+    this.form.write(output);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+var ThingService_insertOne_result = function(args) {
+  this.success = null;
+  this.ex = null;
+  if (args instanceof ttypes.ThingException) {
+    this.ex = args;
+    return;
+  }
+  if (args) {
+    if (args.success !== undefined && args.success !== null) {
+      this.success = new ttypes.Thing(args.success);
+    }
+    if (args.ex !== undefined && args.ex !== null) {
+      this.ex = args.ex;
+    }
+  }
+};
+ThingService_insertOne_result.prototype = {};
+ThingService_insertOne_result.prototype.read = function(input) {
+  input.readStructBegin();
+  while (true)
+  {
+    var ret = input.readFieldBegin();
+    var fname = ret.fname;
+    var ftype = ret.ftype;
+    var fid = ret.fid;
+    if (ftype == Thrift.Type.STOP) {
+      break;
+    }
+    switch (fid)
+    {
+      case 0:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.success = new ttypes.Thing();
+        this.success.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      case 1:
+      if (ftype == Thrift.Type.STRUCT) {
+        this.ex = new ttypes.ThingException();
+        this.ex.read(input);
+      } else {
+        input.skip(ftype);
+      }
+      break;
+      default:
+        input.skip(ftype);
+    }
+    input.readFieldEnd();
+  }
+  input.readStructEnd();
+  return;
+};
+
+ThingService_insertOne_result.prototype.write = function(output) {
+  output.writeStructBegin('ThingService_insertOne_result');
+  if (this.success !== null && this.success !== undefined) {
+    output.writeFieldBegin('success', Thrift.Type.STRUCT, 0);
+    this.success.write(output);
+    output.writeFieldEnd();
+  }
+  if (this.ex !== null && this.ex !== undefined) {
+    output.writeFieldBegin('ex', Thrift.Type.STRUCT, 1);
+    this.ex.write(output);
+    output.writeFieldEnd();
+  }
+  output.writeFieldStop();
+  output.writeStructEnd();
+  return;
+};
+
+var ThingServiceClient = exports.Client = function(output, pClass) {
+    this.output = output;
+    this.pClass = pClass;
+    this._seqid = 0;
+    this._reqs = {};
+};
+ThingServiceClient.prototype = {};
+ThingServiceClient.prototype.seqid = function() { return this._seqid; }
+ThingServiceClient.prototype.new_seqid = function() { return this._seqid += 1; }
+ThingServiceClient.prototype.getOne = function(form, callback) {
+  this._seqid = this.new_seqid();
+  if (callback === undefined) {
+    var _defer = Q.defer();
+    this._reqs[this.seqid()] = function(error, result) {
+      if (error) {
+        _defer.reject(error);
+      } else {
+        _defer.resolve(result);
+      }
+    };
+    this.send_getOne(form);
+    return _defer.promise;
+  } else {
+    this._reqs[this.seqid()] = callback;
+    this.send_getOne(form);
+  }
+};
+
+ThingServiceClient.prototype.send_getOne = function(form) {
+  var output = new this.pClass(this.output);
+  output.writeMessageBegin('getOne', Thrift.MessageType.CALL, this.seqid());
+  var args = new ThingService_getOne_args();
+  args.form = form;
+  args.write(output);
+  output.writeMessageEnd();
+  return this.output.flush();
+};
+
+ThingServiceClient.prototype.recv_getOne = function(input,mtype,rseqid) {
+  var callback = this._reqs[rseqid] || function() {};
+  delete this._reqs[rseqid];
+  if (mtype == Thrift.MessageType.EXCEPTION) {
+    var x = new Thrift.TApplicationException();
+    x.read(input);
+    input.readMessageEnd();
+    return callback(x);
+  }
+  var result = new ThingService_getOne_result();
+  result.read(input);
+  input.readMessageEnd();
+
+  if (null !== result.ex) {
+    return callback(result.ex);
+  }
+  if (null !== result.success) {
+    return callback(null, result.success);
+  }
+  return callback('getOne failed: unknown result');
+};
+ThingServiceClient.prototype.insertOne = function(form, callback) {
+  this._seqid = this.new_seqid();
+  if (callback === undefined) {
+    var _defer = Q.defer();
+    this._reqs[this.seqid()] = function(error, result) {
+      if (error) {
+        _defer.reject(error);
+      } else {
+        _defer.resolve(result);
+      }
+    };
+    this.send_insertOne(form);
+    return _defer.promise;
+  } else {
+    this._reqs[this.seqid()] = callback;
+    this.send_insertOne(form);
+  }
+};
+
+ThingServiceClient.prototype.send_insertOne = function(form) {
+  var output = new this.pClass(this.output);
+  output.writeMessageBegin('insertOne', Thrift.MessageType.CALL, this.seqid());
+  var args = new ThingService_insertOne_args();
+  args.form = form;
+  args.write(output);
+  output.writeMessageEnd();
+  return this.output.flush();
+};
+
+ThingServiceClient.prototype.recv_insertOne = function(input,mtype,rseqid) {
+  var callback = this._reqs[rseqid] || function() {};
+  delete this._reqs[rseqid];
+  if (mtype == Thrift.MessageType.EXCEPTION) {
+    var x = new Thrift.TApplicationException();
+    x.read(input);
+    input.readMessageEnd();
+    return callback(x);
+  }
+  var result = new ThingService_insertOne_result();
+  result.read(input);
+  input.readMessageEnd();
+
+  if (null !== result.ex) {
+    return callback(result.ex);
+  }
+  if (null !== result.success) {
+    return callback(null, result.success);
+  }
+  return callback('insertOne failed: unknown result');
+};
+var ThingServiceProcessor = exports.Processor = function(handler) {
+  this._handler = handler
+}
+ThingServiceProcessor.prototype.process = function(input, output) {
+  var r = input.readMessageBegin();
+  if (this['process_' + r.fname]) {
+    return this['process_' + r.fname].call(this, r.rseqid, input, output);
+  } else {
+    input.skip(Thrift.Type.STRUCT);
+    input.readMessageEnd();
+    var x = new Thrift.TApplicationException(Thrift.TApplicationExceptionType.UNKNOWN_METHOD, 'Unknown function ' + r.fname);
+    output.writeMessageBegin(r.fname, Thrift.MessageType.EXCEPTION, r.rseqid);
+    x.write(output);
+    output.writeMessageEnd();
+    output.flush();
+  }
+}
+
+ThingServiceProcessor.prototype.process_getOne = function(seqid, input, output) {
+  var args = new ThingService_getOne_args();
+  args.read(input);
+  input.readMessageEnd();
+  if (this._handler.getOne.length === 1) {
+    Q.fcall(this._handler.getOne, args.form)
+      .then(function(result) {
+        var result = new ThingService_getOne_result({success: result});
+        output.writeMessageBegin("getOne", Thrift.MessageType.REPLY, seqid);
+        result.write(output);
+        output.writeMessageEnd();
+        output.flush();
+      }, function (err) {
+        if (err instanceof ttypes.ThingException) {
+          var result = new ThingService_getOne_result(err);
+          output.writeMessageBegin("getOne", Thrift.MessageType.REPLY, seqid);
+        } else {
+          var result = new Thrift.TApplicationException(Thrift.TApplicationExceptionType.UNKNOWN, err.message);
+          output.writeMessageBegin("getOne", Thrift.MessageType.EXCEPTION, seqid);
+        }
+        result.write(output);
+        output.writeMessageEnd();
+        output.flush();
+      });
+  } else {
+    this._handler.getOne(args.form, function (err, result) {
+      if (err == null || err instanceof ttypes.ThingException) {
+        var result = new ThingService_getOne_result((err != null ? err : {success: result}));
+        output.writeMessageBegin("getOne", Thrift.MessageType.REPLY, seqid);
+      } else {
+        var result = new Thrift.TApplicationException(Thrift.TApplicationExceptionType.UNKNOWN, err.message);
+        output.writeMessageBegin("getOne", Thrift.MessageType.EXCEPTION, seqid);
+      }
+      result.write(output);
+      output.writeMessageEnd();
+      output.flush();
+    });
+  }
+}
+
+ThingServiceProcessor.prototype.process_insertOne = function(seqid, input, output) {
+  var args = new ThingService_insertOne_args();
+  args.read(input);
+  input.readMessageEnd();
+  if (this._handler.insertOne.length === 1) {
+    Q.fcall(this._handler.insertOne, args.form)
+      .then(function(result) {
+        var result = new ThingService_insertOne_result({success: result});
+        output.writeMessageBegin("insertOne", Thrift.MessageType.REPLY, seqid);
+        result.write(output);
+        output.writeMessageEnd();
+        output.flush();
+      }, function (err) {
+        if (err instanceof ttypes.ThingException) {
+          var result = new ThingService_insertOne_result(err);
+          output.writeMessageBegin("insertOne", Thrift.MessageType.REPLY, seqid);
+        } else {
+          var result = new Thrift.TApplicationException(Thrift.TApplicationExceptionType.UNKNOWN, err.message);
+          output.writeMessageBegin("insertOne", Thrift.MessageType.EXCEPTION, seqid);
+        }
+        result.write(output);
+        output.writeMessageEnd();
+        output.flush();
+      });
+  } else {
+    this._handler.insertOne(args.form, function (err, result) {
+      if (err == null || err instanceof ttypes.ThingException) {
+        var result = new ThingService_insertOne_result((err != null ? err : {success: result}));
+        output.writeMessageBegin("insertOne", Thrift.MessageType.REPLY, seqid);
+      } else {
+        var result = new Thrift.TApplicationException(Thrift.TApplicationExceptionType.UNKNOWN, err.message);
+        output.writeMessageBegin("insertOne", Thrift.MessageType.EXCEPTION, seqid);
+      }
+      result.write(output);
+      output.writeMessageEnd();
+      output.flush();
+    });
+  }
+}
+
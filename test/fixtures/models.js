@@ -0,0 +1,191 @@
+'use strict';
+
+const BaseAdapter = require('../../base/adapter');
+const BaseService = require('../../base/service');
+const UserActivityAdapter = require('../../adapters/user-activity');
+const UserActivityService = require('../../services/user-activity');
+const ttypes = require('./gen-nodejs/thing_types');
+
+/**
+ * Copies defined fields of data
+ *
+ * @param  {Object} target Target object
+ * @param  {Object} data   Source data
+ * @param  {Array} fields Field names
+ *
+ * @return {Object}        Target object
+ */
+function assignFields(target, data, fields) {
+  fields.forEach(field => {
+    if (data && data[field] !== undefined && data[field] !== null) {
+      target[field] = data[field];
+    }
+  });
+
+  return target;
+}
+
+class ThingModel {
+
+  constructor(data) {
+    assignFields(this, data, ['_id', 'key', 'v', 'tags', 'deletedAt', 'deletedBy']);
+  }
+
+  get collectionName() {
+    return 'things';
+  }
+
+  get indexes() {
+    return [{
+      key: {
+        key: 1
+      },
+      unique: true
+    }];
+  }
+
+  get filterable() {
+    return {
+      key: 'string',
+      v: 'number'
+    };
+  }
+
+  toQueryObject(form) {
+    return assignFields({}, form, ['_id', 'key', 'v', 'tags']);
+  }
+
+  toInsertObject() {
+    return assignFields({}, this, ['key', 'v', 'tags']);
+  }
+
+  toFormObject() {
+    return assignFields({}, this, ['v', 'tags']);
+  }
+
+  toUpsertObject() {
+    return {
+      $setOnInsert: {
+        key: this.key
+      },
+      $set: assignFields({}, this, ['v', 'tags'])
+    };
+  }
+
+  toThriftObject() {
+    return new ttypes.Thing({
+      id: this._id ? this._id.toString() : null,
+      key: this.key,
+      v: this.v
+    });
+  }
+}
+
+class ThingAdapter extends BaseAdapter {
+
+  get modelClass() {
+    return ThingModel;
+  }
+
+  get softDelete() {
+    return true;
+  }
+}
+
+class ThingService extends BaseService {
+
+  get adapterClass() {
+    return ThingAdapter;
+  }
+
+  get exception() {
+    return {
+      create: (err, data) => new ttypes.ThingException({
+        type: data.type,
+        code: data.code,
+        message: err.message
+      })
+    };
+  }
+}
+
+class ActivityModel {
+
+  constructor(data) {
+    assignFields(this, data, ['_id', 'userId', 'activity', 'status', 'location', 'distance']);
+  }
+
+  get collectionName() {
+    return 'activities';
+  }
+
+  toInsertObject() {
+    return assignFields({}, this, ['userId', 'activity', 'status', 'location']);
+  }
+
+  toUpsertObject() {
+    return {
+      $setOnInsert: {
+        userId: this.userId
+      },
+      $set: assignFields({}, this, ['activity', 'status', 'location'])
+    };
+  }
+
+  toThriftObject() {
+    return assignFields({}, this, ['userId', 'activity', 'status', 'distance']);
+  }
+}
+
+class ActivityLogModel extends ActivityModel {
+
+  get collectionName() {
+    return 'activity_logs';
+  }
+}
+
+class ActivityLogAdapter extends BaseAdapter {
+
+  get modelClass() {
+    return ActivityLogModel;
+  }
+}
+
+class ActivityAdapter extends UserActivityAdapter {
+
+  get modelClass() {
+    return ActivityModel;
+  }
+
+  get logAdapterClass() {
+    return ActivityLogAdapter;
+  }
+
+  get primaryKey() {
+    return 'userId';
+  }
+
+  get softDelete() {
+    return true;
+  }
+}
+
+class ActivityService extends UserActivityService {
+
+  get adapterClass() {
+    return ActivityAdapter;
+  }
+
+  get exception() {
+    return ThingService.prototype.exception;
+  }
+}
+
+module.exports = {
+  ThingModel: ThingModel,
+  ThingAdapter: ThingAdapter,
+  ThingService: ThingService,
+  ActivityModel: ActivityModel,
+  ActivityAdapter: ActivityAdapter,
+  ActivityService: ActivityService
+};
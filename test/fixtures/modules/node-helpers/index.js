@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Test double of node-helpers, used when the optional dependency can't be installed.
+ * Covers only the helpers this package calls
+ */
+
+/**
+ * Checks whether value is null, undefined, empty string or object without keys
+ *
+ * @param  {Mixed}  value Value
+ *
+ * @return {Boolean}
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (typeof(value) === 'object' && Object.keys(value).length === 0);
+}
+
+/**
+ * Copies fields which have values
+ *
+ * @param  {Object} data Input data
+ *
+ * @return {Object}
+ */
+function toSimpleObject(data) {
+  let result = {};
+
+  Object.keys(data || {}).forEach(key => {
+    if (data[key] !== undefined && data[key] !== null) {
+      result[key] = data[key];
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  Data: {
+    isEmpty: isEmpty
+  },
+  Model: {
+    toSimpleObject: toSimpleObject
+  },
+  DefaultException: {
+    create: (err, data) => Object.assign({
+      message: err && err.message
+    }, data)
+  }
+};
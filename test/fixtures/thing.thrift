@@ -0,0 +1,26 @@
+/**
+ * Thing service used by ThriftHandler tests,
+ * gen-nodejs is generated by `thrift --gen js:node thing.thrift`
+ */
+
+struct ThingForm {
+  1: optional string key,
+  2: optional i64 v
+}
+
+struct Thing {
+  1: optional string id,
+  2: optional string key,
+  3: optional i64 v
+}
+
+exception ThingException {
+  1: optional string type,
+  2: optional i32 code,
+  3: optional string message
+}
+
+service ThingService {
+  Thing getOne(1: ThingForm form) throws (1: ThingException ex),
+  Thing insertOne(1: ThingForm form) throws (1: ThingException ex)
+}
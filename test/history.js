@@ -0,0 +1,201 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+
+const pool = require('../base/pool');
+const errors = require('../base/errors');
+const AuditTrail = require('../base/audit');
+const fixtures = require('./fixtures/models');
+
+class AuditedThingAdapter extends fixtures.ThingAdapter {
+
+  get audit() {
+    return true;
+  }
+
+  get auditLimit() {
+    return 2;
+  }
+
+  get softDelete() {
+    return false;
+  }
+}
+
+describe('history', () => {
+  let db = null,
+    adapter = new AuditedThingAdapter(),
+    actor = adapter.withContext({
+      actor: 'u1'
+    });
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => db.reset());
+
+  after(() => pool.closeAll());
+
+  it('diffs and reverts document states', () => {
+    let before = {
+        _id: 1,
+        key: 'a',
+        v: 1
+      },
+      after = {
+        _id: 1,
+        key: 'a',
+        tags: ['x']
+      },
+      changes = AuditTrail.diff(before, after);
+
+    assert.deepEqual(changes, [{
+      field: 'v',
+      from: 1
+    }, {
+      field: 'tags',
+      to: ['x']
+    }]);
+    assert.deepEqual(AuditTrail.undo(after, {
+      type: 'update',
+      documentId: 1,
+      changes: changes
+    }), before);
+    assert.strictEqual(AuditTrail.undo(after, {
+      type: 'insert'
+    }), null);
+  });
+
+  it('records insert, update and delete entries', () => {
+    let id = null;
+
+    return actor.insertOne({
+      key: 'a',
+      v: 1
+    }).then(model => {
+      id = model._id.toString();
+
+      return actor.updateOneSimple({
+        v: 2
+      }, {
+        key: 'a'
+      });
+    }).then(modified => {
+      assert.strictEqual(modified, 1);
+
+      return actor.deleteOne({
+        key: 'a'
+      });
+    }).then(() => adapter.getHistory(id)).then(entries => {
+      assert.deepEqual(entries.map(entry => entry.type), ['insert', 'update', 'delete']);
+      assert.deepEqual(entries.map(entry => entry.actor), ['u1', 'u1', 'u1']);
+      assert.deepEqual(entries[1].changes, [{
+        field: 'v',
+        from: 1,
+        to: 2
+      }]);
+      assert.strictEqual(entries[1].operation, 'updateOne');
+      assert.deepEqual(JSON.parse(entries[1].filter), {
+        key: 'a'
+      });
+
+      return adapter.getHistory(id, {
+        order: 'desc',
+        limit: 1
+      });
+    }).then(entries => {
+      assert.strictEqual(entries.length, 1);
+      assert.strictEqual(entries[0].type, 'delete');
+    });
+  });
+
+  it('reconstructs document state at given time', () => {
+    let id = null,
+      inserted = null,
+      updated = null;
+
+    return adapter.insertOne({
+      key: 'a',
+      v: 1
+    }).then(model => {
+      id = model._id.toString();
+
+      return BPromise.delay(2);
+    }).then(() => {
+      inserted = new Date();
+
+      return BPromise.delay(2);
+    }).then(() => adapter.updateOneSimple({
+      v: 2
+    }, {
+      key: 'a'
+    })).then(() => BPromise.delay(2)).then(() => {
+      updated = new Date();
+
+      return BPromise.delay(2);
+    }).then(() => adapter.deleteOne({
+      key: 'a'
+    })).then(() => BPromise.all([
+      adapter.getStateAt(id, new Date(0)),
+      adapter.getStateAt(id, inserted),
+      adapter.getStateAt(id, updated),
+      adapter.getStateAt(id, new Date())
+    ])).spread((none, first, second, deleted) => {
+      assert.strictEqual(none, null);
+      assert.strictEqual(first.v, 1);
+      assert.strictEqual(first._id.toString(), id);
+      assert.strictEqual(second.v, 2);
+      assert.strictEqual(deleted, null);
+    });
+  });
+
+  it('rejects state of invalid id', () => {
+    return adapter.getStateAt('invalid', new Date()).then(() => assert.fail('state is found'), err => {
+      assert(err instanceof errors.InvalidIdError);
+    });
+  });
+
+  it('rejects writes touching more documents than audit limit', () => {
+    db.load({
+      things: [{
+        key: 'a',
+        v: 1
+      }, {
+        key: 'b',
+        v: 1
+      }, {
+        key: 'c',
+        v: 1
+      }]
+    });
+
+    return adapter.updateManySimple({
+      v: 2
+    }, {
+      v: 1
+    }).then(() => assert.fail('write is run'), err => {
+      assert(err instanceof errors.ValidationError);
+      assert.strictEqual(err.data.errors[0].rule, 'auditLimit');
+
+      return adapter.count({
+        v: 2
+      });
+    }).then(count => {
+      assert.strictEqual(count, 0);
+
+      return adapter.updateManySimple({
+        v: 2
+      }, {
+        key: {
+          $in: ['a', 'b']
+        }
+      });
+    }).then(() => db.collection('things_history').countDocuments({})).then(count => {
+      assert.strictEqual(count, 2);
+    });
+  });
+});
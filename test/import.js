@@ -0,0 +1,258 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const ObjectID = require('mongodb').ObjectID;
+const PassThrough = require('stream').PassThrough;
+
+const pool = require('../base/pool');
+const ImportParser = require('../base/import');
+const fixtures = require('./fixtures/models');
+
+/**
+ * Parses chunks and collects rows
+ *
+ * @param  {Object} opts   Parser option data
+ * @param  {Array} chunks Input chunks
+ *
+ * @return {Promise}       Resolves rows
+ */
+function parse(opts, chunks) {
+  return new BPromise((resolve, reject) => {
+    let parser = new ImportParser(opts),
+      rows = [];
+
+    parser.on('data', row => rows.push(row));
+    parser.on('end', () => resolve(rows));
+    parser.on('error', reject);
+
+    chunks.forEach(chunk => parser.write(chunk));
+    parser.end();
+  });
+}
+
+/**
+ * Splits buffer at every byte
+ *
+ * @param  {String} text Input text
+ *
+ * @return {Array}       One byte buffers
+ */
+function bytes(text) {
+  let buffer = Buffer.from(text, 'utf8'),
+    result = [];
+
+  for (let i = 0; i < buffer.length; i++) {
+    result.push(buffer.slice(i, i + 1));
+  }
+
+  return result;
+}
+
+/**
+ * Creates readable stream of text
+ *
+ * @param  {String} text Input text
+ *
+ * @return {Readable}
+ */
+function input(text) {
+  let stream = new PassThrough();
+  stream.end(text);
+
+  return stream;
+}
+
+describe('ImportParser', () => {
+
+  it('keeps multibyte characters split across ndjson chunks', () => {
+    return parse({
+      format: 'ndjson'
+    }, bytes('{"name":"Nguyễn Văn Toàn"}\n{"name":"東京"}')).then(rows => {
+      assert.deepEqual(rows, [{
+        line: 1,
+        data: {
+          name: 'Nguyễn Văn Toàn'
+        }
+      }, {
+        line: 2,
+        data: {
+          name: '東京'
+        }
+      }]);
+    });
+  });
+
+  it('keeps multibyte characters split across csv chunks', () => {
+    return parse({
+      format: 'csv'
+    }, bytes('name,city\n"Trần, An",Hà Nội\n')).then(rows => {
+      assert.deepEqual(rows, [{
+        line: 2,
+        data: {
+          name: 'Trần, An',
+          city: 'Hà Nội'
+        }
+      }]);
+    });
+  });
+
+  it('reports rows which cannot be parsed', () => {
+    return parse({
+      format: 'ndjson'
+    }, ['{"key":"a"}\n{bad\n\n[1]\n']).then(rows => {
+      assert.deepEqual(rows[0], {
+        line: 1,
+        data: {
+          key: 'a'
+        }
+      });
+      assert.strictEqual(rows[1].line, 2);
+      assert(rows[1].error);
+      assert.deepEqual(rows[2], {
+        line: 4,
+        error: 'Row must be an object'
+      });
+    });
+  });
+
+  it('converts typed csv columns', () => {
+    return parse({
+      format: 'csv',
+      types: {
+        v: 'number',
+        active: 'boolean'
+      }
+    }, ['key,v,active\na,1,true\nb,,0\nc,x,1\nd,1\n']).then(rows => {
+      assert.deepEqual(rows, [{
+        line: 2,
+        data: {
+          key: 'a',
+          v: 1,
+          active: true
+        }
+      }, {
+        line: 3,
+        data: {
+          key: 'b',
+          active: false
+        }
+      }, {
+        line: 4,
+        error: 'Invalid number value of filter field v: x'
+      }, {
+        line: 5,
+        error: 'Expected 3 columns, got 2'
+      }]);
+    });
+  });
+
+  it('revives extended json values', () => {
+    let id = new ObjectID();
+
+    return parse({
+      format: 'extended-json'
+    }, [JSON.stringify({
+      _id: {
+        $oid: id.toHexString()
+      },
+      at: {
+        $date: {
+          $numberLong: '0'
+        }
+      },
+      n: {
+        $numberLong: '5'
+      }
+    })]).then(rows => {
+      assert(rows[0].data._id.equals(id));
+      assert.strictEqual(rows[0].data.at.getTime(), 0);
+      assert.strictEqual(rows[0].data.n, 5);
+    });
+  });
+
+  describe('adapter import', () => {
+    let db = null,
+      adapter = new fixtures.ThingAdapter();
+
+    before(() => {
+      return pool.connect().then(result => {
+        db = result;
+
+        return adapter.ensureIndexes();
+      });
+    });
+
+    beforeEach(() => db.reset());
+
+    after(() => pool.closeAll());
+
+    it('reports inserted and failed lines', () => {
+      db.load({
+        things: [{
+          key: 'b'
+        }]
+      });
+
+      return adapter.import(input('{"key":"a","v":1}\n{"key":"b"}\nnot json\n{"key":"c"}\n'), {
+        batchSize: 2
+      }).then(report => {
+        assert.strictEqual(report.total, 4);
+        assert.deepEqual(report.inserted, [1, 4]);
+        assert.deepEqual(report.failed.map(failure => failure.line), [2, 3]);
+        assert.strictEqual(report.failed[0].code, 11000);
+        assert.strictEqual(report.stopped, false);
+
+        return adapter.count({});
+      }).then(count => {
+        assert.strictEqual(count, 3);
+      });
+    });
+
+    it('reports upserted lines as inserted or updated', () => {
+      db.load({
+        things: [{
+          key: 'a',
+          v: 1
+        }]
+      });
+
+      return adapter.import(input('key,v\na,2\nb,3\n'), {
+        format: 'csv',
+        mode: 'upsert',
+        types: {
+          v: 'number'
+        }
+      }).then(report => {
+        assert.deepEqual(report.inserted, [3]);
+        assert.deepEqual(report.updated, [2]);
+
+        return adapter.getOneSimple({
+          key: 'a'
+        });
+      }).then(doc => {
+        assert.strictEqual(doc.v, 2);
+      });
+    });
+
+    it('stops on first error when asked', () => {
+      return adapter.import(input('{"key":"a"}\n{bad\n{"key":"c"}\n'), {
+        stopOnError: true
+      }).then(report => {
+        assert.strictEqual(report.stopped, true);
+        assert.deepEqual(report.inserted, [1]);
+        assert.deepEqual(report.failed.map(failure => failure.line), [2]);
+
+        return adapter.count({});
+      }).then(count => {
+        assert.strictEqual(count, 1);
+      });
+    });
+
+    it('rejects unsupported mode', () => {
+      assert.throws(() => adapter.import(input(''), {
+        mode: 'replace'
+      }), /Unsupported import mode/);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const IndexHelpers = require('../base/indexes');
+const fixtures = require('./fixtures/models');
+
+class IndexedThingAdapter extends fixtures.ThingAdapter {
+
+  get indexes() {
+    return [{
+      key: {
+        key: 1
+      },
+      unique: true
+    }, {
+      key: {
+        v: -1,
+        key: 1
+      }
+    }];
+  }
+}
+
+describe('indexes', () => {
+
+  it('names indexes the way mongo does', () => {
+    assert.strictEqual(IndexHelpers.buildName({
+      v: -1,
+      key: 1
+    }), 'v_-1_key_1');
+    assert.strictEqual(IndexHelpers.normalize({
+      key: {
+        key: 1
+      },
+      name: 'custom'
+    }).name, 'custom');
+    assert.throws(() => IndexHelpers.normalize({
+      key: {}
+    }), /must not be empty/);
+  });
+
+  it('compares text indexes with stored form', () => {
+    assert.deepEqual(IndexHelpers.comparable({
+      key: {
+        title: 'text',
+        lang: 1
+      }
+    }), IndexHelpers.comparable({
+      key: {
+        _fts: 'text',
+        _ftsx: 1,
+        lang: 1
+      },
+      weights: {
+        title: 1
+      },
+      default_language: 'english'
+    }));
+  });
+
+  it('diffs declared and existing indexes', () => {
+    let diff = IndexHelpers.diff([{
+      key: {
+        key: 1
+      },
+      unique: true
+    }, {
+      key: {
+        v: 1
+      }
+    }, {
+      key: {
+        tags: 1
+      }
+    }], [{
+      key: {
+        _id: 1
+      },
+      name: '_id_'
+    }, {
+      key: {
+        key: 1
+      },
+      name: 'key_1',
+      unique: true
+    }, {
+      key: {
+        v: 1
+      },
+      name: 'v_1',
+      sparse: true
+    }, {
+      key: {
+        old: 1
+      },
+      name: 'old_1'
+    }]);
+
+    assert.deepEqual(diff.create.map(spec => spec.name), ['tags_1']);
+    assert.deepEqual(diff.changed.map(spec => spec.name), ['v_1']);
+    assert.deepEqual(diff.unchanged.map(spec => spec.name), ['key_1']);
+    assert.deepEqual(diff.extra.map(spec => spec.name), ['old_1']);
+  });
+
+  describe('adapter', () => {
+    let db = null,
+      adapter = new IndexedThingAdapter();
+
+    before(() => {
+      return pool.connect().then(result => {
+        db = result;
+      });
+    });
+
+    beforeEach(() => db.dropCollection('things'));
+
+    after(() => pool.closeAll());
+
+    it('ensures declared indexes', () => {
+      return adapter.ensureIndexes().then(names => {
+        assert.deepEqual(names, ['key_1', 'v_-1_key_1']);
+
+        return db.collection('things').indexes();
+      }).then(indexes => {
+        assert.deepEqual(indexes.map(index => index.name), ['_id_', 'key_1', 'v_-1_key_1']);
+        assert.strictEqual(indexes[1].unique, true);
+      });
+    });
+
+    it('syncs changed and extra indexes', () => {
+      let collection = db.collection('things');
+
+      return collection.createIndexes([{
+        key: {
+          key: 1
+        },
+        name: 'key_1'
+      }, {
+        key: {
+          old: 1
+        },
+        name: 'old_1'
+      }]).then(() => adapter.syncIndexes({
+        dryRun: true
+      })).then(report => {
+        assert.deepEqual(report, {
+          collection: 'things',
+          create: ['v_-1_key_1', 'key_1'],
+          drop: ['key_1'],
+          unchanged: [],
+          extra: ['old_1'],
+          dryRun: true
+        });
+
+        return collection.indexes();
+      }).then(indexes => {
+        assert.strictEqual(indexes.length, 3);
+        assert(!indexes[1].unique);
+
+        return adapter.syncIndexes({
+          dropExtra: true
+        });
+      }).then(report => {
+        assert.deepEqual(report.drop, ['key_1', 'old_1']);
+
+        return collection.indexes();
+      }).then(indexes => {
+        assert.deepEqual(indexes.map(index => index.name).sort(), ['_id_', 'key_1', 'v_-1_key_1']);
+        assert.strictEqual(indexes.filter(index => index.name === 'key_1')[0].unique, true);
+
+        return adapter.syncIndexes();
+      }).then(report => {
+        assert.deepEqual(report.create, []);
+        assert.deepEqual(report.unchanged, ['key_1', 'v_-1_key_1']);
+      });
+    });
+
+    it('creates nothing for missing collection on dry run', () => {
+      return adapter.syncIndexes({
+        dryRun: true
+      }).then(report => {
+        assert.deepEqual(report.create, ['key_1', 'v_-1_key_1']);
+
+        return db.listCollections({
+          name: 'things'
+        }).toArray();
+      }).then(collections => {
+        assert.deepEqual(collections, []);
+      });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const metrics = require('../base/metrics');
+const MongoHelpers = require('../base/helpers');
+const fixtures = require('./fixtures/models');
+
+class SlowThingAdapter extends fixtures.ThingAdapter {
+
+  get slowQueryMs() {
+    return 0;
+  }
+}
+
+describe('metrics', () => {
+
+  it('exports prometheus series', () => {
+    let sink = new metrics.PrometheusSink({
+      prefix: 'test',
+      buckets: [0.01, 0.1]
+    });
+
+    sink.record({
+      collection: 'things',
+      operation: 'find',
+      duration: 5
+    });
+    sink.record({
+      collection: 'things',
+      operation: 'find',
+      duration: 50,
+      error: true,
+      slow: true
+    });
+
+    let lines = sink.export().split('\n');
+
+    [
+      'test_queries_total{status="success",collection="things",operation="find"} 1',
+      'test_queries_total{status="error",collection="things",operation="find"} 1',
+      'test_slow_queries_total{collection="things",operation="find"} 1',
+      'test_query_duration_seconds_bucket{le="0.01",collection="things",operation="find"} 1',
+      'test_query_duration_seconds_bucket{le="0.1",collection="things",operation="find"} 2',
+      'test_query_duration_seconds_bucket{le="+Inf",collection="things",operation="find"} 2',
+      'test_query_duration_seconds_sum{collection="things",operation="find"} 0.055',
+      'test_query_duration_seconds_count{collection="things",operation="find"} 2'
+    ].forEach(line => {
+      assert(lines.indexOf(line) !== -1, 'Missing line ' + line);
+    });
+
+    sink.reset();
+    assert.strictEqual(sink.export().indexOf('things'), -1);
+  });
+
+  it('sends samples to sinks, ignoring sink errors', () => {
+    let registry = new metrics.Metrics(),
+      samples = [],
+      sink = sample => samples.push(sample);
+
+    registry.addSink(() => {
+      throw new Error('Broken sink');
+    });
+    registry.addSink(sink);
+    registry.record({
+      operation: 'find'
+    });
+    registry.removeSink(sink);
+    registry.record({
+      operation: 'count'
+    });
+
+    assert.deepEqual(samples, [{
+      operation: 'find'
+    }]);
+  });
+
+  it('replaces filter values by placeholders', () => {
+    assert.deepEqual(MongoHelpers.filterShape({
+      key: 'a',
+      v: {
+        $in: [1, 2]
+      },
+      $or: [{
+        createdAt: new Date()
+      }]
+    }), {
+      key: '?',
+      v: {
+        $in: ['?']
+      },
+      $or: [{
+        createdAt: '?'
+      }]
+    });
+  });
+
+  describe('adapter queries', () => {
+    let db = null,
+      samples = [],
+      sink = sample => samples.push(sample);
+
+    before(() => {
+      metrics.addSink(sink);
+
+      return pool.connect().then(result => {
+        db = result;
+      });
+    });
+
+    beforeEach(() => {
+      samples = [];
+      db.reset();
+    });
+
+    after(() => {
+      metrics.removeSink(sink);
+
+      return pool.closeAll();
+    });
+
+    it('records query samples', () => {
+      let adapter = new fixtures.ThingAdapter();
+
+      return adapter.getMany({
+        key: 'a'
+      }).then(() => {
+        assert.strictEqual(samples.length, 1);
+        assert.strictEqual(samples[0].collection, 'things');
+        assert.strictEqual(samples[0].operation, 'find');
+        assert.strictEqual(samples[0].error, false);
+        assert.strictEqual(typeof(samples[0].duration), 'number');
+      });
+    });
+
+    it('logs slow queries with filter shape', () => {
+      let warnings = [],
+        adapter = new SlowThingAdapter();
+
+      adapter.log.warn = (fields, message) => warnings.push([fields, message]);
+
+      return adapter.getOneSimple({
+        key: 'secret'
+      }).then(() => {
+        assert.strictEqual(warnings.length, 1);
+        assert.deepEqual(warnings[0][0].filter, {
+          key: '?',
+          deletedAt: '?'
+        });
+        assert.strictEqual(warnings[0][1], 'Slow query findOne on collection things');
+        assert.strictEqual(samples[0].slow, true);
+      });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const Pipeline = require('../base/pipeline');
+const fixtures = require('./fixtures/models');
+const ttypes = require('./fixtures/gen-nodejs/thing_types');
+
+describe('Pipeline', () => {
+  let db = null,
+    service = new fixtures.ThingService(),
+    adapter = service.adapter;
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        key: 'a',
+        v: 1,
+        tags: ['x', 'y']
+      }, {
+        key: 'b',
+        v: 2,
+        tags: ['x']
+      }, {
+        key: 'c',
+        v: 3,
+        deletedAt: {
+          $date: '2020-01-01T00:00:00.000Z'
+        }
+      }]
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('builds stages', () => {
+    let stages = adapter.pipeline().match({
+        key: 'a',
+        bogus: 1
+      }).match({
+        bogus: 1
+      }, {
+        raw: true
+      }).unwind('tags').lookup('others', 'key', 'key', 'matched').group({
+        _id: '$tags',
+        count: {
+          $sum: 1
+        }
+      }).project(['count']).sort('-count,_id').skip(1).limit(2).toArray();
+
+    assert.deepEqual(stages, [{
+      $match: {
+        key: 'a'
+      }
+    }, {
+      $match: {
+        bogus: 1
+      }
+    }, {
+      $unwind: '$tags'
+    }, {
+      $lookup: {
+        from: 'others',
+        localField: 'key',
+        foreignField: 'key',
+        as: 'matched'
+      }
+    }, {
+      $group: {
+        _id: '$tags',
+        count: {
+          $sum: 1
+        }
+      }
+    }, {
+      $project: {
+        count: 1
+      }
+    }, {
+      $sort: {
+        count: -1,
+        _id: 1
+      }
+    }, {
+      $skip: 1
+    }, {
+      $limit: 2
+    }]);
+  });
+
+  it('nests sub pipelines', () => {
+    let stages = new Pipeline().facet({
+      total: [{
+        $count: 'n'
+      }],
+      first: new Pipeline().limit(1)
+    }).lookup({
+      from: 'others',
+      as: 'others',
+      pipeline: new Pipeline().match({
+        v: 1
+      })
+    }).toArray();
+
+    assert.deepEqual(stages[0].$facet.first, [{
+      $limit: 1
+    }]);
+    assert.deepEqual(stages[1].$lookup.pipeline, [{
+      $match: {
+        v: 1
+      }
+    }]);
+  });
+
+  it('rejects malformed stages', () => {
+    let pipeline = new Pipeline();
+
+    assert.throws(() => pipeline.stage({
+      $match: {},
+      $limit: 1
+    }), /exactly one operator/);
+    assert.throws(() => pipeline.group({
+      count: {
+        $sum: 1
+      }
+    }), /requires _id/);
+    assert.throws(() => pipeline.exec(), /not bound/);
+  });
+
+  it('scopes stages to documents which are not deleted', () => {
+    let scope = {
+      $match: {
+        deletedAt: null
+      }
+    };
+
+    assert.deepEqual(adapter.scopePipeline([{
+      $limit: 1
+    }]), [scope, {
+      $limit: 1
+    }]);
+    assert.deepEqual(adapter.scopePipeline([{
+      $collStats: {}
+    }]), [{
+      $collStats: {}
+    }, scope]);
+    assert.deepEqual(adapter.scopePipeline([{
+      $geoNear: {
+        near: [0, 0],
+        query: {
+          v: 1
+        }
+      }
+    }]), [{
+      $geoNear: {
+        near: [0, 0],
+        query: {
+          v: 1,
+          deletedAt: null
+        }
+      }
+    }]);
+    assert.deepEqual(adapter.scopePipeline([{
+      $limit: 1
+    }], {
+      withDeleted: true
+    }), [{
+      $limit: 1
+    }]);
+  });
+
+  it('runs pipeline without deleted documents', () => {
+    return adapter.pipeline().unwind('tags').group({
+      _id: '$tags',
+      count: {
+        $sum: 1
+      }
+    }).sort('_id').exec().then(results => {
+      assert.deepEqual(results, [{
+        _id: 'x',
+        count: 2
+      }, {
+        _id: 'y',
+        count: 1
+      }]);
+
+      return adapter.aggregate([{
+        $count: 'n'
+      }], {
+        withDeleted: true
+      });
+    }).then(results => {
+      assert.deepEqual(results, [{
+        n: 3
+      }]);
+    });
+  });
+
+  it('maps entity results to models and converts them from service', () => {
+    return adapter.aggregate(adapter.pipeline().sort('key')).then(results => {
+      assert(results[0] instanceof fixtures.ThingModel);
+      assert.deepEqual(results.map(model => model.key), ['a', 'b']);
+
+      return service.aggregate([{
+        $sort: {
+          key: -1
+        }
+      }]);
+    }).then(results => {
+      assert(results[0] instanceof ttypes.Thing);
+      assert.deepEqual(results.map(thing => thing.key), ['b', 'a']);
+    });
+  });
+});
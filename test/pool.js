@@ -0,0 +1,230 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+
+const MongoDB = require('../base/pool').MongoDB;
+const MemoryDb = require('../base/memory');
+
+describe('MongoDB pool', () => {
+  let pool = null;
+
+  beforeEach(() => {
+    pool = new MongoDB();
+  });
+
+  afterEach(() => pool.closeAll());
+
+  it('lists configured connection names', () => {
+    assert.deepEqual(pool.names, ['default']);
+  });
+
+  it('opens configured connections on init', () => {
+    let connected = [];
+
+    pool.on('connected', name => connected.push(name));
+
+    return pool.init().then(dbs => {
+      assert.deepEqual(Object.keys(dbs), ['default']);
+      assert(dbs.default instanceof MemoryDb);
+      assert.deepEqual(connected, ['default']);
+    });
+  });
+
+  it('reuses opened connection', () => {
+    return BPromise.all([pool.connect(), pool.connect('default')]).spread((db, other) => {
+      assert.strictEqual(db, other);
+    });
+  });
+
+  it('closes connection and reconnects on demand', () => {
+    let closed = [];
+
+    pool.on('close', name => closed.push(name));
+
+    return pool.connect().then(db => {
+      return pool.close().then(() => {
+        assert.deepEqual(closed, ['default']);
+        assert(!pool.dbs.default);
+
+        return pool.connect();
+      }).then(other => {
+        assert(other instanceof MemoryDb);
+        assert.notStrictEqual(other, db);
+      });
+    });
+  });
+
+  it('closes all connections', () => {
+    return pool.init().then(() => pool.closeAll()).then(() => {
+      assert.deepEqual(Object.keys(pool.dbs), []);
+      assert.deepEqual(Object.keys(pool.clients), []);
+
+      // closing closed connection is no-op
+      return pool.close('default');
+    });
+  });
+
+  it('forwards db errors only to listeners', () => {
+    let errors = [];
+
+    return pool.connect().then(db => {
+      db.emit('error', new Error('Lost'));
+
+      pool.on('error', (err, name) => errors.push([err.message, name]));
+      db.emit('error', new Error('Lost again'));
+
+      assert.deepEqual(errors, [
+        ['Lost again', 'default']
+      ]);
+    });
+  });
+
+  it('pings connection', () => {
+    return pool.ping().then(report => {
+      assert.strictEqual(report.name, 'default');
+      assert.strictEqual(report.ok, true);
+      assert.strictEqual(typeof(report.latency), 'number');
+    });
+  });
+
+  it('reports health of connections without rejecting', () => {
+    return pool.health(['default', 'missing']).then(reports => {
+      assert.strictEqual(reports[0].ok, true);
+      assert.strictEqual(reports[0].version, 'memory');
+      assert.strictEqual(reports[0].replicaSet, null);
+
+      assert.strictEqual(reports[1].name, 'missing');
+      assert.strictEqual(reports[1].ok, false);
+      assert.strictEqual(reports[1].error, 'Mongo connection missing is not configured');
+    });
+  });
+
+  describe('transactions', () => {
+    let sessions = null;
+
+    /**
+     * Makes started sessions fail commits with given labels, in order
+     *
+     * @param  {Array} labels Error labels of each failing commit
+     */
+    let failCommits = (labels) => {
+      let client = pool.clients.default,
+        startSession = client.startSession;
+
+      client.startSession = function() {
+        let session = startSession.apply(this, arguments),
+          commitTransaction = session.commitTransaction;
+
+        session.commits = 0;
+        session.ended = false;
+        session.commitTransaction = function() {
+          session.commits++;
+
+          if (labels.length) {
+            let err = new Error('Commit failed');
+            err.errorLabels = [labels.shift()];
+
+            return BPromise.reject(err);
+          }
+
+          return commitTransaction.apply(this, arguments);
+        };
+        session.endSession = () => {
+          session.ended = true;
+        };
+
+        sessions.push(session);
+
+        return session;
+      };
+    };
+
+    beforeEach(() => {
+      sessions = [];
+
+      return pool.connect();
+    });
+
+    it('retries commit with unknown result', () => {
+      failCommits(['UnknownTransactionCommitResult', 'UnknownTransactionCommitResult']);
+
+      let runs = 0;
+
+      return pool.withTransaction(() => ++runs, {
+        retry: {
+          baseDelayMs: 1
+        }
+      }).then(result => {
+        assert.strictEqual(result, 1);
+        assert.strictEqual(runs, 1);
+        assert.strictEqual(sessions.length, 1);
+        assert.strictEqual(sessions[0].commits, 3);
+        assert.strictEqual(sessions[0].ended, true);
+      });
+    });
+
+    it('retries whole transaction on transient errors', () => {
+      failCommits([]);
+
+      let runs = 0;
+
+      return pool.withTransaction(session => {
+        runs++;
+
+        if (runs === 1) {
+          let err = new Error('Write conflict');
+          err.errorLabels = ['TransientTransactionError'];
+
+          assert(session.inTransaction());
+
+          throw err;
+        }
+
+        return runs;
+      }).then(result => {
+        assert.strictEqual(result, 2);
+        assert.strictEqual(sessions[0].commits, 1);
+      });
+    });
+
+    it('aborts transaction on other errors', () => {
+      failCommits([]);
+
+      return pool.connect().then(db => {
+        return pool.withTransaction(session => {
+          return db.collection('things').insertOne({
+            key: 'a'
+          }).then(() => {
+            assert(session.inTransaction());
+
+            throw new Error('Failed');
+          });
+        }).then(() => assert.fail('transaction is committed'), err => {
+          assert.strictEqual(err.message, 'Failed');
+          assert.strictEqual(sessions[0].commits, 0);
+          assert.strictEqual(sessions[0].inTransaction(), false);
+          assert.strictEqual(sessions[0].ended, true);
+
+          return db.collection('things').countDocuments({});
+        }).then(count => {
+          assert.strictEqual(count, 0);
+        });
+      });
+    });
+
+    it('gives up retrying after timeout', () => {
+      failCommits(['UnknownTransactionCommitResult', 'UnknownTransactionCommitResult', 'UnknownTransactionCommitResult']);
+
+      return pool.withTransaction(() => BPromise.delay(5), {
+        timeoutMS: 1,
+        retry: {
+          baseDelayMs: 1
+        }
+      }).then(() => assert.fail('transaction is committed'), err => {
+        assert.deepEqual(err.errorLabels, ['UnknownTransactionCommitResult']);
+        assert.strictEqual(sessions[0].commits, 1);
+      });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const MongoHelpers = require('../base/helpers');
+const fixtures = require('./fixtures/models');
+
+const PARENT_ID = '5c8f8f8f8f8f8f8f8f8f8f01';
+const DELETED_ID = '5c8f8f8f8f8f8f8f8f8f8f02';
+const SIBLING_ID = '5c8f8f8f8f8f8f8f8f8f8f03';
+
+class NestedThingModel extends fixtures.ThingModel {
+
+  get references() {
+    return {
+      parent: {
+        field: 'parentId',
+        adapter: fixtures.ThingAdapter,
+        fields: ['key']
+      },
+      siblings: {
+        field: 'siblingIds',
+        adapter: new fixtures.ThingAdapter(),
+        as: 'siblingThings',
+        exclude: ['tags']
+      }
+    };
+  }
+}
+
+class NestedThingAdapter extends fixtures.ThingAdapter {
+
+  get modelClass() {
+    return NestedThingModel;
+  }
+}
+
+describe('projection and population', () => {
+  let db = null,
+    adapter = new NestedThingAdapter();
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        _id: {
+          $oid: PARENT_ID
+        },
+        key: 'parent',
+        v: 0,
+        tags: ['p']
+      }, {
+        _id: {
+          $oid: DELETED_ID
+        },
+        key: 'deleted',
+        v: 0,
+        deletedAt: {
+          $date: '2020-01-01T00:00:00.000Z'
+        }
+      }, {
+        _id: {
+          $oid: SIBLING_ID
+        },
+        key: 'sibling',
+        v: 0,
+        tags: ['s']
+      }, {
+        key: 'a',
+        v: 1,
+        tags: ['x'],
+        parentId: {
+          $oid: PARENT_ID
+        },
+        siblingIds: [SIBLING_ID, DELETED_ID]
+      }, {
+        key: 'b',
+        v: 1,
+        parentId: DELETED_ID
+      }]
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('builds projection from fields and exclude options', () => {
+    assert.strictEqual(MongoHelpers.buildProjection({}), null);
+    assert.deepEqual(MongoHelpers.buildProjection({
+      fields: 'key, v',
+      exclude: ['_id']
+    }), {
+      key: 1,
+      v: 1,
+      _id: 0
+    });
+    assert.deepEqual(MongoHelpers.buildProjection({
+      exclude: 'tags'
+    }, 'doc'), {
+      'doc.tags': 0
+    });
+    assert.throws(() => MongoHelpers.buildProjection({
+      fields: 'key',
+      exclude: 'tags'
+    }), /Only _id can be excluded/);
+  });
+
+  it('reads projected fields', () => {
+    return adapter.getOneSimple({
+      key: 'a'
+    }, {
+      fields: ['key']
+    }).then(doc => {
+      assert.deepEqual(Object.keys(doc).sort(), ['_id', 'key']);
+
+      return adapter.getMany({
+        v: 1
+      }, {
+        exclude: 'tags,parentId,siblingIds'
+      });
+    }).then(docs => {
+      docs.forEach(doc => {
+        assert(!doc.hasOwnProperty('tags'));
+        assert(!doc.hasOwnProperty('parentId'));
+      });
+    });
+  });
+
+  it('populates references with their projection', () => {
+    return adapter.getOneSimple({
+      key: 'a'
+    }, {
+      populate: 'parent,siblings'
+    }).then(doc => {
+      assert.deepEqual(Object.keys(doc.parent).sort(), ['_id', 'key']);
+      assert.strictEqual(doc.parent.key, 'parent');
+      assert.deepEqual(doc.siblingThings.map(item => item.key), ['sibling']);
+      assert(!doc.siblingThings[0].hasOwnProperty('tags'));
+    });
+  });
+
+  it('populates all references of many documents', () => {
+    return adapter.getMany({
+      v: 1
+    }, {
+      order: 'key',
+      populate: true
+    }).then(docs => {
+      assert.strictEqual(docs[0].parent.key, 'parent');
+      assert.strictEqual(docs[1].parent, null);
+      assert.strictEqual(docs[1].siblingThings, null);
+    });
+  });
+
+  it('rejects unknown reference', () => {
+    return adapter.getOneSimple({
+      key: 'a'
+    }, {
+      populate: 'owner'
+    }).then(() => assert.fail('unknown reference is populated'), err => {
+      assert(/Unknown reference owner/.test(err.message));
+    });
+  });
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const MongoError = require('mongodb').MongoError;
+
+const pool = require('../base/pool');
+const RetryPolicy = require('../base/retry');
+const fixtures = require('./fixtures/models');
+
+class RetryThingAdapter extends fixtures.ThingAdapter {
+
+  get retryOptions() {
+    return {
+      baseDelayMs: 1,
+      jitter: false
+    };
+  }
+}
+
+describe('RetryPolicy', () => {
+  let db = null,
+    adapter = new RetryThingAdapter();
+
+  /**
+   * Makes collection function fail with transient error a number of times
+   *
+   * @param  {String} funcName Collection function name
+   * @param  {Number} times    Failure count
+   *
+   * @return {Object}          Call counter: { calls }
+   */
+  let failTimes = (funcName, times) => {
+    let collection = db.collection('things'),
+      fn = collection[funcName],
+      counter = {
+        calls: 0
+      };
+
+    collection[funcName] = function() {
+      counter.calls++;
+
+      if (counter.calls <= times) {
+        return BPromise.reject(new MongoError({
+          message: 'Primary stepped down',
+          code: 189
+        }));
+      }
+
+      return fn.apply(this, arguments);
+    };
+
+    return counter;
+  };
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: [{
+        key: 'a',
+        v: 1
+      }]
+    });
+  });
+
+  afterEach(() => {
+    let collection = db.collection('things');
+
+    ['countDocuments', 'estimatedDocumentCount', 'updateOne'].forEach(funcName => {
+      delete collection[funcName];
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('detects transient errors', () => {
+    let policy = new RetryPolicy();
+
+    assert(policy.isRetryable(new MongoError({
+      message: 'Not master',
+      code: 10107
+    })));
+    assert(policy.isRetryable({
+      code: 112,
+      errorLabels: ['TransientTransactionError']
+    }));
+    assert(policy.isRetryable({
+      name: 'MongoNetworkError',
+      message: 'failed to connect'
+    }));
+    assert(policy.isRetryable(new MongoError('connection 3 to localhost:27017 closed')));
+    assert(!policy.isRetryable(new MongoError({
+      message: 'E11000 duplicate key error',
+      code: 11000
+    })));
+    assert(!policy.isRetryable(new Error('socket hang up')));
+    assert(!policy.isRetryable(null));
+  });
+
+  it('backs off exponentially up to max delay', () => {
+    let policy = new RetryPolicy({
+        baseDelayMs: 100,
+        maxDelayMs: 300,
+        jitter: false
+      }),
+      jittered = new RetryPolicy({
+        baseDelayMs: 100
+      });
+
+    assert.deepEqual([1, 2, 3].map(attempt => policy.delay(attempt)), [100, 200, 300]);
+
+    for (let i = 0; i < 10; i++) {
+      let delay = jittered.delay(2);
+
+      assert(delay >= 0 && delay < 200);
+    }
+  });
+
+  it('runs operation until attempts are exhausted', () => {
+    let policy = new RetryPolicy({
+        maxAttempts: 3,
+        baseDelayMs: 1,
+        jitter: false
+      }),
+      retries = [],
+      err = new MongoError({
+        message: 'Primary stepped down',
+        code: 189
+      });
+
+    return policy.run(() => {
+      throw err;
+    }, true, (e, attempt, delay) => retries.push([attempt, delay])).then(() => assert.fail('operation succeeds'), e => {
+      assert.strictEqual(e, err);
+      assert.deepEqual(retries, [
+        [1, 1],
+        [2, 2]
+      ]);
+
+      return policy.run(attempt => attempt < 2 ? BPromise.reject(err) : attempt, true);
+    }).then(attempt => {
+      assert.strictEqual(attempt, 2);
+
+      let attempts = 0;
+
+      return policy.run(() => {
+        attempts++;
+        throw err;
+      }, false).then(() => assert.fail('operation succeeds'), () => {
+        assert.strictEqual(attempts, 1);
+      });
+    });
+  });
+
+  it('runs non idempotent operations again if allowed', () => {
+    let policy = new RetryPolicy({
+      baseDelayMs: 1,
+      retryNonIdempotent: true
+    });
+
+    return policy.run(attempt => {
+      if (attempt === 1) {
+        throw new MongoError({
+          message: 'Not master',
+          code: 10107
+        });
+      }
+
+      return attempt;
+    }, false).then(attempt => {
+      assert.strictEqual(attempt, 2);
+    });
+  });
+
+  it('detects idempotent write operations', () => {
+    assert(!RetryPolicy.isIdempotent('insertOne', [{
+      _id: 1
+    }]));
+    assert(RetryPolicy.isIdempotent('updateOne', [{}, {
+      $set: {
+        v: 1
+      }
+    }]));
+    assert(!RetryPolicy.isIdempotent('updateMany', [{}, {
+      $inc: {
+        v: 1
+      }
+    }]));
+    assert(RetryPolicy.isIdempotent('deleteOne', [{
+      _id: 1
+    }]));
+    assert(!RetryPolicy.isIdempotent('deleteOne', [{
+      key: 'a'
+    }]));
+    assert(!RetryPolicy.isIdempotent('aggregate', [
+      [{
+        $match: {}
+      }, {
+        $out: 'copy'
+      }]
+    ]));
+    assert(RetryPolicy.isIdempotent('bulkWrite', [
+      [{
+        updateOne: {
+          filter: {},
+          update: {
+            $set: {
+              v: 1
+            }
+          }
+        }
+      }, {
+        deleteOne: {
+          filter: {
+            _id: 1
+          }
+        }
+      }]
+    ]));
+    assert(!RetryPolicy.isIdempotent('bulkWrite', [
+      [{
+        insertOne: {
+          document: {}
+        }
+      }]
+    ]));
+    assert(!RetryPolicy.isIdempotent('unknown', []));
+  });
+
+  it('treats count operations as reads', () => {
+    assert(RetryPolicy.isIdempotent('countDocuments', [{}]));
+    assert(RetryPolicy.isIdempotent('estimatedDocumentCount', []));
+  });
+
+  it('retries counts on transient errors', () => {
+    let counts = failTimes('countDocuments', 1),
+      estimates = failTimes('estimatedDocumentCount', 1);
+
+    return BPromise.all([adapter.count({}), adapter.estimatedCount()]).spread((count, estimated) => {
+      assert.strictEqual(count, 1);
+      assert.strictEqual(estimated, 1);
+      assert.strictEqual(counts.calls, 2);
+      assert.strictEqual(estimates.calls, 2);
+    });
+  });
+
+  it('does not retry non idempotent updates', () => {
+    let updates = failTimes('updateOne', 1);
+
+    return adapter.query('updateOne', {
+      key: 'a'
+    }, {
+      $inc: {
+        v: 1
+      }
+    }).then(() => assert.fail('update is retried'), () => {
+      assert.strictEqual(updates.calls, 1);
+    });
+  });
+});
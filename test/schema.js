@@ -0,0 +1,301 @@
+'use strict';
+
+const assert = require('assert');
+const ObjectID = require('mongodb').ObjectID;
+
+const pool = require('../base/pool');
+const errors = require('../base/errors');
+const Schema = require('../base/schema');
+const fixtures = require('./fixtures/models');
+
+class CheckedThingModel extends fixtures.ThingModel {
+
+  get schema() {
+    return {
+      key: {
+        type: 'string',
+        required: true,
+        maxLength: 5
+      },
+      v: {
+        type: 'integer',
+        min: 0
+      },
+      tags: ['string']
+    };
+  }
+}
+
+class CheckedThingAdapter extends fixtures.ThingAdapter {
+
+  get modelClass() {
+    return CheckedThingModel;
+  }
+}
+
+class CheckedThingService extends fixtures.ThingService {
+
+  get adapterClass() {
+    return CheckedThingAdapter;
+  }
+}
+
+describe('Schema', () => {
+  let schema = new Schema({
+    name: {
+      type: 'string',
+      required: true,
+      minLength: 2,
+      pattern: '^[a-z]+$'
+    },
+    status: {
+      type: 'string',
+      enum: ['on', 'off']
+    },
+    ownerId: 'objectid',
+    address: {
+      city: {
+        type: 'string',
+        required: true
+      }
+    },
+    scores: {
+      type: 'array',
+      maxItems: 2,
+      items: {
+        type: 'number',
+        max: 10
+      }
+    }
+  });
+
+  it('validates documents', () => {
+    assert.deepEqual(schema.validate({
+      name: 'abc',
+      status: 'on',
+      ownerId: new ObjectID(),
+      address: {
+        city: 'x'
+      },
+      scores: [1, 2]
+    }), []);
+
+    let result = schema.validate({
+      name: 'A',
+      status: 'idle',
+      ownerId: 'abc',
+      address: {},
+      scores: [1, 20, 3]
+    });
+
+    assert.deepEqual(result.map(error => error.path + ':' + error.rule), [
+      'name:minLength',
+      'name:pattern',
+      'status:enum',
+      'ownerId:type',
+      'address.city:required',
+      'scores:maxItems',
+      'scores.1:max'
+    ]);
+    assert.strictEqual(result[3].message, 'ownerId must be an ObjectID');
+  });
+
+  it('skips missing required fields of partial documents', () => {
+    assert.deepEqual(schema.validate({
+      status: 'on'
+    }, {
+      partial: true
+    }), []);
+    assert.deepEqual(schema.validate({
+      name: null
+    }, {
+      partial: true
+    }).map(error => error.rule), ['required']);
+  });
+
+  it('validates values at paths', () => {
+    assert.strictEqual(schema.at('scores.0').type, 'number');
+    assert.strictEqual(schema.at('address.street'), null);
+    assert.deepEqual(schema.validatePath('scores.$', 11).map(error => error.rule), ['max']);
+    assert.deepEqual(schema.validatePath('unknown', 1), []);
+  });
+
+  it('converts to json schema', () => {
+    let jsonSchema = new Schema({
+      name: {
+        type: 'string',
+        required: true
+      },
+      v: 'number',
+      tags: ['string']
+    }).toJsonSchema();
+
+    assert.deepEqual(jsonSchema, {
+      bsonType: 'object',
+      properties: {
+        name: {
+          bsonType: 'string'
+        },
+        v: {
+          bsonType: ['double', 'int', 'long', 'decimal', 'null']
+        },
+        tags: {
+          bsonType: ['array', 'null'],
+          items: {
+            bsonType: 'string'
+          }
+        }
+      },
+      required: ['name']
+    });
+  });
+
+  it('rejects unsupported types', () => {
+    assert.throws(() => new Schema({
+      name: 'text'
+    }), /Unsupported schema type of name: text/);
+    assert.throws(() => new Schema({
+      tags: ['string', 'number']
+    }), /must declare one item type/);
+  });
+
+  describe('adapter', () => {
+    let db = null,
+      service = new CheckedThingService(),
+      adapter = service.adapter;
+
+    before(() => {
+      return pool.connect().then(result => {
+        db = result;
+      });
+    });
+
+    beforeEach(() => db.reset());
+
+    after(() => pool.closeAll());
+
+    it('rejects invalid inserts', () => {
+      return adapter.insertOne({
+        key: 'toolong',
+        v: 1.5
+      }).then(() => assert.fail('invalid document is inserted'), err => {
+        assert(err instanceof errors.ValidationError);
+        assert.deepEqual(err.paths, ['key', 'v']);
+
+        return adapter.count({});
+      }).then(count => {
+        assert.strictEqual(count, 0);
+      });
+    });
+
+    it('rejects invalid update operators', () => {
+      db.load({
+        things: [{
+          key: 'a',
+          v: 1
+        }]
+      });
+
+      return adapter.updateOneSimple({
+        v: -1
+      }, {
+        key: 'a'
+      }).then(() => assert.fail('invalid update is run'), err => {
+        assert.deepEqual(err.errors.map(error => error.rule), ['min']);
+
+        return adapter.query('updateOne', {
+          key: 'a'
+        }, {
+          $inc: {
+            key: 1
+          },
+          $push: {
+            tags: 1
+          },
+          $unset: {
+            key: ''
+          }
+        });
+      }).then(() => assert.fail('invalid update is run'), err => {
+        assert.deepEqual(err.errors.map(error => error.path + ':' + error.rule), ['key:required', 'key:type', 'tags:type']);
+      });
+    });
+
+    it('requires fields of upserted documents', () => {
+      return adapter.query('updateOne', {
+        v: 1
+      }, {
+        $set: {
+          tags: ['x']
+        }
+      }, {
+        upsert: true
+      }).then(() => assert.fail('invalid document is upserted'), err => {
+        assert.deepEqual(err.paths, ['key']);
+
+        return adapter.query('updateOne', {
+          key: 'a'
+        }, {
+          $set: {
+            tags: ['x']
+          }
+        }, {
+          upsert: true
+        });
+      }).then(result => {
+        assert.strictEqual(result.upsertedCount, 1);
+      });
+    });
+
+    it('rejects invalid bulk operations', () => {
+      return adapter.query('bulkWrite', [{
+        insertOne: {
+          document: {
+            key: 'a'
+          }
+        }
+      }, {
+        insertOne: {
+          document: {
+            v: 1
+          }
+        }
+      }]).then(() => assert.fail('invalid document is inserted'), err => {
+        assert(err instanceof errors.ValidationError);
+
+        return adapter.count({});
+      }).then(count => {
+        assert.strictEqual(count, 0);
+      });
+    });
+
+    it('calls back with validation exception', (done) => {
+      service.insertOne({
+        v: 1
+      }, (err) => {
+        assert.strictEqual(err.type, 'validation');
+        assert.strictEqual(err.code, 400);
+        done();
+      });
+    });
+
+    it('pushes schema as collection validator', () => {
+      return adapter.syncValidator().then(validator => {
+        assert.deepEqual(validator.$jsonSchema.required, ['key']);
+
+        return adapter.syncValidator({
+          validationAction: 'warn'
+        });
+      }).then(() => db.listCollections({
+        name: 'things'
+      }).toArray()).then(collections => {
+        assert.strictEqual(collections[0].options.validationAction, 'warn');
+        assert.strictEqual(collections[0].options.validationLevel, 'strict');
+        assert.deepEqual(collections[0].options.validator.$jsonSchema.properties.key, {
+          bsonType: 'string',
+          maxLength: 5
+        });
+      });
+    });
+  });
+});
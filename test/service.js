@@ -0,0 +1,361 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+
+const pool = require('../base/pool');
+const errors = require('../base/errors');
+const MemoryDb = require('../base/memory');
+const fixtures = require('./fixtures/models');
+
+const THINGS = [{
+  _id: {
+    $oid: '5b0000000000000000000001'
+  },
+  key: 'a',
+  v: 1,
+  tags: ['x', 'y']
+}, {
+  _id: {
+    $oid: '5b0000000000000000000002'
+  },
+  key: 'b',
+  v: 2,
+  tags: ['y']
+}, {
+  _id: {
+    $oid: '5b0000000000000000000003'
+  },
+  key: 'c',
+  tags: []
+}, {
+  _id: {
+    $oid: '5b0000000000000000000004'
+  },
+  key: 'd',
+  v: 3,
+  deletedAt: {
+    $date: '2020-01-01T00:00:00Z'
+  }
+}];
+
+describe('BaseService', () => {
+  let db = null,
+    service = new fixtures.ThingService();
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+
+      return service.adapter.ensureIndexes();
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      things: THINGS
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('connects configured connection to memory', () => {
+    assert(db instanceof MemoryDb);
+    assert.strictEqual(pool.dbs.default, db);
+  });
+
+  it('loads fixtures with extended json values', () => {
+    return service.getOne({
+      _id: '5b0000000000000000000001'
+    }).then(thing => {
+      assert.strictEqual(thing.id, '5b0000000000000000000001');
+      assert.strictEqual(thing.key, 'a');
+    });
+  });
+
+  it('resets documents and keeps indexes', () => {
+    db.reset(['things']);
+
+    return service.count({}).then(count => {
+      assert.strictEqual(count, 0);
+
+      return service.insertOne({
+        key: 'a'
+      });
+    }).then(() => {
+      return service.insertOne({
+        key: 'a'
+      }).then(() => assert.fail('duplicate key is inserted'), err => {
+        assert(err instanceof errors.DuplicateKeyError);
+      });
+    });
+  });
+
+  it('inserts and gets document', () => {
+    return service.insertOne({
+      key: 'e',
+      v: 5
+    }).then(thing => {
+      assert(thing.id);
+
+      return service.getOne({
+        key: 'e'
+      });
+    }).then(thing => {
+      assert.strictEqual(thing.v, 5);
+    });
+  });
+
+  it('calls back with not found exception', (done) => {
+    service.getOne({
+      key: 'none'
+    }, (err, data) => {
+      assert(!data);
+      assert.strictEqual(err.type, 'notFound');
+      assert.strictEqual(err.code, 404);
+      done();
+    });
+  });
+
+  it('calls back with invalid id exception', (done) => {
+    service.getOne({
+      _id: 'bad'
+    }, (err, data) => {
+      assert(!data);
+      assert.strictEqual(err.type, 'invalidId');
+      assert.strictEqual(err.code, 400);
+      done();
+    });
+  });
+
+  it('rejects invalid id', () => {
+    let rejected = (prom) => prom.then(() => assert.fail('invalid id is accepted'), err => {
+      assert(err instanceof errors.InvalidIdError);
+    });
+
+    return BPromise.all([
+      rejected(service.getOne({
+        _id: 'bad'
+      })),
+      rejected(service.exists({
+        _id: 'bad'
+      })),
+      rejected(service.deleteOne({
+        _id: 'bad'
+      }))
+    ]);
+  });
+
+  it('rejects exists with empty form', () => {
+    return service.adapter.exists({}).then(() => assert.fail('empty form is accepted'), err => {
+      assert(/Params must not be empty/.test(err.message));
+    });
+  });
+
+  it('excludes soft deleted documents', () => {
+    return service.getMany({
+      tags: {
+        $exists: true
+      }
+    }).then(things => {
+      assert.deepEqual(things.map(thing => thing.key), ['a', 'b', 'c']);
+
+      return service.count({}, {
+        withDeleted: true
+      });
+    }).then(count => {
+      assert.strictEqual(count, 4);
+    });
+  });
+
+  it('soft deletes and restores document', () => {
+    return service.deleteOne({
+      key: 'a'
+    }).then(() => service.count({})).then(count => {
+      assert.strictEqual(count, 2);
+
+      return service.restoreOne({
+        key: 'a'
+      });
+    }).then(restored => {
+      assert.strictEqual(restored, 1);
+
+      return service.count({});
+    }).then(count => {
+      assert.strictEqual(count, 3);
+    });
+  });
+
+  it('purges soft deleted documents older than given age only', () => {
+    return service.purgeDeleted().then(() => assert.fail('purge without age is accepted'), err => {
+      assert(/Purge age/.test(err.message));
+
+      return service.purgeDeleted(new Date('2019-01-01T00:00:00Z'));
+    }).then(count => {
+      assert.strictEqual(count, 0);
+
+      return service.purgeDeleted(0);
+    }).then(count => {
+      assert.strictEqual(count, 1);
+
+      return service.count({}, {
+        withDeleted: true
+      });
+    }).then(count => {
+      assert.strictEqual(count, 3);
+    });
+  });
+
+  it('restores soft deleted document on upsert', () => {
+    return service.upsertOne({
+      key: 'd',
+      v: 4
+    }).then(() => {
+      return service.getOne({
+        key: 'd'
+      });
+    }).then(thing => {
+      assert.strictEqual(thing.v, 4);
+
+      return service.count({}, {
+        withDeleted: true
+      });
+    }).then(count => {
+      assert.strictEqual(count, 4);
+    });
+  });
+
+  it('calls back from get one and update without options', (done) => {
+    service.getOneAndUpdate({
+      v: 9
+    }, {
+      key: 'a'
+    }, (err, thing) => {
+      assert(!err);
+      assert.strictEqual(thing.key, 'a');
+
+      service.getOneAndUpsert({
+        key: 'b',
+        v: 8
+      }, {
+        key: 'b'
+      }, (err, thing) => {
+        assert(!err);
+        assert.strictEqual(thing.key, 'b');
+
+        service.getMany({
+          key: {
+            $in: ['a', 'b']
+          }
+        }).then(things => {
+          assert.deepEqual(things.map(thing => thing.v), [9, 8]);
+          done();
+        }).catch(done);
+      });
+    });
+  });
+
+  it('filters documents by filter expression', () => {
+    return service.getMany({}, {
+      filter: 'v:gte:2'
+    }).then(things => {
+      assert.deepEqual(things.map(thing => thing.key), ['b']);
+    });
+  });
+
+  it('rejects invalid filter expression with validation error', () => {
+    return service.getMany({
+      key: 'a'
+    }, {
+      filter: 'tags:eq:x'
+    }).then(() => assert.fail('invalid filter is accepted'), err => {
+      assert(err instanceof errors.ValidationError);
+      assert.strictEqual(err.data.errors[0].path, 'filter');
+    });
+  });
+
+  it('pages by cursor over missing sort values', () => {
+    let raw = service.withConverter('raw'),
+      keys = [],
+      next = (after) => {
+        return raw.getPagination({}, {
+          cursor: true,
+          after: after,
+          pageSize: 1,
+          order: 'v'
+        }).then(page => {
+          keys = keys.concat(page.data.map(thing => thing.key));
+
+          return page.pagination.hasNext ? next(page.pagination.next) : keys;
+        });
+      };
+
+    return next(null).then(result => {
+      assert.deepEqual(result, ['c', 'a', 'b']);
+    });
+  });
+
+  it('pages by offset', () => {
+    return service.withConverter('raw').getPagination({}, {
+      page: 2,
+      pageSize: 2,
+      order: 'key'
+    }).then(page => {
+      assert.deepEqual(page.data.map(thing => thing.key), ['c']);
+      assert.deepEqual(page.pagination, {
+        page: 2,
+        pageSize: 2,
+        total: 3,
+        totalPages: 2
+      });
+    });
+  });
+
+  it('clamps page size', () => {
+    let raw = service.withConverter('raw'),
+      pageSize = (value) => raw.getPagination({}, {
+        pageSize: value
+      }).then(page => page.pagination.pageSize);
+
+    return BPromise.all([pageSize(0), pageSize(-5), pageSize('2'), pageSize(100000), pageSize(null)]).then(sizes => {
+      assert.deepEqual(sizes, [1, 1, 2, service.adapter.maxPageSize, 20]);
+    });
+  });
+
+  it('rejects non numeric page size with validation error', () => {
+    return service.getPagination({}, {
+      pageSize: 'all'
+    }).then(() => assert.fail('non numeric page size is accepted'), err => {
+      assert(err instanceof errors.ValidationError);
+      assert.strictEqual(err.data.errors[0].path, 'pageSize');
+    });
+  });
+
+  it('rejects malformed pagination cursor with validation error', () => {
+    return service.getPagination({}, {
+      after: 'malformed'
+    }).then(() => assert.fail('malformed cursor is accepted'), err => {
+      assert(err instanceof errors.ValidationError);
+      assert.strictEqual(err.data.errors[0].path, 'after');
+    });
+  });
+
+  it('aborts transaction', () => {
+    return service.adapter.withTransaction(adapter => {
+      return adapter.insertOne({
+        key: 'e'
+      }).then(() => {
+        throw new Error('Aborted');
+      });
+    }).then(() => assert.fail('transaction is committed'), err => {
+      assert.strictEqual(err.message, 'Aborted');
+
+      return service.count({
+        key: 'e'
+      });
+    }).then(count => {
+      assert.strictEqual(count, 0);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const path = require('path');
+const Module = require('module');
+
+// node-helpers is an optional git dependency, fall back to its test double when it isn't installed
+try {
+  require.resolve('node-helpers');
+} catch (err) {
+  process.env.NODE_PATH = [path.join(__dirname, 'fixtures', 'modules'), process.env.NODE_PATH].filter(dir => dir).join(path.delimiter);
+  Module._initPaths();
+}
+
+// runs default connection in memory, see pool.useMemory
+process.env.SUPPRESS_NO_CONFIG_WARNING = 'y';
+process.env.NODE_CONFIG = JSON.stringify({
+  isDebug: false,
+  log: {
+    mongo: {
+      level: 'fatal'
+    }
+  },
+  db: {
+    mongodb: {
+      default: {
+        memory: true,
+        database: 'test'
+      }
+    }
+  }
+});
@@ -0,0 +1,223 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const Int64 = require('thrift').Int64;
+
+const pool = require('../base/pool');
+const errors = require('../base/errors');
+const ThriftHandler = require('../base/thrift');
+const fixtures = require('./fixtures/models');
+const ThingService = require('./fixtures/gen-nodejs/ThingService');
+const ttypes = require('./fixtures/gen-nodejs/thing_types');
+
+describe('ThriftHandler', () => {
+  let db = null,
+    contexts = [],
+    loopback = null,
+    client = null;
+
+  before(() => {
+    loopback = ThriftHandler.loopback(fixtures.ThingService, ThingService, {
+      context: (name) => {
+        contexts.push(name);
+
+        return {
+          userId: 'tester'
+        };
+      }
+    });
+    client = BPromise.promisifyAll(loopback.client);
+
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    contexts = [];
+    db.reset();
+    db.load({
+      things: [{
+        key: 'a',
+        v: 1
+      }]
+    });
+  });
+
+  after(() => {
+    loopback.close();
+
+    return pool.closeAll();
+  });
+
+  it('gets document through thrift protocol', () => {
+    return client.getOneAsync(new ttypes.ThingForm({
+      key: 'a'
+    })).then(thing => {
+      assert(thing instanceof ttypes.Thing);
+      assert.strictEqual(thing.key, 'a');
+      assert.strictEqual(thing.v.toNumber(), 1);
+      assert.deepEqual(contexts, ['getOne']);
+    });
+  });
+
+  it('returns declared exception when document is not found', () => {
+    return client.getOneAsync(new ttypes.ThingForm({
+      key: 'none'
+    })).then(() => assert.fail('document is found'), err => {
+      assert(err instanceof ttypes.ThingException);
+      assert.strictEqual(err.type, 'notFound');
+      assert.strictEqual(err.code, 404);
+    });
+  });
+
+  it('inserts document with Int64 value', () => {
+    return client.insertOneAsync(new ttypes.ThingForm({
+      key: 'b',
+      v: new Int64(42)
+    })).then(thing => {
+      assert.strictEqual(thing.key, 'b');
+      assert.strictEqual(thing.v.toNumber(), 42);
+
+      return db.collection('things').findOne({
+        key: 'b'
+      });
+    }).then(doc => {
+      assert.strictEqual(doc.v, 42);
+    });
+  });
+
+  it('rejects Int64 value out of safe integer range', () => {
+    return client.insertOneAsync(new ttypes.ThingForm({
+      key: 'c',
+      v: new Int64('7fffffffffffffff')
+    })).then(() => assert.fail('unsafe value is inserted'), err => {
+      assert(err instanceof ttypes.ThingException);
+      assert.strictEqual(err.code, 400);
+
+      return db.collection('things').count({
+        key: 'c'
+      });
+    }).then(count => {
+      assert.strictEqual(count, 0);
+    });
+  });
+
+  describe('handler', () => {
+    let calls = [];
+
+    class RecordingThingService extends fixtures.ThingService {
+
+      getOne() {
+        calls.push(Array.prototype.slice.call(arguments, 0, -1));
+
+        return super.getOne.apply(this, arguments);
+      }
+    }
+
+    beforeEach(() => {
+      calls = [];
+    });
+
+    it('lists methods with their argument names', () => {
+      assert.deepEqual(ThriftHandler.methods(ThingService), {
+        getOne: ['form'],
+        insertOne: ['form']
+      });
+      assert.deepEqual(ThriftHandler.argumentNames(function(form, /* opts */ fields, callback) {
+        return callback(form, fields);
+      }), ['form', 'fields', 'callback']);
+      assert.deepEqual(ThriftHandler.argumentNames(() => {}), []);
+      assert.throws(() => ThriftHandler.methods({}), /must contain Client and Processor/);
+    });
+
+    it('adapts thrift arguments', () => {
+      assert.deepEqual(ThriftHandler.adapt(new ttypes.ThingForm({
+        v: new Int64(7)
+      }), 'form'), {
+        v: 7
+      });
+      assert.strictEqual(ThriftHandler.adapt(null), undefined);
+      assert.deepEqual(ThriftHandler.adapt([new Int64(1), null]), [1, undefined]);
+
+      assert.throws(() => ThriftHandler.adapt({
+        v: new Int64('7fffffffffffffff')
+      }, 'form'), err => {
+        return err instanceof errors.ValidationError && err.errors[0].path === 'form.v' && err.errors[0].rule === 'int64';
+      });
+    });
+
+    it('passes missing arguments up to arity', (done) => {
+      let handler = ThriftHandler.create(new RecordingThingService(), ThingService, {
+        arity: {
+          getOne: 2
+        }
+      });
+
+      handler.getOne(new ttypes.ThingForm({
+        key: 'a'
+      }), (err, thing) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(thing.key, 'a');
+        assert.deepEqual(calls, [[{
+          key: 'a'
+        }, undefined]]);
+        done();
+      });
+    });
+
+    it('runs method overrides on service with context', (done) => {
+      let handler = ThriftHandler.create(fixtures.ThingService, ThingService, {
+        methods: {
+          getOne: (service, args, result) => {
+            assert.strictEqual(service.adapter.actor, 'tester');
+            assert.deepEqual(args, [{
+              key: 'a'
+            }]);
+
+            result(null, new ttypes.Thing({
+              key: args[0].key.toUpperCase()
+            }));
+          }
+        },
+        context: () => BPromise.resolve({
+          actor: 'tester'
+        })
+      });
+
+      handler.getOne(new ttypes.ThingForm({
+        key: 'a'
+      }), (err, thing) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(thing.key, 'A');
+        done();
+      });
+    });
+
+    it('maps context errors to declared exception', (done) => {
+      let handler = ThriftHandler.create(new RecordingThingService(), ThingService, {
+        context: () => {
+          throw new errors.ValidationError('Token is missing');
+        }
+      });
+
+      handler.getOne(new ttypes.ThingForm({
+        key: 'a'
+      }), (err) => {
+        assert(err instanceof ttypes.ThingException);
+        assert.strictEqual(err.code, 400);
+        assert.strictEqual(calls.length, 0);
+        done();
+      });
+    });
+
+    it('requires implemented service methods', () => {
+      assert.throws(() => ThriftHandler.create(fixtures.ThingService, ThingService, {
+        methods: {
+          getOne: 'findThing'
+        }
+      }), /Service method findThing of getOne is not implemented/);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+
+const pool = require('../base/pool');
+const fixtures = require('./fixtures/models');
+
+class StampedThingAdapter extends fixtures.ThingAdapter {
+
+  get timestamps() {
+    return true;
+  }
+}
+
+class RenamedStampThingAdapter extends fixtures.ThingAdapter {
+
+  get timestamps() {
+    return {
+      createdAt: 'created',
+      updatedAt: 'modified',
+      createdBy: false,
+      updatedBy: false
+    };
+  }
+}
+
+describe('timestamps', () => {
+  let db = null,
+    adapter = new StampedThingAdapter();
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => db.reset());
+
+  after(() => pool.closeAll());
+
+  it('stamps inserts with time and actor of context', () => {
+    return adapter.withContext({
+      actor: 'u1'
+    }).insertOne({
+      key: 'a'
+    }).then(model => {
+      assert(model.createdAt instanceof Date);
+      assert.strictEqual(model.createdAt.getTime(), model.updatedAt.getTime());
+      assert.strictEqual(model.createdBy, 'u1');
+      assert.strictEqual(model.updatedBy, 'u1');
+
+      return adapter.getOneSimple({
+        key: 'a'
+      });
+    }).then(doc => {
+      assert(doc.createdAt instanceof Date);
+      assert.strictEqual(doc.createdBy, 'u1');
+    });
+  });
+
+  it('stamps updates without touching creation fields', () => {
+    let created = null;
+
+    return adapter.withContext({
+      actor: 'u1'
+    }).insertOne({
+      key: 'a'
+    }).then(model => {
+      created = model.createdAt;
+
+      return BPromise.delay(2);
+    }).then(() => adapter.withContext({
+      actor: 'u2'
+    }).updateOneSimple({
+      v: 2,
+      createdAt: new Date(0),
+      createdBy: 'intruder'
+    }, {
+      key: 'a'
+    })).then(() => adapter.getOneSimple({
+      key: 'a'
+    })).then(doc => {
+      assert.strictEqual(doc.createdAt.getTime(), created.getTime());
+      assert.strictEqual(doc.createdBy, 'u1');
+      assert(doc.updatedAt > created);
+      assert.strictEqual(doc.updatedBy, 'u2');
+    });
+  });
+
+  it('stamps creation fields of upserts on insert only', () => {
+    let created = null;
+
+    return adapter.upsertOne({
+      key: 'a',
+      v: 1
+    }).then(() => adapter.getOneSimple({
+      key: 'a'
+    })).then(doc => {
+      created = doc.createdAt;
+
+      assert(created instanceof Date);
+      assert.strictEqual(doc.createdBy, null);
+
+      return BPromise.delay(2);
+    }).then(() => adapter.withContext({
+      actor: 'u2'
+    }).upsertOne({
+      key: 'a',
+      v: 2
+    })).then(() => adapter.getOneSimple({
+      key: 'a'
+    })).then(doc => {
+      assert.strictEqual(doc.createdAt.getTime(), created.getTime());
+      assert.strictEqual(doc.createdBy, null);
+      assert(doc.updatedAt > created);
+      assert.strictEqual(doc.updatedBy, 'u2');
+    });
+  });
+
+  it('uses configured field names', () => {
+    let renamed = new RenamedStampThingAdapter(),
+      update = renamed.stampUpdate({
+        $set: {
+          v: 1,
+          created: new Date(0)
+        }
+      }, false);
+
+    assert.deepEqual(Object.keys(update.$set), ['v', 'modified']);
+    assert(update.$set.modified instanceof Date);
+
+    return renamed.insertOne({
+      key: 'a'
+    }).then(() => renamed.getOneSimple({
+      key: 'a'
+    })).then(doc => {
+      assert(doc.created instanceof Date);
+      assert(doc.modified instanceof Date);
+      assert(!doc.hasOwnProperty('createdAt'));
+      assert(!doc.hasOwnProperty('createdBy'));
+      assert(!doc.hasOwnProperty('updatedBy'));
+    });
+  });
+
+  it('leaves documents unstamped by default', () => {
+    let plain = new fixtures.ThingAdapter();
+
+    return plain.insertOne({
+      key: 'a'
+    }).then(() => plain.getOneSimple({
+      key: 'a'
+    })).then(doc => {
+      assert(!doc.hasOwnProperty('createdAt'));
+      assert(!doc.hasOwnProperty('updatedAt'));
+    });
+  });
+});
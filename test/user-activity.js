@@ -0,0 +1,188 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const MongoError = require('mongodb').MongoError;
+
+const pool = require('../base/pool');
+const fixtures = require('./fixtures/models');
+
+const CENTER = [106.7, 10.77];
+
+/**
+ * Creates GeoJSON point north of center
+ *
+ * @param  {Number} degrees Latitude offset
+ *
+ * @return {Object}         GeoJSON point
+ */
+function point(degrees) {
+  return {
+    type: 'Point',
+    coordinates: [CENTER[0], CENTER[1] + degrees]
+  };
+}
+
+const ACTIVITIES = [{
+  userId: 'u1',
+  activity: 'online',
+  status: 1,
+  location: point(0)
+}, {
+  userId: 'u2',
+  activity: 'online',
+  status: 1,
+  location: point(0.01)
+}, {
+  userId: 'u3',
+  activity: 'online',
+  status: 1,
+  location: point(0.1)
+}, {
+  userId: 'u4',
+  activity: 'offline',
+  status: 0,
+  location: point(0)
+}, {
+  userId: 'u6',
+  activity: 'online',
+  status: 1,
+  location: point(0),
+  deletedAt: {
+    $date: '2020-01-01T00:00:00Z'
+  }
+}];
+
+describe('UserActivityService', () => {
+  let db = null,
+    service = new fixtures.ActivityService();
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+
+      return service.adapter.ensureIndexes();
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.load({
+      activities: ACTIVITIES
+    });
+  });
+
+  after(() => pool.closeAll());
+
+  it('writes activity log and activity', () => {
+    return service.upsertOne({
+      userId: 'u1',
+      activity: 'offline',
+      status: 0,
+      location: point(0)
+    }).then(() => {
+      return BPromise.all([
+        db.collection('activity_logs').find({}).toArray(),
+        db.collection('activities').find({
+          userId: 'u1'
+        }).toArray()
+      ]);
+    }).spread((logs, activities) => {
+      assert.deepEqual(logs.map(log => log.activity), ['offline']);
+      assert.strictEqual(activities.length, 1);
+      assert.strictEqual(activities[0].activity, 'offline');
+    });
+  });
+
+  it('rolls back activity log when activity write fails in transaction', () => {
+    let collection = db.collection('activities');
+
+    collection.updateOne = () => BPromise.reject(new MongoError({
+      message: 'Write failed',
+      code: 2
+    }));
+
+    return service.upsertOne({
+      userId: 'u5',
+      activity: 'online',
+      location: point(0)
+    }, {
+      transaction: true
+    }).then(() => assert.fail('activity is written'), err => {
+      assert(err);
+
+      return db.collection('activity_logs').count({});
+    }).then(count => {
+      assert.strictEqual(count, 0);
+    }).finally(() => {
+      delete collection.updateOne;
+    });
+  });
+
+  it('writes without transaction by default', () => {
+    let startSession = pool.startSession;
+
+    // standalone servers don't support transactions
+    pool.startSession = () => BPromise.reject(new MongoError('Transaction numbers are only allowed on a replica set member or mongos'));
+
+    return service.upsertOne({
+      userId: 'u5',
+      activity: 'online',
+      location: point(0)
+    }).then(() => {
+      return db.collection('activities').count({
+        userId: 'u5'
+      });
+    }).then(count => {
+      assert.strictEqual(count, 1);
+    }).finally(() => {
+      pool.startSession = startSession;
+    });
+  });
+
+  it('finds activities around location', () => {
+    return service.findManyAround({
+      geometry: point(0),
+      maxDistance: 5000
+    }, {
+      activity: 'online'
+    }).then(activities => {
+      assert.deepEqual(activities.map(activity => activity.userId).sort(), ['u1', 'u2']);
+      activities.forEach(activity => assert(activity.distance < 5000));
+    });
+  });
+
+  it('finds one activity around location', () => {
+    return service.findOneAround({
+      geometry: point(0.01),
+      maxDistance: 500
+    }, {
+      activity: 'online'
+    }).then(activity => {
+      assert.strictEqual(activity.userId, 'u2');
+      assert.strictEqual(activity.distance, 0);
+    });
+  });
+
+  it('excludes soft deleted activities around location', () => {
+    return service.findOneAround({
+      geometry: point(0),
+      maxDistance: 500
+    }, {
+      activity: 'online'
+    }).then(activity => {
+      assert.strictEqual(activity.userId, 'u1');
+
+      return service.findManyAround({
+        geometry: point(0),
+        maxDistance: 500
+      }, {
+        activity: 'online'
+      }, {
+        withDeleted: true
+      });
+    }).then(activities => {
+      assert.deepEqual(activities.map(activity => activity.userId).sort(), ['u1', 'u6']);
+    });
+  });
+});
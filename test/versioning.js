@@ -0,0 +1,156 @@
+'use strict';
+
+const assert = require('assert');
+
+const pool = require('../base/pool');
+const errors = require('../base/errors');
+const fixtures = require('./fixtures/models');
+
+class VersionedThingModel extends fixtures.ThingModel {
+
+  constructor(data) {
+    super(data);
+
+    if (data && data.version) {
+      this.version = data.version;
+    }
+  }
+
+  get versionKey() {
+    return 'version';
+  }
+}
+
+class VersionedThingAdapter extends fixtures.ThingAdapter {
+
+  get modelClass() {
+    return VersionedThingModel;
+  }
+}
+
+class VersionedThingService extends fixtures.ThingService {
+
+  get adapterClass() {
+    return VersionedThingAdapter;
+  }
+}
+
+describe('versioning', () => {
+  let db = null,
+    service = new VersionedThingService(),
+    adapter = service.adapter;
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => db.reset());
+
+  after(() => pool.closeAll());
+
+  it('starts version at one and increments it on updates', () => {
+    return adapter.insertOne({
+      key: 'a',
+      v: 1,
+      version: 7
+    }).then(model => {
+      assert.strictEqual(model.version, 1);
+
+      return adapter.updateOne({
+        v: 2,
+        version: 7
+      }, {
+        key: 'a'
+      });
+    }).then(() => adapter.getOneSimple({
+      key: 'a'
+    })).then(doc => {
+      assert.strictEqual(doc.v, 2);
+      assert.strictEqual(doc.version, 2);
+    });
+  });
+
+  it('updates document of expected version', () => {
+    return adapter.insertOne({
+      key: 'a'
+    }).then(() => adapter.updateOneSimple({
+      v: 2
+    }, {
+      key: 'a'
+    }, {
+      expectedVersion: 1
+    })).then(modified => {
+      assert.strictEqual(modified, 1);
+
+      return adapter.getOneAndUpdate({
+        v: 3
+      }, {
+        key: 'a'
+      }, {
+        expectedVersion: 2,
+        returnOriginal: false
+      });
+    }).then(doc => {
+      assert.strictEqual(doc.v, 3);
+      assert.strictEqual(doc.version, 3);
+    });
+  });
+
+  it('rejects stale version with conflict error', () => {
+    return adapter.insertOne({
+      key: 'a'
+    }).then(() => adapter.updateOne({
+      v: 2
+    }, {
+      key: 'a'
+    }, {
+      expectedVersion: 5
+    })).then(() => assert.fail('stale document is updated'), err => {
+      assert(err instanceof errors.ConflictError);
+      assert.strictEqual(err.code, 409);
+      assert.deepEqual(err.details, {
+        expectedVersion: 5,
+        currentVersion: 1
+      });
+
+      return adapter.getOneSimple({
+        key: 'a'
+      });
+    }).then(doc => {
+      assert.strictEqual(doc.v, undefined);
+      assert.strictEqual(doc.version, 1);
+    });
+  });
+
+  it('rejects missing document with not found error', () => {
+    return adapter.getOneAndUpdate({
+      v: 2
+    }, {
+      key: 'missing'
+    }, {
+      expectedVersion: 1
+    }).then(() => assert.fail('missing document is updated'), err => {
+      assert(err instanceof errors.NotFoundError);
+    });
+  });
+
+  it('calls back with conflict exception', (done) => {
+    adapter.insertOne({
+      key: 'a'
+    }).then(() => {
+      service.updateOne({
+        v: 2
+      }, {
+        key: 'a'
+      }, {
+        expectedVersion: 2
+      }, (err) => {
+        assert.strictEqual(err.type, 'conflict');
+        assert.strictEqual(err.code, service.exceptionCodes.conflict);
+        done();
+      });
+    }).catch(done);
+  });
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+
+const pool = require('../base/pool');
+const Subscription = require('../base/watch');
+const fixtures = require('./fixtures/models');
+
+class TimedThingAdapter extends fixtures.ThingAdapter {
+
+  get timestamps() {
+    return true;
+  }
+}
+
+/**
+ * Waits for next event of emitter
+ *
+ * @param  {EventEmitter} emitter Event emitter
+ * @param  {String} event   Event name
+ *
+ * @return {Promise}         Resolves event payload
+ */
+function next(emitter, event) {
+  return new BPromise(resolve => emitter.once(event, resolve));
+}
+
+describe('Subscription', () => {
+  let db = null,
+    adapter = new TimedThingAdapter(),
+    subscription = null;
+
+  before(() => {
+    return pool.connect().then(result => {
+      db = result;
+    });
+  });
+
+  beforeEach(() => {
+    db.reset();
+  });
+
+  afterEach(() => {
+    if (subscription) {
+      subscription.close();
+      subscription = null;
+    }
+  });
+
+  after(() => pool.closeAll());
+
+  it('falls back to polling when change streams are unavailable', () => {
+    return adapter.watch({
+      key: 'b'
+    }, {
+      store: new Subscription.MemoryTokenStore(),
+      pollIntervalMs: 5
+    }).then(result => {
+      subscription = result;
+
+      assert.strictEqual(subscription.mode, 'stream');
+
+      return next(subscription, 'mode');
+    }).then(mode => {
+      assert.strictEqual(mode, 'poll');
+
+      let changed = next(subscription, 'change');
+
+      return adapter.insertOne({
+        key: 'a'
+      }).then(() => adapter.insertOne({
+        key: 'b'
+      })).then(() => changed);
+    }).then(change => {
+      assert.strictEqual(change.operationType, 'insert');
+      assert.strictEqual(change.model.key, 'b');
+
+      let changed = next(subscription, 'change');
+
+      return BPromise.delay(2).then(() => adapter.updateOne({
+        v: 2
+      }, {
+        key: 'b'
+      })).then(() => changed);
+    }).then(change => {
+      assert.strictEqual(change.operationType, 'update');
+      assert.strictEqual(change.model.v, 2);
+    });
+  });
+
+  it('resumes polling from saved cursor', () => {
+    let store = new Subscription.MemoryTokenStore(),
+      opts = {
+        store: store,
+        polling: true,
+        pollIntervalMs: 5
+      };
+
+    return adapter.watch({}, opts).then(result => {
+      subscription = result;
+
+      let changed = next(subscription, 'change');
+
+      return adapter.insertOne({
+        key: 'a'
+      }).then(() => changed);
+    }).then(() => {
+      subscription.close();
+
+      return adapter.insertOne({
+        key: 'b'
+      });
+    }).then(() => adapter.watch({}, opts)).then(result => {
+      subscription = result;
+
+      return next(subscription, 'change');
+    }).then(change => {
+      assert.strictEqual(change.model.key, 'b');
+    });
+  });
+
+  it('refuses polling without timestamps', () => {
+    let plain = new fixtures.ThingAdapter();
+
+    return plain.watch({}, {
+      store: new Subscription.MemoryTokenStore(),
+      polling: true
+    }).then(() => assert.fail('polling is started'), err => {
+      assert(/requires updatedAt timestamps/.test(err.message));
+
+      return plain.watch({}, {
+        store: new Subscription.MemoryTokenStore()
+      });
+    }).then(result => {
+      subscription = result;
+
+      return next(subscription, 'error');
+    }).then(err => {
+      assert(/requires updatedAt timestamps/.test(err.message));
+      assert.strictEqual(subscription.mode, 'stream');
+    });
+  });
+
+  it('prefixes paths nested in logical operators', () => {
+    assert.deepEqual(Subscription.prefixPaths({
+      key: 'a',
+      $or: [{
+        v: 1
+      }, {
+        $and: [{
+          v: 2
+        }]
+      }]
+    }, 'fullDocument.'), {
+      'fullDocument.key': 'a',
+      $or: [{
+        'fullDocument.v': 1
+      }, {
+        $and: [{
+          'fullDocument.v': 2
+        }]
+      }]
+    });
+
+    assert.throws(() => Subscription.prefixPaths({
+      $where: 'true'
+    }, 'fullDocument.'), /not supported/);
+  });
+});